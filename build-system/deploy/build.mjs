@@ -1,20 +1,34 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { spawn, execSync } from 'child_process';
 import fs from 'fs';
+import { runPipeline } from './deploy-support/pipeline.mjs';
+import { createRelease } from './deploy-support/releases.mjs';
+import { applyConcurrencyFlag, getConcurrency } from './deploy-support/worker-pool.mjs';
+import { startDryRun, finishDryRun, writeDryRunDiff } from './deploy-support/dry-run.mjs';
+import { startBuildEventLog, finishBuildEventLog, emitBuildEvent, printBuildWarnings } from './deploy-support/build-events.mjs';
+import { loadPortfolioConfig, findPortfolioConfig } from './deploy-support/portfolio-config.mjs';
+import { readReleaseExclusions } from './deploy-support/project-metadata.mjs';
+import { startBuildLog } from './deploy-support/build-log.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+
+// --concurrency=<n> limits parallel steps and worker threads (step scripts inherit it)
+applyConcurrencyFlag(process.argv);
 const BUILD_DIR = path.join(__dirname, '../../../build/temp');
-const SCRIPTS_DIR = path.join(__dirname, 'deploy-support/scripts');
+const RELEASES_DIR = path.join(__dirname, '../../../build/releases');
 const LOGS_DIR = path.join(__dirname, '../../../dev/logs/build');
-const SOURCE_DIR = path.join(__dirname, '../../../public_html');
 
 // Create timestamp for log file
 const timestamp = new Date().toISOString().replace(/[T:]/g, '-').slice(0, 19);
 const logFileName = `build-${timestamp}.log`;
 const logFilePath = path.join(LOGS_DIR, logFileName);
+const eventLogPath = logFilePath.replace(/\.log$/, '.jsonl');
+const dryRun = process.argv.includes('--dry-run');
+// A dry run must not replace the report of the last real build
+const reportPath = path.join(LOGS_DIR, dryRun ? 'dry-run-report.json' : 'build-report.json');
+const diffPath = path.join(LOGS_DIR, `dry-run-${timestamp}.diff`);
 
 // Create formatted timestamps for various uses
 const dateObj = new Date();
@@ -39,100 +53,20 @@ export const buildTimestamps = {
     humanReadableTimestamp // Format: "Sunday, April 13, 2025 at 2:30 PM"
 };
 
-// Ensure logs directory exists
-if (!fs.existsSync(LOGS_DIR)) {
-    fs.mkdirSync(LOGS_DIR, { recursive: true });
-}
-
-// Setup logging
-const logStream = fs.createWriteStream(logFilePath, { flags: 'a' });
-const originalConsoleLog = console.log;
-const originalConsoleError = console.error;
-
-// Archive old build logs, keeping only the 5 most recent
-const archiveOldBuildLogs = () => {
-    const archiveDir = path.join(LOGS_DIR, 'archive');
-    if (!fs.existsSync(archiveDir)) {
-        fs.mkdirSync(archiveDir, { recursive: true });
-    }
-    const logFiles = fs.readdirSync(LOGS_DIR)
-        .filter(f => f.startsWith('build-') && f.endsWith('.log'))
-        .map(f => ({
-            name: f,
-            time: fs.statSync(path.join(LOGS_DIR, f)).mtime.getTime()
-        }))
-        .sort((a, b) => b.time - a.time);
-    const keep = 5;
-    const toArchive = logFiles.slice(keep);
-    toArchive.forEach(file => {
-        const src = path.join(LOGS_DIR, file.name);
-        const dest = path.join(archiveDir, file.name);
-        fs.renameSync(src, dest);
-        console.log(`Archived old build log: ${file.name}`);
-    });
-};
-archiveOldBuildLogs();
-
-// Override console methods to write to log file
-console.log = function (...args) {
-    const message = args.join(' ');
-    originalConsoleLog.apply(console, args);
-    logStream.write(`${message}\n`);
-};
-
-console.error = function (...args) {
-    const message = args.join(' ');
-    originalConsoleError.apply(console, args);
-    logStream.write(`[ERROR] ${message}\n`);
-};
-
-async function formatHtmlFiles() {
-    const htmlDir = path.join(BUILD_DIR, 'public_html');
-    try {
-        // Use Prettier to format all HTML files
-        // Add --html-whitespace-sensitivity=css flag to preserve blank lines around comments and doctype
-        execSync(`npx prettier --write "${htmlDir}/**/*.html" --html-whitespace-sensitivity=css --print-width 100 --tab-width 2 --no-config`, { stdio: 'inherit' });
-
-        // Post-process HTML files to ensure blank line between timestamp comment and DOCTYPE
-        // and properly format DOCTYPE and html tag
-        const htmlFiles = getAllFilesInDirectory(htmlDir, '.html');
-        for (const filePath of htmlFiles) {
-            let content = fs.readFileSync(filePath, 'utf8');
-
-            // Find timestamp comment followed by possibly compressed DOCTYPE and html tag
-            const timestampRegex = /(<!-- Last updated:.*? -->)(<!-- -->)?(\s*)(<!(DOCTYPE|doctype) html>)(<html lang="en">)(<head>)/i;
-
-            if (timestampRegex.test(content)) {
-                // Replace with properly formatted structure
-                content = content.replace(timestampRegex, '$1\n$4\n<html lang="en">\n\n<head>');
-                fs.writeFileSync(filePath, content, 'utf8');
-            }
-        }
-
-        console.log('✓ Formatted all HTML files in build output');
-    } catch (err) {
-        console.error('Error formatting HTML files:', err.message);
+// Log the console and step output, archiving older logs
+const buildLog = startBuildLog(LOGS_DIR, logFilePath, 'build-');
+
+/**
+ * Parses the build mode from the command line
+ * Accepts --mode=<mode>, plus the legacy --static-only flag
+ * @returns {string} - One of PIPELINE_MODES
+ */
+function getBuildMode() {
+    const modeArg = process.argv.find(arg => arg.startsWith('--mode='));
+    if (modeArg) {
+        return modeArg.slice('--mode='.length);
     }
-}
-
-// Helper function to get all files with specific extension in a directory and its subdirectories
-function getAllFilesInDirectory(dir, extension) {
-    let results = [];
-    const list = fs.readdirSync(dir);
-
-    for (const file of list) {
-        const filePath = path.join(dir, file);
-        const stat = fs.statSync(filePath);
-
-        if (stat.isDirectory()) {
-            // Recurse into subdirectories
-            results = results.concat(getAllFilesInDirectory(filePath, extension));
-        } else if (path.extname(filePath) === extension) {
-            results.push(filePath);
-        }
-    }
-
-    return results;
+    return process.argv.includes('--static-only') ? 'static-only' : 'full';
 }
 
 async function build() {
@@ -140,14 +74,23 @@ async function build() {
     console.log(`BUILD PROCESS STARTED: ${new Date().toLocaleString()}`);
     console.log(`=============================================`);
     console.log(`Log file: ${logFilePath}`);
+    console.log(`Event log: ${eventLogPath}`);
     console.log(`Machine timestamp: ${machineTimestamp}`);
     console.log(`Human-readable timestamp: ${humanReadableTimestamp}`);
+    console.log(`Concurrency: ${getConcurrency()}`);
+
+    const mode = getBuildMode();
+    if (dryRun) {
+        startDryRun();
+        console.log('\n🧪 Dry run: steps report the files they would create, modify or delete; nothing in the project is written');
+    }
+    startBuildEventLog(eventLogPath, { mode, machineTimestamp, dryRun });
 
     try {
-        // Check for static-only mode
-        const isStaticOnly = process.argv.includes('--static-only');
-        if (isStaticOnly) {
+        if (mode === 'static-only') {
             console.log('\n🔄 Running in static-only mode - focusing on portfolio static generation');
+        } else if (mode !== 'full') {
+            console.log(`\n🔄 Running in ${mode} mode`);
         }
 
         // System check
@@ -155,219 +98,72 @@ async function build() {
         console.log(`Node version: ${process.version}`);
         console.log(`Working directory: ${process.cwd()}`);
 
-        // Run pre-build validation on source HTML files
-        if (!process.argv.includes('--skip-source-validation') && !isStaticOnly) {
-            console.log('\n🔍 Pre-build validation of source HTML files');
-            const result = await runBuildStep('validate:source', 'Validating source HTML files');
-            if (!result) {
-                throw new Error('Source HTML validation failed - build aborted');
-            }
-        }
+        // Fail fast on an invalid portfolio config
+        await loadPortfolioConfig();
+        console.log(`Portfolio config: ${findPortfolioConfig() || 'built-in defaults'}`);
 
         // Create build directory
         console.log('\n📁 Creating build directory');
-        if (!fs.existsSync(BUILD_DIR)) {
+        if (!fs.existsSync(BUILD_DIR) && !dryRun) {
             fs.mkdirSync(BUILD_DIR, { recursive: true });
         }
 
-        // In static-only mode, check if build directory already exists and contains processed images
-        if (isStaticOnly) {
-            const publicHtmlDir = path.join(BUILD_DIR, 'public_html');
-            const portfolioDir = path.join(publicHtmlDir, 'portfolio');
+        // Run every step of the selected mode from the shared pipeline definition
+        await runPipeline(mode, {
+            runScript: buildLog.runBuildStep,
+            buildDir: BUILD_DIR
+        });
 
-            if (!fs.existsSync(publicHtmlDir)) {
-                console.log('\n📁 No build directory exists, copying source files first');
-                await runBuildStep('deploy:copy', 'Copying source files to build directory');
-            } else if (!fs.existsSync(portfolioDir)) {
-                console.log('\n⚠️ Build directory exists but portfolio directory is missing');
-                console.log('\n📁 Refreshing build directory with source files');
-                await runBuildStep('deploy:copy', 'Copying source files to build directory');
-            } else {
-                console.log('\n✅ Using existing build directory with processed files');
+        // Freeze the result into a release; deploy uploads the current release
+        if (!dryRun) {
+            const release = await createRelease(path.join(BUILD_DIR, 'public_html'), machineTimestamp, { mode: mode }, RELEASES_DIR, readReleaseExclusions(BUILD_DIR));
+            emitBuildEvent('release', { id: release.id });
+            console.log(`\n📦 Release ${release.id}: ${release.fileCount} files (${release.linkedCount} unchanged since the previous release)`);
+            if (release.excludedCount > 0) {
+                console.log(`   ${release.excludedCount} draft project files left out`);
             }
-
-            // Skip to portfolio generation
-            console.log('\n🔄 Skipping to portfolio static generation');
-            await runBuildStep('build:portfolio', 'Building portfolio structure with static HTML generation');
-
-            console.log(`\n✅ STATIC BUILD COMPLETED: ${new Date().toLocaleString()}`);
-            console.log(`Build log saved to: ${logFilePath}`);
-            console.log(`=============================================`);
-            return;
-        }
-
-        // Regular build flow for non-static-only mode
-        // Copy public_html directory first
-        await runBuildStep('deploy:copy', 'Copying source files to build directory');
-
-        // Process assets in correct order (steps 2-3)
-        if (!process.argv.includes('--skip-images')) {
-            await runBuildStep('process:images', 'Processing images for optimization');
-            await runBuildStep('process:videos', 'Creating video placeholders');
-            await runBuildStep('process:featured', 'Processing featured images');
-            await runBuildStep('process:responsive', 'Transforming responsive images');
-        } else {
-            console.log('\n⏭️ Skipping image processing as requested with --skip-images flag');
         }
 
-        // Format files and validate
-        await runBuildStep('format:files', 'Formatting files and updating timestamps');
-
-        if (!process.argv.includes('--skip-validation')) {
-            await runBuildStep('validate:html', 'Validating HTML files');
+        const report = finishBuildEventLog(reportPath, 'success');
+        if (dryRun) {
+            reportPlannedChanges(report);
         }
-
-        // Build portfolio
-        await runBuildStep('build:portfolio', 'Building portfolio structure');
-
-        // Re-inject head content into newly generated tag pages
-        console.log('\n🔄 Re-injecting head content into newly generated pages...');
-        const headInjectPath = path.join(__dirname, 'deploy-support/head-templates/inject-head.mjs');
-        const { spawn } = await import('child_process');
-
-        await new Promise((resolve, reject) => {
-            const process = spawn('node', [headInjectPath, BUILD_DIR], { stdio: 'inherit' });
-            process.on('close', code => {
-                if (code === 0) {
-                    console.log('✅ Head content re-injection completed successfully');
-                    resolve();
-                } else {
-                    console.warn('⚠️ Head content re-injection completed with warnings');
-                    resolve(); // Continue build even if head injection has issues
-                }
-            });
-            process.on('error', reject);
-        });
-
-        // Inject navigation into all HTML files
-        await runBuildStep('inject:nav', 'Injecting navigation into all HTML files');
-
-        // Inject footer after portfolio build, before formatting
-        await runBuildStep('inject:footer', 'Injecting footer into all HTML files');
-
-        // Run site audit
-        await runBuildStep('audit:site', 'Running site audit to check images and videos');
-
-        // NEW: Run site audit comparison after the audit is complete
-        console.log('\n📊 Comparing with previous site audits...');
-        try {
-            // Import dynamically to avoid dependency issues
-            const { spawn } = await import('child_process');
-            const compareProcess = spawn('node', [
-                path.join(__dirname, 'deploy-support/utils/compare-audits.mjs'),
-                '--last=3'  // Compare with the last 3 audit reports
-            ], { stdio: 'inherit' });
-
-            await new Promise((resolve, reject) => {
-                compareProcess.on('close', code => {
-                    if (code === 0) {
-                        console.log('✅ Site audit comparison completed successfully');
-                        resolve();
-                    } else {
-                        console.warn('⚠️ Site audit comparison completed with warnings');
-                        resolve(); // Continue build even if comparison has issues
-                    }
-                });
-
-                compareProcess.on('error', err => {
-                    console.warn('⚠️ Site audit comparison error:', err.message);
-                    resolve(); // Continue build even if comparison fails
-                });
-            });
-        } catch (error) {
-            console.warn('⚠️ Failed to run site audit comparison:', error.message);
-            // Continue build even if comparison fails
-        }
-
-        // Format HTML as the last step
-        await formatHtmlFiles();
-
-        console.log(`\n✅ BUILD COMPLETED SUCCESSFULLY: ${new Date().toLocaleString()}`);
+        printBuildWarnings(report);
+        console.log(`\n✅ ${mode === 'static-only' ? 'STATIC BUILD' : 'BUILD'} COMPLETED SUCCESSFULLY: ${new Date().toLocaleString()}`);
         console.log(`Build log saved to: ${logFilePath}`);
+        console.log(`Build report saved to: ${reportPath}`);
         console.log(`=============================================`);
     } catch (error) {
+        finishBuildEventLog(reportPath, 'failed');
         console.error(`\n❌ BUILD FAILED: ${error.message}`);
         console.error(`Build log saved to: ${logFilePath}`);
+        console.error(`Build report saved to: ${reportPath}`);
         console.log(`=============================================`);
-        process.exit(1);
+        // Let finally restore the console and flush the log before the process exits
+        process.exitCode = 1;
     } finally {
-        // Restore original console methods and close log stream
-        console.log = originalConsoleLog;
-        console.error = originalConsoleError;
-        logStream.end();
+        finishDryRun();
+        buildLog.close();
     }
 }
 
-async function runBuildStep(script, description, extraArg) {
-    console.log(`\n🔄 ${description}...`);
-
-    // Handle missing scripts gracefully
-    const result = await new Promise((resolve, reject) => {
-        const args = ['run', script];
-        // Add extra argument (typically BUILD_DIR) to scripts that need it
-        if (extraArg) {
-            args.push('--');
-            // Split the extra arguments in case there are multiple
-            const extraArgParts = extraArg.split(' ');
-            args.push(...extraArgParts);
-        }
-
-        // Run the script
-        try {
-            // Change stdio from 'inherit' to 'pipe' to capture output
-            const proc = spawn('npm', args, {
-                stdio: ['inherit', 'pipe', 'pipe'],
-                shell: true
-            });
+/**
+ * Prints the net changes of a dry run and writes the HTML diff next to the build log
+ * @param {Object} report - Build report with plannedChanges
+ */
+function reportPlannedChanges(report) {
+    const { create, modify, delete: remove, byStep } = report.plannedChanges;
 
-            // Capture stdout and write to console and log file
-            proc.stdout.on('data', (data) => {
-                const output = data.toString();
-                process.stdout.write(output);
-                logStream.write(output);
-            });
-
-            // Capture stderr and write to console and log file
-            proc.stderr.on('data', (data) => {
-                const output = data.toString();
-                process.stderr.write(output);
-                logStream.write(`[WARN] ${output}`);
-            });
-
-            proc.on('close', code => {
-                if (code === 0) {
-                    resolve(true);
-                } else {
-                    console.warn(`⚠️ ${script} completed with code ${code}`);
-                    // For source validation, abort the build
-                    if (script === 'validate:source') {
-                        reject(new Error(`HTML validation failed with exit code ${code} - build aborted`));
-                    }
-                    // For format steps, continue anyway
-                    else if (script.startsWith('format:') || script.startsWith('update:')) {
-                        console.log(`Continuing build despite non-zero exit code for ${script}`);
-                        resolve(true);
-                    } else {
-                        reject(new Error(`${script} failed with exit code ${code}`));
-                    }
-                }
-            });
-        } catch (error) {
-            console.warn(`⚠️ Error running ${script}: ${error.message}`);
-            // For source validation, always abort the build
-            if (script === 'validate:source') {
-                reject(new Error(`HTML validation failed: ${error.message} - build aborted`));
-            }
-            // For format steps, continue anyway
-            else if (script.startsWith('format:') || script.startsWith('update:')) {
-                resolve(true);
-            } else {
-                reject(error);
-            }
-        }
-    });
+    console.log(`\n📝 Planned changes: ${create.length} created, ${modify.length} modified, ${remove.length} deleted`);
+    for (const [step, counts] of Object.entries(byStep)) {
+        console.log(`   • ${step}: ${counts.create} create, ${counts.modify} modify, ${counts.delete} delete`);
+    }
+    for (const [label, files] of [['+', create], ['~', modify], ['-', remove]]) {
+        files.forEach(file => console.log(`   ${label} ${file}`));
+    }
 
-    return result;
+    const diffCount = writeDryRunDiff(diffPath, modify);
+    console.log(`HTML diff (${diffCount} files) saved to: ${diffPath}`);
 }
 
 // Run if called directly
@@ -0,0 +1,294 @@
+/**
+ * Build Cache Manifest
+ *
+ * Persistent record of the work done by the asset steps of the build. For each
+ * source file a step processes, the manifest stores the content hash of the
+ * source, a hash of the processing settings used, and the content hash of every
+ * output produced. A step can skip a source only when all three still match, so
+ * results stay correct after branch switches, rebases or restored backups, where
+ * file modification times cannot be trusted.
+ *
+ * Manifest location: build/cache/<step>.json (relative to the project root).
+ * Each step writes only its own file, so steps running in parallel never
+ * overwrite each other's entries.
+ *
+ * Usage:
+ *   const cache = await BuildCache.load();
+ *   if (!await cache.isUpToDate('process-images', source, settings)) {
+ *       // ...produce outputs...
+ *       await cache.record('process-images', source, settings, outputs);
+ *   }
+ *   await cache.save();
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { isDryRun } from './dry-run.mjs';
+
+const MANIFEST_VERSION = 1;
+export const DEFAULT_CACHE_DIR = path.resolve('build/cache');
+
+/**
+ * Normalizes a path to a project-relative key with forward slashes
+ * @param {string} filePath - Absolute or cwd-relative path
+ * @returns {string} - Manifest key
+ */
+function toKey(filePath) {
+    return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Computes the SHA-256 content hash of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string|null>} - Hex digest, or null when the file does not exist
+ */
+export async function hashFile(filePath) {
+    try {
+        const content = await fs.promises.readFile(filePath);
+        return crypto.createHash('sha256').update(content).digest('hex');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Computes a stable hash of a settings object (key order does not matter)
+ * @param {Object} settings - Processing settings
+ * @returns {string} - Hex digest
+ */
+export function hashSettings(settings = {}) {
+    const stable = (value) => {
+        if (Array.isArray(value)) {
+            return value.map(stable);
+        }
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((result, key) => {
+                result[key] = stable(value[key]);
+                return result;
+            }, {});
+        }
+        return value;
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(stable(settings))).digest('hex');
+}
+
+export class BuildCache {
+    constructor(cacheDir, entries = {}) {
+        this.cacheDir = cacheDir;
+        this.entries = entries;
+        // Steps whose entries changed and need to be written by save()
+        this.dirtySteps = new Set();
+        // Source hashes are memoized for the lifetime of one step
+        this.sourceHashes = new Map();
+    }
+
+    /**
+     * Loads every step's manifest from disk; missing or outdated manifests start empty
+     * @param {string} cacheDir - Directory holding the <step>.json manifests
+     * @returns {Promise<BuildCache>}
+     */
+    static async load(cacheDir = DEFAULT_CACHE_DIR) {
+        const entries = {};
+        let files = [];
+        try {
+            files = (await fs.promises.readdir(cacheDir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read build cache (${error.message}), starting with an empty cache`);
+            }
+        }
+
+        for (const file of files) {
+            try {
+                const data = JSON.parse(await fs.promises.readFile(path.join(cacheDir, file), 'utf8'));
+                if (data.version === MANIFEST_VERSION && data.step && data.entries) {
+                    Object.assign(entries, data.entries);
+                } else {
+                    console.warn(`⚠️ Build cache format changed for ${file}, ignoring it`);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not read build cache ${file} (${error.message}), ignoring it`);
+            }
+        }
+        return new BuildCache(cacheDir, entries);
+    }
+
+    async sourceHash(sourcePath) {
+        const key = toKey(sourcePath);
+        if (!this.sourceHashes.has(key)) {
+            this.sourceHashes.set(key, await hashFile(sourcePath));
+        }
+        return this.sourceHashes.get(key);
+    }
+
+    /**
+     * Whether the manifest has any record of a step processing a source
+     * @param {string} step - Pipeline step id
+     * @param {string} sourcePath - Source file path
+     * @returns {boolean}
+     */
+    has(step, sourcePath) {
+        return Boolean(this.entries[`${step}:${toKey(sourcePath)}`]);
+    }
+
+    /**
+     * Checks whether a source was already processed with the same content and settings,
+     * and every recorded output is still on disk unchanged
+     * @param {string} step - Pipeline step id
+     * @param {string} sourcePath - Source file path
+     * @param {Object} settings - Processing settings used by the step
+     * @returns {Promise<boolean>}
+     */
+    async isUpToDate(step, sourcePath, settings) {
+        const entry = this.entries[`${step}:${toKey(sourcePath)}`];
+        if (!entry || entry.settingsHash !== hashSettings(settings)) {
+            return false;
+        }
+
+        if (entry.sourceHash !== await this.sourceHash(sourcePath)) {
+            return false;
+        }
+
+        for (const [output, outputHash] of Object.entries(entry.outputs)) {
+            if (await hashFile(output) !== outputHash) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Records the outputs produced for a source
+     * @param {string} step - Pipeline step id
+     * @param {string} sourcePath - Source file path
+     * @param {Object} settings - Processing settings used by the step
+     * @param {string[]} outputPaths - Files written by the step for this source
+     */
+    async record(step, sourcePath, settings, outputPaths) {
+        const outputs = {};
+        for (const outputPath of outputPaths) {
+            outputs[toKey(outputPath)] = await hashFile(outputPath);
+        }
+
+        this.entries[`${step}:${toKey(sourcePath)}`] = {
+            step,
+            source: toKey(sourcePath),
+            sourceHash: await this.sourceHash(sourcePath),
+            settingsHash: hashSettings(settings),
+            outputs
+        };
+        this.dirtySteps.add(step);
+    }
+
+    /**
+     * Removes the record for a source so it is processed again next time
+     * @param {string} step - Pipeline step id
+     * @param {string} sourcePath - Source file path
+     */
+    forget(step, sourcePath) {
+        delete this.entries[`${step}:${toKey(sourcePath)}`];
+        this.dirtySteps.add(step);
+    }
+
+    /**
+     * Drops entries whose source file no longer exists
+     * @returns {number} - Number of entries removed
+     */
+    pruneMissingSources() {
+        let removed = 0;
+        for (const [key, entry] of Object.entries(this.entries)) {
+            if (!fs.existsSync(entry.source)) {
+                delete this.entries[key];
+                this.dirtySteps.add(entry.step);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Returns every output recorded in the manifest
+     * @returns {Set<string>} - Project-relative output paths
+     */
+    getOutputs() {
+        const outputs = new Set();
+        for (const entry of Object.values(this.entries)) {
+            Object.keys(entry.outputs).forEach(output => outputs.add(output));
+        }
+        return outputs;
+    }
+
+    /**
+     * Deletes everything in a directory except the outputs recorded in the manifest
+     * @param {string} dir - Directory to clean (e.g. build/temp)
+     * @returns {number} - Number of files kept
+     */
+    cleanDirectoryKeepingOutputs(dir) {
+        const keep = this.getOutputs();
+        let kept = 0;
+
+        const walk = (currentDir) => {
+            for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+                const fullPath = path.join(currentDir, entry.name);
+                if (entry.isDirectory()) {
+                    walk(fullPath);
+                    if (fs.readdirSync(fullPath).length === 0) {
+                        fs.rmdirSync(fullPath);
+                    }
+                } else if (keep.has(toKey(fullPath))) {
+                    kept++;
+                } else {
+                    fs.rmSync(fullPath, { force: true });
+                }
+            }
+        };
+
+        if (fs.existsSync(dir)) {
+            walk(dir);
+        }
+        return kept;
+    }
+
+    /**
+     * Writes the manifests of the steps whose entries changed (skipped in a dry run)
+     */
+    async save() {
+        if (isDryRun()) {
+            return;
+        }
+        await fs.promises.mkdir(this.cacheDir, { recursive: true });
+        for (const step of this.dirtySteps) {
+            const entries = Object.fromEntries(Object.entries(this.entries).filter(([, entry]) => entry.step === step));
+            const data = { version: MANIFEST_VERSION, step, entries };
+            await fs.promises.writeFile(path.join(this.cacheDir, `${step}.json`), JSON.stringify(data, null, 2), 'utf8');
+        }
+        this.dirtySteps.clear();
+    }
+}
+
+/**
+ * Cleans a build directory, keeping only outputs recorded in the build cache
+ * (the clean-build-dir task of swift builds)
+ * @param {string} buildDir - Build directory (e.g. build/temp)
+ */
+export async function cleanBuildDirKeepingCachedOutputs(buildDir) {
+    const cache = await BuildCache.load();
+
+    // Outputs of deleted sources are stale; drop them so they get cleaned too
+    const pruned = cache.pruneMissingSources();
+    if (pruned > 0) {
+        console.log(`🧹 Dropped ${pruned} cache entries for deleted source files`);
+    }
+
+    const kept = cache.cleanDirectoryKeepingOutputs(buildDir);
+    fs.mkdirSync(buildDir, { recursive: true });
+    await cache.save();
+
+    if (kept === 0) {
+        console.log('⚠️ Build cache is empty - all assets will be processed from scratch');
+    } else {
+        console.log(`✓ Kept ${kept} cached asset files`);
+    }
+}
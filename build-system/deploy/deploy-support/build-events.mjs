@@ -0,0 +1,289 @@
+/**
+ * Structured Build Events
+ *
+ * Every build writes a JSON-lines event log next to its text log
+ * (dev/logs/build/build-<timestamp>.jsonl). The pipeline runner records step
+ * start, finish, skip, warning and error events with timings; step scripts add
+ * counts (images processed, pages generated, ...) and the files they wrote.
+ * When the build ends, the events are summarized into build-report.json.
+ * In a dry run, steps add `plan` events for the files they would change
+ * (see dry-run.mjs), which the report lists under plannedChanges.
+ *
+ * Step scripts run as separate processes, so the log path and the current step
+ * are passed down through the BUILD_EVENT_LOG and BUILD_STEP environment
+ * variables. Steps run in-process (see stages.mjs) may overlap, so their step is
+ * tracked per async call chain instead. Outside a build (e.g. running a script
+ * by hand) recording is a no-op.
+ *
+ * Event shape: { time, type, step, ...data }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const stepStorage = new AsyncLocalStorage();
+
+/**
+ * Starts a new event log and makes it the target for this process and its children
+ * @param {string} logPath - Path of the .jsonl file to create
+ * @param {Object} details - Extra data for the build:start event (e.g. mode)
+ * @returns {string} - The event log path
+ */
+export function startBuildEventLog(logPath, details = {}) {
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.writeFileSync(logPath, '', 'utf8');
+    process.env.BUILD_EVENT_LOG = logPath;
+    delete process.env.BUILD_STEP;
+    emitBuildEvent('build:start', details);
+    return logPath;
+}
+
+/**
+ * Sets the step that subsequent events (including those of child processes) belong to
+ * @param {string|null} stepId - Pipeline step id, or null between steps
+ */
+export function setCurrentBuildStep(stepId) {
+    if (stepId) {
+        process.env.BUILD_STEP = stepId;
+    } else {
+        delete process.env.BUILD_STEP;
+    }
+}
+
+/**
+ * Runs a function with its events (including those of child processes it starts) attributed to a step
+ * @param {string} stepId - Pipeline step id
+ * @param {Function} fn - Function to run
+ * @returns {*} - The function's return value
+ */
+export function runInBuildStep(stepId, fn) {
+    setCurrentBuildStep(stepId);
+    return stepStorage.run(stepId, fn);
+}
+
+/**
+ * Returns the step that events emitted here belong to
+ * @returns {string|null}
+ */
+export function getCurrentBuildStep() {
+    return stepStorage.getStore() || process.env.BUILD_STEP || null;
+}
+
+/**
+ * Appends an event to the current build's event log
+ * @param {string} type - Event type (e.g. 'step:start', 'count', 'warning')
+ * @param {Object} data - Event payload
+ */
+export function emitBuildEvent(type, data = {}) {
+    const logPath = process.env.BUILD_EVENT_LOG;
+    if (!logPath) {
+        return;
+    }
+
+    const event = {
+        time: new Date().toISOString(),
+        type,
+        step: getCurrentBuildStep(),
+        ...data
+    };
+
+    try {
+        fs.appendFileSync(logPath, JSON.stringify(event) + '\n', 'utf8');
+    } catch (error) {
+        // Event logging must never break a build
+        console.warn(`⚠️ Could not write build event: ${error.message}`);
+    }
+}
+
+/**
+ * Records a count for the build report (counts with the same name are added up)
+ * @param {string} name - Counter name (e.g. 'imagesProcessed')
+ * @param {number} value - Amount to add
+ */
+export function recordBuildCount(name, value) {
+    emitBuildEvent('count', { name, value });
+}
+
+/**
+ * Records files written by the current step
+ * @param {string[]} files - File paths
+ */
+export function recordFilesTouched(files) {
+    const written = files.filter(Boolean);
+    if (written.length > 0) {
+        emitBuildEvent('files', { files: written.map(file => path.relative(process.cwd(), path.resolve(file))) });
+    }
+}
+
+/**
+ * Records a warning for the build report
+ * @param {string} message - Warning message
+ */
+export function recordBuildWarning(message) {
+    emitBuildEvent('warning', { message });
+}
+
+/**
+ * Prints the warnings of a build report, grouped by step
+ * @param {Object} report - Build report (see summarizeBuildEvents)
+ * @param {number} limit - Most warnings listed per step; the report lists all of them
+ */
+export function printBuildWarnings(report, limit = 10) {
+    if (!report || report.warnings.length === 0) {
+        return;
+    }
+
+    const byStep = new Map();
+    for (const { step, message } of report.warnings) {
+        byStep.set(step || 'build', [...(byStep.get(step || 'build') || []), message]);
+    }
+
+    console.log(`\n⚠️ ${report.warnings.length} warnings:`);
+    for (const [step, messages] of byStep) {
+        console.log(`   • ${step} (${messages.length})`);
+        messages.slice(0, limit).forEach(message => console.log(`     - ${message}`));
+        if (messages.length > limit) {
+            console.log(`     ... and ${messages.length - limit} more (see the build report)`);
+        }
+    }
+}
+
+/**
+ * Reads the events of a build event log
+ * @param {string} logPath - Event log path
+ * @returns {Array} - Parsed events (malformed lines are ignored)
+ */
+export function readBuildEvents(logPath) {
+    if (!fs.existsSync(logPath)) {
+        return [];
+    }
+    return fs.readFileSync(logPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                return [];
+            }
+        });
+}
+
+/**
+ * Summarizes build events into the build report
+ * @param {Array} events - Events as written by emitBuildEvent
+ * @returns {Object} - Build report
+ */
+export function summarizeBuildEvents(events) {
+    const start = events.find(event => event.type === 'build:start') || {};
+    const finish = events.find(event => event.type === 'build:finish') || {};
+    const steps = new Map();
+    const counts = {};
+    const filesByStep = {};
+    const allFiles = new Set();
+    // First and last planned action per file, to work out the net change
+    const plannedFiles = new Map();
+    const plannedByStep = {};
+
+    const stepEntry = (id) => {
+        if (!steps.has(id)) {
+            steps.set(id, { id, status: 'pending', durationMs: 0, warnings: 0 });
+        }
+        return steps.get(id);
+    };
+
+    for (const event of events) {
+        switch (event.type) {
+            case 'step:start':
+                stepEntry(event.step).status = 'running';
+                break;
+            case 'step:finish':
+                Object.assign(stepEntry(event.step), { status: event.status, durationMs: event.durationMs });
+                break;
+            case 'step:skip':
+                Object.assign(stepEntry(event.step), { status: 'skipped', reason: event.reason });
+                break;
+            case 'warning':
+                if (event.step) {
+                    stepEntry(event.step).warnings++;
+                }
+                break;
+            case 'count':
+                counts[event.name] = (counts[event.name] || 0) + event.value;
+                break;
+            case 'files':
+                filesByStep[event.step || 'unknown'] = (filesByStep[event.step || 'unknown'] || 0) + event.files.length;
+                event.files.forEach(file => allFiles.add(file));
+                break;
+            case 'plan': {
+                const planned = plannedFiles.get(event.file) || { first: event.action };
+                plannedFiles.set(event.file, { ...planned, last: event.action });
+                const stepPlan = plannedByStep[event.step || 'unknown'] || { create: 0, modify: 0, delete: 0 };
+                stepPlan[event.action]++;
+                plannedByStep[event.step || 'unknown'] = stepPlan;
+                break;
+            }
+        }
+    }
+
+    const pick = (type) => events
+        .filter(event => event.type === type)
+        .map(({ step, message }) => ({ step, message }));
+
+    const report = {
+        status: finish.status || 'incomplete',
+        mode: start.mode || null,
+        startedAt: start.time || null,
+        finishedAt: finish.time || null,
+        durationMs: start.time && finish.time ? Date.parse(finish.time) - Date.parse(start.time) : null,
+        steps: [...steps.values()],
+        warnings: pick('warning'),
+        errors: pick('error'),
+        counts,
+        filesTouched: { total: allFiles.size, byStep: filesByStep },
+        release: (events.find(event => event.type === 'release') || {}).id || null
+    };
+
+    if (start.dryRun) {
+        const plannedChanges = { create: [], modify: [], delete: [], byStep: plannedByStep };
+        for (const [file, { first, last }] of plannedFiles) {
+            const existed = first !== 'create';
+            const exists = last !== 'delete';
+            if (existed && !exists) {
+                plannedChanges.delete.push(file);
+            } else if (exists) {
+                plannedChanges[existed ? 'modify' : 'create'].push(file);
+            }
+        }
+        report.dryRun = true;
+        report.plannedChanges = plannedChanges;
+    }
+
+    return report;
+}
+
+/**
+ * Ends the current build's event log and writes the build report
+ * @param {string|null} reportPath - Where to write build-report.json (null to only return it)
+ * @param {string} status - 'success' or 'failed'
+ * @returns {Object|null} - The report, or null if no event log was started
+ */
+export function finishBuildEventLog(reportPath, status) {
+    const logPath = process.env.BUILD_EVENT_LOG;
+    if (!logPath) {
+        return null;
+    }
+
+    setCurrentBuildStep(null);
+    emitBuildEvent('build:finish', { status });
+
+    const report = { ...summarizeBuildEvents(readBuildEvents(logPath)), eventLog: logPath };
+    if (reportPath) {
+        fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+    }
+
+    delete process.env.BUILD_EVENT_LOG;
+    return report;
+}
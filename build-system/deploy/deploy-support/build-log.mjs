@@ -0,0 +1,167 @@
+/**
+ * Build Log
+ *
+ * Shared by the build entry points (build.mjs and swift-build.mjs): each run
+ * writes a text log to dev/logs/build/<prefix><timestamp>.log, older logs of the
+ * same entry point are moved to dev/logs/build/archive/, and the console and
+ * the output of every npm step script are copied into the log.
+ *
+ * Usage:
+ *   const buildLog = startBuildLog(LOGS_DIR, logFilePath, 'build-');
+ *   await runPipeline(mode, { runScript: buildLog.runBuildStep, buildDir });
+ *   buildLog.close();
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { recordBuildWarning } from './build-events.mjs';
+
+const KEPT_LOGS = 5;
+
+/**
+ * Moves all but the most recent logs of one entry point to the archive directory
+ * @param {string} logsDir - Directory of the build logs
+ * @param {string} prefix - File name prefix of the entry point's logs (e.g. 'build-')
+ */
+function archiveOldBuildLogs(logsDir, prefix) {
+    const archiveDir = path.join(logsDir, 'archive');
+    if (!fs.existsSync(archiveDir)) {
+        fs.mkdirSync(archiveDir, { recursive: true });
+    }
+    const logFiles = fs.readdirSync(logsDir)
+        .filter(f => f.startsWith(prefix) && (f.endsWith('.log') || f.endsWith('.jsonl')))
+        .map(f => ({
+            name: f,
+            time: fs.statSync(path.join(logsDir, f)).mtime.getTime()
+        }))
+        .sort((a, b) => b.time - a.time);
+    logFiles.slice(KEPT_LOGS).forEach(file => {
+        fs.renameSync(path.join(logsDir, file.name), path.join(archiveDir, file.name));
+        console.log(`Archived old build log: ${file.name}`);
+    });
+}
+
+/**
+ * Runs one npm step script, copying its output to the console and the log
+ * @param {fs.WriteStream} logStream - Stream of the build log
+ * @param {string} script - npm script name
+ * @param {string} description - Step description for the console
+ * @param {string} [extraArg] - Space-separated arguments for the script (typically BUILD_DIR)
+ * @returns {Promise<boolean>} - Resolves when the step finished or may be skipped
+ */
+async function runBuildStep(logStream, script, description, extraArg) {
+    console.log(`\n🔄 ${description}...`);
+
+    // Handle missing scripts gracefully
+    const result = await new Promise((resolve, reject) => {
+        const args = ['run', script];
+        // Add extra argument (typically BUILD_DIR) to scripts that need it
+        if (extraArg) {
+            args.push('--');
+            // Split the extra arguments in case there are multiple
+            const extraArgParts = extraArg.split(' ');
+            args.push(...extraArgParts);
+        }
+
+        // Run the script
+        try {
+            // Change stdio from 'inherit' to 'pipe' to capture output
+            const proc = spawn('npm', args, {
+                stdio: ['inherit', 'pipe', 'pipe'],
+                shell: true
+            });
+
+            // Capture stdout and write to console and log file
+            proc.stdout.on('data', (data) => {
+                const output = data.toString();
+                process.stdout.write(output);
+                logStream.write(output);
+            });
+
+            // Capture stderr and write to console and log file
+            proc.stderr.on('data', (data) => {
+                const output = data.toString();
+                process.stderr.write(output);
+                logStream.write(`[WARN] ${output}`);
+            });
+
+            proc.on('close', code => {
+                if (code === 0) {
+                    resolve(true);
+                } else {
+                    console.warn(`⚠️ ${script} completed with code ${code}`);
+                    // For source validation, abort the build
+                    if (script === 'validate:source') {
+                        reject(new Error(`HTML validation failed with exit code ${code} - build aborted`));
+                    }
+                    // For format steps, continue anyway
+                    else if (script.startsWith('format:') || script.startsWith('update:')) {
+                        console.log(`Continuing build despite non-zero exit code for ${script}`);
+                        recordBuildWarning(`${script} completed with code ${code}`);
+                        resolve(true);
+                    } else {
+                        reject(new Error(`${script} failed with exit code ${code}`));
+                    }
+                }
+            });
+        } catch (error) {
+            console.warn(`⚠️ Error running ${script}: ${error.message}`);
+            // For source validation, always abort the build
+            if (script === 'validate:source') {
+                reject(new Error(`HTML validation failed: ${error.message} - build aborted`));
+            }
+            // For format steps, continue anyway
+            else if (script.startsWith('format:') || script.startsWith('update:')) {
+                recordBuildWarning(`Error running ${script}: ${error.message}`);
+                resolve(true);
+            } else {
+                reject(error);
+            }
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Opens the build log, archives older logs and copies the console into the log
+ * @param {string} logsDir - Directory of the build logs
+ * @param {string} logFilePath - Path of this run's log file
+ * @param {string} prefix - File name prefix of the entry point's logs (e.g. 'build-')
+ * @returns {{ runBuildStep: Function, close: Function }} - Step runner for runPipeline, and close() to restore the console and flush the log
+ */
+export function startBuildLog(logsDir, logFilePath, prefix) {
+    if (!fs.existsSync(logsDir)) {
+        fs.mkdirSync(logsDir, { recursive: true });
+    }
+
+    const logStream = fs.createWriteStream(logFilePath, { flags: 'a' });
+    const originalConsoleLog = console.log;
+    const originalConsoleError = console.error;
+
+    archiveOldBuildLogs(logsDir, prefix);
+
+    // Override console methods to write to log file
+    console.log = function (...args) {
+        const message = args.join(' ');
+        originalConsoleLog.apply(console, args);
+        logStream.write(`${message}\n`);
+    };
+
+    console.error = function (...args) {
+        const message = args.join(' ');
+        originalConsoleError.apply(console, args);
+        logStream.write(`[ERROR] ${message}\n`);
+    };
+
+    return {
+        runBuildStep: (script, description, extraArg) => runBuildStep(logStream, script, description, extraArg),
+        close() {
+            // Restore original console methods and close log stream
+            console.log = originalConsoleLog;
+            console.error = originalConsoleError;
+            logStream.end();
+        }
+    };
+}
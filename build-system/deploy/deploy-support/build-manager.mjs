@@ -1,58 +1,57 @@
-import fs from 'fs/promises';
-import path from 'path';
 import { spawn } from 'child_process';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { runPipeline } from './pipeline.mjs';
 
 export class BuildManager {
-    constructor(buildDir) {
+    constructor(buildDir, { mode = 'full' } = {}) {
         this.buildDir = buildDir;
-        this.scriptsDir = path.join(__dirname, 'scripts');
+        this.mode = mode;
     }
 
     async build() {
-        console.log('\nStarting build process...');
-
-        const steps = [
-            { name: 'Process Images', script: '01-process-images.mjs' },
-            { name: 'Create Placeholders', script: '02-create-static-placeholder.mjs' },
-            { name: 'Process Featured Images', script: '03-preprocess-featured-images.mjs' },
-            { name: 'Format Files', script: '04-format-files.sh' },
-            { name: 'Transform Responsive Images', script: '05-transform-responsive-images.mjs' },
-            { name: 'Build Portfolio', script: '06-build-portfolio.mjs' },
-            { name: 'Pre-deploy Check', script: '07-pre-deploy-check.sh' }
-        ];
-
-        for (const step of steps) {
-            console.log(`\nRunning: ${step.name}`);
-            const success = await this.runBuildStep(step.script);
-            if (!success) {
-                console.error(`Failed at step: ${step.name}`);
-                return false;
-            }
+        console.log(`\nStarting ${this.mode} build process...`);
+        return this.runSteps(null);
+    }
+
+    // Runs a subset of the pipeline (all steps of the mode when stepIds is null)
+    async runSteps(stepIds) {
+        try {
+            await runPipeline(this.mode, {
+                buildDir: this.buildDir,
+                only: stepIds,
+                runScript: (script, description, extraArg) => {
+                    console.log(`\nRunning: ${description}`);
+                    return this.runBuildStep(script, extraArg);
+                }
+            });
+        } catch (error) {
+            console.error(`Failed at step: ${error.step || 'unknown'} (${error.message})`);
+            return false;
         }
 
         return true;
     }
 
-    async runBuildStep(script) {
-        const scriptPath = path.join(this.scriptsDir, script);
-        const isJs = script.endsWith('.mjs');
-
-        return new Promise((resolve) => {
-            const proc = spawn(
-                isJs ? 'node' : 'bash',
-                [scriptPath, this.buildDir],
-                { stdio: 'inherit' }
-            );
+    async runBuildStep(script, extraArg) {
+        const args = ['run', script];
+        if (extraArg) {
+            args.push('--', ...extraArg.split(' '));
+        }
 
-            proc.on('close', code => resolve(code === 0));
+        return new Promise((resolve, reject) => {
+            const proc = spawn('npm', args, { stdio: 'inherit' });
+
+            proc.on('close', code => {
+                if (code === 0) {
+                    resolve(true);
+                } else {
+                    reject(new Error(`${script} failed with exit code ${code}`));
+                }
+            });
+            proc.on('error', reject);
         });
     }
 
     async preview() {
-        const previewScript = path.join(this.scriptsDir, '08-preview-server.mjs');
-        return this.runBuildStep(previewScript);
+        return this.runBuildStep('start').catch(() => false);
     }
 }
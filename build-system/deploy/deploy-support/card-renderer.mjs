@@ -0,0 +1,152 @@
+/**
+ * Portfolio Card Renderer
+ *
+ * Renders the project cards of every portfolio listing - the portfolio index,
+ * the tag pages and the next-project section - from one HTML template file,
+ * create-new-page/templates/card-template.html. Each variant is a
+ * <template data-variant="..."> block with {{PLACEHOLDER}} fields, so cards can
+ * be restyled without touching the build scripts.
+ *
+ * Variants:
+ * - index: portfolio index cards
+ * - tag: tag page cards
+ * - next-project: the "Up Next" card at the end of a project page
+ * - compact: title and company logo only, for small project lists
+ *
+ * All variants share the same tag chips and responsive image sizes, which
+ * match the featured image variants made by 03-preprocess-featured-images.mjs.
+ * Field values are HTML-escaped (see html-template.mjs).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCompany, TAG_CATEGORY_KEYS } from './portfolio-config.mjs';
+import { html, rawHtml, fillTemplate } from './html-template.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CARD_TEMPLATE_PATH = path.join(__dirname, 'create-new-page/templates/card-template.html');
+export const CARD_VARIANTS = ['index', 'tag', 'next-project', 'compact'];
+
+// Featured image variants (see FEATURED_SETTINGS in 03-preprocess-featured-images.mjs)
+export const CARD_IMAGE = {
+    sizes: [320, 640, 960, 1200, 1800],
+    width: 1200,
+    height: 648,
+    sizesAttribute: '(max-width: 1200px) 100vw, 1200px'
+};
+
+const TEMPLATE_PATTERN = /<template\s+data-variant="([^"]+)"(?:\s+data-max-tags="(\d+)")?\s*>([\s\S]*?)<\/template>/g;
+
+const loadedTemplates = new Map();
+
+/**
+ * Reads the card variants from a template file (cached per file)
+ * @param {string} templatePath - Card template file
+ * @returns {Map<string, Object>} - Variant name -> { markup, maxTags }
+ */
+export function loadCardTemplates(templatePath = CARD_TEMPLATE_PATH) {
+    if (loadedTemplates.has(templatePath)) {
+        return loadedTemplates.get(templatePath);
+    }
+
+    let source;
+    try {
+        source = fs.readFileSync(templatePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read card template ${templatePath}: ${error.message}`);
+    }
+
+    const templates = new Map();
+    for (const [, variant, maxTags, markup] of source.matchAll(TEMPLATE_PATTERN)) {
+        templates.set(variant, { markup: markup.trim(), maxTags: maxTags === undefined ? Infinity : Number(maxTags) });
+    }
+
+    const problems = [
+        ...CARD_VARIANTS.filter(variant => !templates.has(variant)).map(variant => `missing <template data-variant="${variant}">`),
+        ...[...templates.keys()].filter(variant => !CARD_VARIANTS.includes(variant)).map(variant => `unknown variant "${variant}" (expected ${CARD_VARIANTS.join(', ')})`)
+    ];
+    if (problems.length > 0) {
+        throw new Error(`Invalid card template ${templatePath}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    loadedTemplates.set(templatePath, templates);
+    return templates;
+}
+
+/**
+ * Renders the tag chips of a card, ordered by tag category
+ * @param {Array<Object>} tags - { name, category } per tag
+ * @param {number} maxTags - Chips shown before the "+N more" chip
+ * @returns {RawHtml} - Tags markup, empty when there is nothing to show
+ */
+export function renderTagChips(tags = [], maxTags = Infinity) {
+    if (tags.length === 0 || maxTags === 0) {
+        return rawHtml('');
+    }
+
+    const categoryRank = category => {
+        const rank = TAG_CATEGORY_KEYS.indexOf(category);
+        return rank === -1 ? TAG_CATEGORY_KEYS.length : rank;
+    };
+    const orderedTags = tags.slice().sort((a, b) => categoryRank(a.category) - categoryRank(b.category));
+    const displayTags = orderedTags.slice(0, maxTags);
+    const moreCount = orderedTags.length - displayTags.length;
+    const moreIndicator = moreCount > 0 && html`<span class="portfolio-tag portfolio-tag--more">+${moreCount} more</span>`;
+
+    return html`
+      <div class="card--tags">
+        ${displayTags.map(tag => html`<span class="portfolio-tag">${tag.name}</span>`)}${moreIndicator}
+      </div>`;
+}
+
+/**
+ * Renders the logo image of a company from the portfolio config
+ * @param {Object} config - Portfolio config
+ * @param {string} slug - Company slug
+ * @returns {RawHtml} - <img> tag
+ */
+export function renderCompanyLogo(config, slug) {
+    const company = getCompany(config, slug);
+    return html`<img src="${company.logo}" alt="${company.name} logo">`;
+}
+
+/**
+ * Renders one portfolio card
+ * @param {Object} item - Portfolio item ({ path, title, description, company, role, tags, imageBase, featured })
+ * @param {string} variant - One of CARD_VARIANTS
+ * @param {Object} config - Portfolio config
+ * @param {Object} options - Render options
+ * @param {string} options.templatePath - Card template file (default: CARD_TEMPLATE_PATH)
+ * @returns {string} - Card HTML
+ */
+export function renderCard(item, variant, config, { templatePath = CARD_TEMPLATE_PATH } = {}) {
+    const template = loadCardTemplates(templatePath).get(variant);
+    if (!template) {
+        throw new Error(`Unknown card variant "${variant}" (expected ${CARD_VARIANTS.join(', ')})`);
+    }
+
+    const srcset = format => CARD_IMAGE.sizes.map(size => `${item.imageBase}-${size}w.${format} ${size}w`).join(', ');
+    const classes = ['card', `card--${variant}`, item.featured ? 'card--featured' : null].filter(Boolean);
+    const fields = {
+        CARD_CLASS: classes.join(' '),
+        URL: item.path,
+        TITLE: item.title,
+        DESCRIPTION: item.description || '',
+        ROLE: item.role ? html`
+      <p class="card--role">${item.role}</p>` : rawHtml(''),
+        COMPANY_LOGO: renderCompanyLogo(config, item.company),
+        TAGS: renderTagChips(item.tags, template.maxTags),
+        TAG_SLUGS: (item.tags || []).map(tag => tag.slug).join(','),
+        TAG_CATEGORIES: [...new Set((item.tags || []).map(tag => tag.category).filter(Boolean))].join(','),
+        IMAGE_BASE: item.imageBase,
+        WEBP_SRCSET: srcset('webp'),
+        PNG_SRCSET: srcset('png'),
+        IMAGE_WIDTH: CARD_IMAGE.width,
+        IMAGE_HEIGHT: CARD_IMAGE.height,
+        IMAGE_SIZES: CARD_IMAGE.sizesAttribute
+    };
+
+    return fillTemplate(template.markup, fields);
+}
@@ -0,0 +1,152 @@
+/**
+ * Portfolio Tag Filter
+ *
+ * Progressive enhancement for the filter bar that 06-build-portfolio.mjs
+ * generates on the portfolio index. Without JavaScript the filter chips are
+ * plain links to the static tag pages. With it, clicking a chip toggles it
+ * and filters the cards in place:
+ *
+ * - chips in the same tag category are combined with OR
+ * - different categories are combined with AND
+ *
+ * The selection is kept in the URL hash (#tags=ux-design,saas), so filtered
+ * views can be bookmarked, shared and navigated with the back button.
+ *
+ * Copied to /js/portfolio-filter.js by the portfolio build.
+ */
+(function () {
+  'use strict';
+
+  var HASH_PREFIX = '#tags=';
+
+  function init() {
+    var filterBar = document.querySelector('.portfolio-filters');
+    var cards = Array.prototype.slice.call(document.querySelectorAll('.cards .card[data-tags]'));
+    if (!filterBar || cards.length === 0) {
+      return;
+    }
+
+    var chips = Array.prototype.slice.call(filterBar.querySelectorAll('[data-filter][data-category]'));
+    var clearButton = filterBar.querySelector('[data-filter="all"]');
+    var emptyMessage = filterBar.querySelector('.portfolio-filters--empty');
+    var categoryOf = {};
+    chips.forEach(function (chip) {
+      categoryOf[chip.getAttribute('data-filter')] = chip.getAttribute('data-category');
+      // The chips are links to the tag pages until the script turns them into toggles
+      chip.setAttribute('role', 'button');
+    });
+
+    function readSelection() {
+      var hash;
+      try {
+        hash = decodeURIComponent(window.location.hash);
+      } catch (error) {
+        // A malformed hash (e.g. #tags=%) selects nothing
+        return [];
+      }
+      if (hash.indexOf(HASH_PREFIX) !== 0) {
+        return [];
+      }
+      return hash.slice(HASH_PREFIX.length).split(',').filter(function (slug) {
+        return Object.prototype.hasOwnProperty.call(categoryOf, slug);
+      });
+    }
+
+    function writeSelection(selection) {
+      var hash = selection.length > 0 ? HASH_PREFIX + selection.join(',') : '';
+      if (hash === window.location.hash) {
+        return;
+      }
+      if (hash) {
+        window.location.hash = hash;
+      } else {
+        // Clear the hash without jumping to the top of the page
+        history.pushState(null, '', window.location.pathname + window.location.search);
+        apply();
+      }
+    }
+
+    function matches(card, selectedByCategory) {
+      var cardTags = (card.getAttribute('data-tags') || '').split(',');
+      return Object.keys(selectedByCategory).every(function (category) {
+        return selectedByCategory[category].some(function (slug) {
+          return cardTags.indexOf(slug) !== -1;
+        });
+      });
+    }
+
+    function apply() {
+      var selection = readSelection();
+      var selectedByCategory = {};
+      selection.forEach(function (slug) {
+        var category = categoryOf[slug];
+        (selectedByCategory[category] = selectedByCategory[category] || []).push(slug);
+      });
+
+      chips.forEach(function (chip) {
+        chip.setAttribute('aria-pressed', String(selection.indexOf(chip.getAttribute('data-filter')) !== -1));
+      });
+      if (clearButton) {
+        clearButton.setAttribute('aria-pressed', String(selection.length === 0));
+      }
+
+      var visibleCount = 0;
+      cards.forEach(function (card) {
+        var visible = matches(card, selectedByCategory);
+        card.hidden = !visible;
+        visibleCount += visible ? 1 : 0;
+      });
+      if (emptyMessage) {
+        emptyMessage.hidden = visibleCount > 0;
+      }
+    }
+
+    filterBar.addEventListener('click', function (event) {
+      var target = event.target.closest('[data-filter]');
+      // Let modified clicks open the static tag page
+      if (!target || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+      }
+      event.preventDefault();
+
+      var slug = target.getAttribute('data-filter');
+      if (slug === 'all') {
+        writeSelection([]);
+        return;
+      }
+      var selection = readSelection();
+      var index = selection.indexOf(slug);
+      if (index === -1) {
+        selection.push(slug);
+      } else {
+        selection.splice(index, 1);
+      }
+      writeSelection(selection);
+    });
+
+    // Links only react to Enter; Space toggles a chip as it would a button
+    filterBar.addEventListener('keydown', function (event) {
+      var target = event.target.closest('[data-filter][role="button"]');
+      if (!target || (event.key !== ' ' && event.key !== 'Spacebar')) {
+        return;
+      }
+      event.preventDefault();
+      target.click();
+    });
+
+    window.addEventListener('hashchange', apply);
+    window.addEventListener('popstate', apply);
+
+    filterBar.classList.add('portfolio-filters--enhanced');
+    if (clearButton) {
+      clearButton.hidden = false;
+    }
+    apply();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -7,7 +7,7 @@
  * Usage: node dev/scripts/deploy/deploy-support/create-new-page/create-new.mjs
  * 
  * This script will:
- * 1. Ask for company selection from predefined options
+ * 1. Ask for company selection from the companies in portfolio.config
  * 2. Ask for project name
  * 3. Create project directory with URL-friendly name
  * 4. Create index.html based on template
@@ -21,6 +21,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import readline from 'readline';
 import { exec } from 'child_process';
+import { loadPortfolioConfig } from '../portfolio-config.mjs';
+import { escapeHtml } from '../html-template.mjs';
 
 // Define paths
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -31,13 +33,6 @@ const publicHtmlDir = path.join(rootDir, 'public_html');
 const templatesDir = path.join(__dirname, 'templates');
 const placeholdersDir = path.join(__dirname, 'placeholders');
 
-// Company options
-const COMPANIES = [
-    { value: 'mikmak', label: 'MikMak', logoAlt: 'MikMak Company Logo' },
-    { value: 'logmein', label: 'LogMeIn', logoAlt: 'LogMeIn Company Logo' },
-    { value: 'dataxu', label: 'DataXu', logoAlt: 'DataXu Company Logo' }
-];
-
 // Path to template file
 const TEMPLATE_PATH = path.join(templatesDir, 'index-blank.html');
 
@@ -55,6 +50,15 @@ async function main() {
     console.clear();
     console.log('\n=== CREATE NEW PORTFOLIO PROJECT ===\n');
 
+    // Company options and author from the portfolio config
+    const config = await loadPortfolioConfig({ projectRoot: rootDir });
+    const COMPANIES = config.companies.map(company => ({
+        value: company.slug,
+        label: company.name,
+        logo: company.logo,
+        logoAlt: `${company.name} Company Logo`
+    }));
+
     // Check if template file exists
     if (!fs.existsSync(TEMPLATE_PATH)) {
         console.error(`Template file not found: ${TEMPLATE_PATH}`);
@@ -88,7 +92,7 @@ async function main() {
         });
 
         const companyIndex = await new Promise((resolve) => {
-            rl.question('\nEnter number (1-3): ', (answer) => {
+            rl.question(`\nEnter number (1-${COMPANIES.length}): `, (answer) => {
                 const index = parseInt(answer, 10) - 1;
                 if (isNaN(index) || index < 0 || index >= COMPANIES.length) {
                     console.log('\nInvalid selection. Please try again.\n');
@@ -154,7 +158,7 @@ async function main() {
         }
 
         // Create project structure
-        await createProjectStructure(company, projectName, projectSlug);
+        await createProjectStructure(company, projectName, projectSlug, config.author);
 
         console.log('\n✅ Project created successfully!');
         console.log(`\nProject location: /public_html/portfolio/${company.value}/${projectSlug}/`);
@@ -187,8 +191,9 @@ function sanitizeForUrl(string) {
  * @param {Object} company - Company object with value and label
  * @param {string} projectName - Project name
  * @param {string} projectSlug - URL-friendly project slug
+ * @param {string} author - Author name from the portfolio config
  */
-async function createProjectStructure(company, projectName, projectSlug) {
+async function createProjectStructure(company, projectName, projectSlug, author) {
     console.log('\nCreating project...');
 
     // Define paths
@@ -216,7 +221,7 @@ async function createProjectStructure(company, projectName, projectSlug) {
     console.log('✓ Created asset directories');
 
     // Create index.html from template
-    await createIndexFile(company, projectName, projectSlug, projectDir);
+    await createIndexFile(company, projectName, projectSlug, projectDir, author);
 
     // Add placeholder files
     await addPlaceholderFiles(assetDirs, company.value, projectSlug);
@@ -231,18 +236,19 @@ async function createProjectStructure(company, projectName, projectSlug) {
  * @param {string} projectName - Project name
  * @param {string} projectSlug - URL-friendly project slug
  * @param {string} projectDir - Project directory path
+ * @param {string} author - Author name from the portfolio config
  */
-async function createIndexFile(company, projectName, projectSlug, projectDir) {
+async function createIndexFile(company, projectName, projectSlug, projectDir, author) {
     // Read template file
     let templateContent = fs.readFileSync(TEMPLATE_PATH, 'utf8');
 
     // Replace placeholders
     const replacements = {
-        'UPDATEmeta-description': `Explore the ${projectName} project by Dan Reis.`,
-        'UPDATEtitle': `${projectName} | Dan Reis`,
+        'UPDATEmeta-description': `Explore the ${projectName} project by ${author}.`,
+        'UPDATEtitle': `${projectName} | ${author}`,
         'UPDATEh1': projectName,
         'UPDATE, UPDATE, UPDATE': 'UX/UI Design, Product Design',
-        'company-logo--mikmak.svg': `company-logo--${company.value}.svg`,
+        '/assets/images/portfolio/company-logo--mikmak.svg': company.logo,
         'MikMak Company Logo': company.logoAlt,
         'mikmak/custom-report-builder': `${company.value}/${projectSlug}`,
         'UPDATEsummary-heading': 'Summary',
@@ -269,9 +275,9 @@ async function createIndexFile(company, projectName, projectSlug, projectDir) {
         'UPDATElearnings-description': 'Project learnings and next steps go here.'
     };
 
-    // Apply all replacements
+    // Apply all replacements (the values are text, so they are HTML-escaped)
     for (const [placeholder, replacement] of Object.entries(replacements)) {
-        templateContent = templateContent.replace(new RegExp(placeholder, 'g'), replacement);
+        templateContent = templateContent.replace(new RegExp(placeholder, 'g'), () => escapeHtml(replacement));
     }
 
     // Fix asset paths for standard content
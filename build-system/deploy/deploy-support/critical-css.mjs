@@ -0,0 +1,407 @@
+/**
+ * Critical CSS
+ *
+ * Works out the above-the-fold CSS of each page template (home, portfolio,
+ * project, tag-index, tag, page) so it can be inlined into the head while the
+ * stylesheets load without blocking rendering (see
+ * scripts/11-inline-critical-css.mjs).
+ *
+ * A page is above the fold up to the first element matching the `fold`
+ * selector of the `criticalCss` config (default: main) - the skip link, nav,
+ * breadcrumbs and page header of the page templates - plus the fold element
+ * and its ancestors. A rule is critical when one of its selectors matches an
+ * element above the fold on any page of the template. Interaction states and
+ * pseudo-elements (:hover, ::before, ...) count as their element. @media and
+ * @supports blocks keep their critical rules; @font-face and @keyframes rules
+ * are kept when a critical rule uses their font or animation.
+ *
+ * The `criticalCss` section of the portfolio config:
+ * - fold: selector of the first element below the fold (default: main)
+ * - budget: most bytes of inlined CSS per template (default: 14336, 14 KB)
+ * - overBudget: `warn` (default) or `fail` when a template goes over the budget
+ */
+
+import path from 'path';
+import * as cheerio from 'cheerio';
+import CleanCSS from 'clean-css';
+import { fileExists, readTextFile } from './dry-run.mjs';
+import { escapeHtml, decodeHtmlEntities } from './html-template.mjs';
+import { getPageType } from './head-templates/inject-partials.mjs';
+import { getPageUrlPath } from './scripts/10-generate-sitemap.mjs';
+
+export const CRITICAL_CSS_BUDGET_ACTIONS = ['warn', 'fail'];
+
+export const DEFAULT_CRITICAL_CSS_SETTINGS = {
+    fold: 'main',
+    budget: 14 * 1024,
+    overBudget: 'warn'
+};
+
+const GROUPING_AT_RULES = ['media', 'supports', 'layer', 'container', 'document'];
+// Pseudo-classes and pseudo-elements that cannot be matched in a static page
+const STATE_PSEUDO_PATTERN = /::?(?:-[\w-]+|before|after|first-line|first-letter|placeholder|selection|marker|backdrop|file-selector-button|hover|focus-visible|focus-within|focus|active|visited|link|any-link|target)\b(?:\([^)]*\))?/gi;
+const ABSOLUTE_URL_PATTERN = /^(?:[a-z][\w+.-]*:|\/|#)/i;
+const STYLESHEET_LINKS = 'head link[rel~="stylesheet"][href], head link[rel="preload"][as="style"][href]';
+
+const parsedStylesheets = new Map();
+
+/**
+ * Removes the comments of a stylesheet, leaving strings alone
+ * @param {string} css - Stylesheet text
+ * @returns {string}
+ */
+function stripComments(css) {
+    return css.replace(/("(?:\\[\s\S]|[^"\\])*"|'(?:\\[\s\S]|[^'\\])*')|\/\*[\s\S]*?\*\//g, (match, string) => string || '');
+}
+
+/**
+ * Finds the end of a prelude or block, skipping strings and parentheses
+ * @param {string} css - Stylesheet text
+ * @param {number} start - Index to scan from
+ * @param {Function} isEnd - (character, depth) => whether the scan stops here
+ * @returns {number} - Index of the stopping character, or css.length
+ */
+function scan(css, start, isEnd) {
+    let quote = null;
+    let parens = 0;
+    let depth = 0;
+    for (let i = start; i < css.length; i++) {
+        const character = css[i];
+        if (quote) {
+            if (character === '\\') {
+                i++;
+            } else if (character === quote) {
+                quote = null;
+            }
+        } else if (character === '"' || character === '\'') {
+            quote = character;
+        } else if (character === '(') {
+            parens++;
+        } else if (character === ')') {
+            parens--;
+        } else if (parens === 0) {
+            if (isEnd(character, depth)) {
+                return i;
+            }
+            depth += character === '{' ? 1 : character === '}' ? -1 : 0;
+        }
+    }
+    return css.length;
+}
+
+/**
+ * Parses stylesheet text into rules and at-rules
+ * @param {string} css - Stylesheet text without comments
+ * @returns {Array<Object>} - { type: 'rule', selector, body }, { type: 'group', prelude, children } or { type: 'at', name, prelude, body }
+ */
+function parseRules(css) {
+    const nodes = [];
+    let i = 0;
+    while (i < css.length) {
+        const preludeEnd = scan(css, i, character => character === '{' || character === ';' || character === '}');
+        const prelude = css.slice(i, preludeEnd).trim();
+        if (css[preludeEnd] !== '{') {
+            // @import, @charset or a stray brace
+            i = preludeEnd + 1;
+            continue;
+        }
+
+        const bodyEnd = scan(css, preludeEnd + 1, (character, depth) => character === '}' && depth === 0);
+        const body = css.slice(preludeEnd + 1, bodyEnd);
+        i = bodyEnd + 1;
+
+        if (prelude.startsWith('@')) {
+            const name = prelude.slice(1).split(/[\s(]/)[0].toLowerCase();
+            nodes.push(GROUPING_AT_RULES.includes(name)
+                ? { type: 'group', prelude, children: parseRules(body) }
+                : { type: 'at', name, prelude, body });
+        } else if (prelude) {
+            nodes.push({ type: 'rule', selector: prelude, body });
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Lists the style rules of a parsed stylesheet in source order, including those in @media blocks
+ * @param {Array<Object>} nodes - Parsed rules
+ * @returns {Array<Object>} - Rule nodes; their position is the rule index used below
+ */
+function listStyleRules(nodes) {
+    return nodes.flatMap(node => node.type === 'rule' ? [node] : node.type === 'group' ? listStyleRules(node.children) : []);
+}
+
+/**
+ * Reads and parses a stylesheet of the build (cached)
+ * @param {string} file - Stylesheet file
+ * @returns {Object} - { nodes, rules }
+ */
+function readStylesheet(file) {
+    if (!parsedStylesheets.has(file)) {
+        const nodes = parseRules(stripComments(readTextFile(file)));
+        parsedStylesheets.set(file, { nodes, rules: listStyleRules(nodes) });
+    }
+    return parsedStylesheets.get(file);
+}
+
+/**
+ * Splits a selector list at its top-level commas
+ * @param {string} selectorList - e.g. "h1, :is(h2, h3) a"
+ * @returns {string[]}
+ */
+function splitSelectorList(selectorList) {
+    const selectors = [];
+    let start = 0;
+    let end;
+    while ((end = scan(selectorList, start, character => character === ',')) < selectorList.length) {
+        selectors.push(selectorList.slice(start, end).trim());
+        start = end + 1;
+    }
+    selectors.push(selectorList.slice(start).trim());
+    return selectors.filter(Boolean);
+}
+
+/**
+ * Finds the site path and file of a local stylesheet link
+ * @param {string} href - Link href
+ * @param {string} pagePath - Site path of the page
+ * @param {string} publicHtmlDir - The public_html directory within the build
+ * @returns {Object|null} - { sitePath, file }, or null for external stylesheets
+ */
+export function resolveStylesheet(href, pagePath, publicHtmlDir) {
+    if (/^(?:[a-z][\w+.-]*:|\/\/)/i.test(href)) {
+        return null;
+    }
+    const sitePath = new URL(href, `https://site.invalid${pagePath}`).pathname;
+    return { sitePath, file: path.join(publicHtmlDir, decodeURIComponent(sitePath)) };
+}
+
+/**
+ * Collects the elements above the fold: everything before the fold element,
+ * the fold element and its ancestors (the whole page when nothing matches the fold)
+ * @param {Function} $ - Parsed page (cheerio)
+ * @param {string} fold - Selector of the first element below the fold
+ * @returns {Set<Object>} - Element nodes
+ */
+function findAboveTheFold($, fold) {
+    const foldElement = $(fold).first()[0];
+    if (!foldElement) {
+        return new Set($('*').toArray());
+    }
+
+    const elements = new Set();
+    let reached = false;
+    const visit = (node) => {
+        for (const child of node.children || []) {
+            if (reached || child === foldElement) {
+                reached = true;
+                return;
+            }
+            if (child.type === 'tag' || child.type === 'script' || child.type === 'style') {
+                elements.add(child);
+                visit(child);
+            }
+        }
+    };
+    visit($.root()[0]);
+    for (let node = foldElement; node && node.type !== 'root'; node = node.parent) {
+        elements.add(node);
+    }
+    return elements;
+}
+
+/**
+ * Whether a selector matches an element above the fold
+ * Selectors the page parser cannot match are kept, to be safe.
+ * @param {Function} $ - Parsed page (cheerio)
+ * @param {string} selector - A single selector
+ * @param {Set<Object>} aboveTheFold - Elements above the fold
+ * @returns {boolean}
+ */
+function matchesAboveTheFold($, selector, aboveTheFold) {
+    let staticSelector = selector.replace(STATE_PSEUDO_PATTERN, '').trim();
+    if (staticSelector === '' || /[>+~]$/.test(staticSelector)) {
+        staticSelector += '*';
+    }
+    try {
+        return $(staticSelector).toArray().some(element => aboveTheFold.has(element));
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * Finds the critical rules of a page (runs on a pool worker)
+ * @param {string} filePath - Page file
+ * @param {string} publicHtmlDir - The public_html directory within the build
+ * @param {string} fold - Selector of the first element below the fold
+ * @returns {Object} - { template, stylesheets } with { sitePath, file, rules } (critical rule indices) per local stylesheet
+ */
+export function findCriticalRules(filePath, publicHtmlDir, fold) {
+    const relativePath = path.relative(publicHtmlDir, filePath);
+    const pagePath = getPageUrlPath(relativePath);
+    const $ = cheerio.load(readTextFile(filePath), { decodeEntities: false });
+    let aboveTheFold;
+    try {
+        aboveTheFold = findAboveTheFold($, fold);
+    } catch (error) {
+        throw new Error(`criticalCss.fold "${fold}" is not a valid selector: ${error.message}`);
+    }
+
+    const hrefs = [...new Set($(STYLESHEET_LINKS).toArray()
+        .filter(link => $(link).attr('media') !== 'print')
+        .map(link => $(link).attr('href')))];
+    const stylesheets = hrefs
+        .map(href => resolveStylesheet(href, pagePath, publicHtmlDir))
+        .filter(stylesheet => stylesheet && fileExists(stylesheet.file))
+        .map(({ sitePath, file }) => {
+            const matches = new Map();
+            const rules = readStylesheet(file).rules
+                .map((rule, index) => {
+                    const critical = splitSelectorList(rule.selector).some(selector => {
+                        if (!matches.has(selector)) {
+                            matches.set(selector, matchesAboveTheFold($, selector, aboveTheFold));
+                        }
+                        return matches.get(selector);
+                    });
+                    return critical ? index : -1;
+                })
+                .filter(index => index !== -1);
+            return { sitePath, file, rules };
+        });
+
+    return { template: getPageType(relativePath), stylesheets };
+}
+
+/**
+ * Points the relative url()s of inlined CSS at the stylesheet they came from
+ * @param {string} css - Declarations or rules
+ * @param {string} sitePath - Site path of the stylesheet
+ * @returns {string}
+ */
+function rebaseUrls(css, sitePath) {
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+        if (ABSOLUTE_URL_PATTERN.test(url)) {
+            return match;
+        }
+        const rebased = new URL(url, `https://site.invalid${sitePath}`);
+        return `url(${quote}${rebased.pathname}${rebased.search}${rebased.hash}${quote})`;
+    });
+}
+
+/**
+ * Renders the critical CSS of a template
+ * @param {Array<Object>} stylesheets - { sitePath, file, rules } per stylesheet, in page order (rules: Set of critical rule indices)
+ * @returns {string} - Minified CSS, empty when nothing is critical
+ */
+export function renderCriticalCss(stylesheets) {
+    const parts = stylesheets.map(({ sitePath, file, rules }) => {
+        const { nodes, rules: styleRules } = readStylesheet(file);
+        const critical = new Set([...rules].map(index => styleRules[index]));
+        const usedDeclarations = [...critical].map(rule => rule.body).join('\n');
+        const isUsed = name => new RegExp(`(^|[\\s,:'"])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[\\s,;'"!])`, 'im').test(usedDeclarations);
+
+        const render = nodeList => nodeList.map(node => {
+            if (node.type === 'rule') {
+                return critical.has(node) ? `${node.selector}{${node.body}}` : '';
+            }
+            if (node.type === 'group') {
+                const children = render(node.children);
+                return children ? `${node.prelude}{${children}}` : '';
+            }
+            if (node.name === 'font-face') {
+                const family = node.body.match(/font-family\s*:\s*(["']?)([^;"']+)\1/i);
+                return family && isUsed(family[2].trim()) ? `${node.prelude}{${node.body}}` : '';
+            }
+            if (node.name.endsWith('keyframes')) {
+                const name = node.prelude.split(/\s+/)[1];
+                return name && isUsed(name) ? `${node.prelude}{${node.body}}` : '';
+            }
+            return '';
+        }).join('');
+
+        return rebaseUrls(render(nodes), sitePath);
+    });
+
+    const css = parts.join('\n');
+    if (!css.trim()) {
+        return '';
+    }
+    const minified = new CleanCSS({ level: 1 }).minify(css);
+    // Keep the CSS inside the style element whatever it contains
+    return (minified.errors.length > 0 ? css : minified.styles).replace(/<\/style/gi, '<\\/style');
+}
+
+/**
+ * Renders the attributes of a stylesheet link, leaving out the ones the preload sets
+ * Values are read undecoded (decodeEntities: false), so they are decoded before escaping.
+ * @param {Object} attributes - Attributes of the original link element
+ * @returns {string} - Attribute markup with a leading space per attribute
+ */
+function renderLinkAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([name]) => !['rel', 'as', 'onload'].includes(name.toLowerCase()))
+        .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeHtml(decodeHtmlEntities(value))}"`))
+        .join('');
+}
+
+/**
+ * Creates the critical CSS page transform (see page-transforms.mjs)
+ * Inlines the critical CSS of the page's template before its first stylesheet
+ * and turns the local stylesheets into preloads that apply once loaded, with a
+ * <noscript> fallback. Both keep the attributes of the original link (media,
+ * integrity, crossorigin, title, ...).
+ * @param {Object} options - Transform options
+ * @param {Object} options.css - Critical CSS per template (see scripts/11-inline-critical-css.mjs)
+ * @returns {Object|null} - Page transform, or null without critical CSS
+ */
+export function createCriticalCssTransform({ css = null } = {}) {
+    if (!css) {
+        return null;
+    }
+
+    return {
+        transform({ $, relativePath }) {
+            const criticalCss = css[getPageType(relativePath)];
+            if (!criticalCss) {
+                return 0;
+            }
+            const pagePath = getPageUrlPath(relativePath);
+            let changes = 0;
+
+            const $links = $('head link[rel~="stylesheet"][href]').filter((index, link) =>
+                $(link).closest('noscript').length === 0 &&
+                $(link).attr('media') !== 'print' &&
+                resolveStylesheet($(link).attr('href'), pagePath, '') !== null);
+
+            const $style = $('head style[data-critical-css]');
+            if ($style.length > 0) {
+                if ($style.html() !== criticalCss) {
+                    $style.html(criticalCss);
+                    changes++;
+                }
+            } else {
+                const $firstStylesheet = $links.length > 0 ? $links.first() : $('head link[rel="preload"][as="style"]').first();
+                const markup = `<style data-critical-css>${criticalCss}</style>`;
+                if ($firstStylesheet.length > 0) {
+                    $firstStylesheet.before(`${markup}\n  `);
+                } else {
+                    $('head').append(`  ${markup}\n`);
+                }
+                changes++;
+            }
+
+            $links.each((index, link) => {
+                const href = $(link).attr('href');
+                // The stylesheet becomes a preload itself
+                $('head link[rel="preload"][as="style"]').filter((i, preload) => $(preload).attr('href') === href).remove();
+                const attributes = renderLinkAttributes(link.attribs);
+                $(link).replaceWith(`<link rel="preload"${attributes} as="style" onload="this.onload=null;this.rel='stylesheet'" />\n  ` +
+                    `<noscript><link rel="stylesheet"${attributes} /></noscript>`);
+                changes++;
+            });
+
+            return changes;
+        }
+    };
+}
@@ -0,0 +1,409 @@
+/**
+ * Dry-Run Mode
+ *
+ * `build.mjs --dry-run` runs the pipeline as usual but leaves the project
+ * untouched. Step scripts do their file I/O through the helpers below; in a
+ * dry run every write goes to a scratch overlay directory outside the project
+ * and is recorded as a `plan` build event (create, modify or delete, with a
+ * unified diff for changed HTML). Reads see the overlay first, so later steps
+ * work on the planned output of earlier ones.
+ *
+ * Like the event log, the overlay location is passed to step processes through
+ * an environment variable (BUILD_DRY_RUN). Outside a dry run the helpers are
+ * plain file operations.
+ *
+ * Usage:
+ *   const html = readTextFile(file);
+ *   writeTextFile(file, transform(html));
+ *
+ *   // Native tools (sharp, ffmpeg) write to resolveWritePath(file), then:
+ *   recordWrite(file);
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { emitBuildEvent } from './build-events.mjs';
+
+const JOURNAL_FILE = 'journal.txt';
+const DIFF_CONTEXT_LINES = 3;
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Whether the current process is part of a dry run
+ * @returns {boolean}
+ */
+export function isDryRun() {
+    return Boolean(process.env.BUILD_DRY_RUN);
+}
+
+/**
+ * Starts a dry run for this process and its children
+ * @returns {string} - Overlay directory holding the planned files
+ */
+export function startDryRun() {
+    const overlayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-dry-run-'));
+    fs.writeFileSync(path.join(overlayDir, JOURNAL_FILE), '', 'utf8');
+    process.env.BUILD_DRY_RUN = overlayDir;
+    return overlayDir;
+}
+
+/**
+ * Ends the dry run and deletes the overlay
+ */
+export function finishDryRun() {
+    const overlayDir = process.env.BUILD_DRY_RUN;
+    if (overlayDir) {
+        fs.rmSync(overlayDir, { recursive: true, force: true });
+        delete process.env.BUILD_DRY_RUN;
+    }
+}
+
+function overlayPath(file) {
+    return path.join(process.env.BUILD_DRY_RUN, 'files', path.resolve(file));
+}
+
+function toRelative(file) {
+    return path.relative(process.cwd(), path.resolve(file));
+}
+
+// The journal is append-only, so it only needs re-reading when it grew
+let journalCache = { size: -1, state: new Map() };
+
+/**
+ * Reads the overlay journal: the last planned operation for each file
+ * @returns {Map<string, string>} - Absolute path → '+' (written) or '-' (deleted)
+ */
+function readJournal() {
+    const journalPath = path.join(process.env.BUILD_DRY_RUN, JOURNAL_FILE);
+    const size = fs.statSync(journalPath).size;
+    if (size !== journalCache.size) {
+        const state = new Map();
+        for (const line of fs.readFileSync(journalPath, 'utf8').split('\n').filter(Boolean)) {
+            state.set(line.slice(1), line[0]);
+        }
+        journalCache = { size, state };
+    }
+    return journalCache.state;
+}
+
+function appendJournal(operation, file) {
+    fs.appendFileSync(path.join(process.env.BUILD_DRY_RUN, JOURNAL_FILE), `${operation}${path.resolve(file)}\n`, 'utf8');
+}
+
+function planChange(action, file, details = {}) {
+    console.log(`📝 Would ${action} ${toRelative(file)}`);
+    emitBuildEvent('plan', { action, file: toRelative(file), ...details });
+}
+
+/**
+ * Returns the path holding the current version of a file
+ * @param {string} file - File path as the step sees it
+ * @returns {string} - The overlay copy if the dry run changed the file, otherwise the file itself
+ */
+export function resolveReadPath(file) {
+    if (!isDryRun()) {
+        return file;
+    }
+    const planned = readJournal().get(path.resolve(file));
+    return planned ? overlayPath(file) : file;
+}
+
+/**
+ * Whether a file exists (including files planned by the dry run)
+ * @param {string} file - File path
+ * @returns {boolean}
+ */
+export function fileExists(file) {
+    return fs.existsSync(resolveReadPath(file));
+}
+
+/**
+ * Whether a directory exists (including directories planned by the dry run)
+ * @param {string} dir - Directory path
+ * @returns {boolean}
+ */
+export function directoryExists(dir) {
+    return fs.existsSync(dir) || (isDryRun() && fs.existsSync(overlayPath(dir)));
+}
+
+/**
+ * Reads a text file (including files planned by the dry run)
+ * @param {string} file - File path
+ * @returns {string}
+ */
+export function readTextFile(file) {
+    return fs.readFileSync(resolveReadPath(file), 'utf8');
+}
+
+/**
+ * Lists the files in a directory tree (including files planned by the dry run)
+ * @param {string} dir - Directory to list
+ * @param {Object} options - Listing options
+ * @param {string[]} options.extensions - Only include files with these extensions (e.g. ['.html'])
+ * @returns {string[]} - Sorted file paths, joined onto dir
+ */
+export function listFiles(dir, { extensions = null } = {}) {
+    const files = new Set();
+    const journal = isDryRun() ? readJournal() : new Map();
+
+    const walk = (rootDir, currentDir) => {
+        if (!fs.existsSync(currentDir)) {
+            return;
+        }
+        for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+            const fullPath = path.join(currentDir, entry.name);
+            if (entry.isDirectory()) {
+                walk(rootDir, fullPath);
+            } else if (!extensions || extensions.includes(path.extname(entry.name).toLowerCase())) {
+                files.add(path.join(dir, path.relative(rootDir, fullPath)));
+            }
+        }
+    };
+
+    walk(dir, dir);
+    if (isDryRun()) {
+        walk(overlayPath(dir), overlayPath(dir));
+    }
+
+    return [...files]
+        .filter(file => journal.get(path.resolve(file)) !== '-')
+        .sort();
+}
+
+/**
+ * Writes a text file, or plans the write in a dry run
+ * @param {string} file - File path
+ * @param {string} content - New content
+ * @returns {boolean} - Whether the content changed (always true outside a dry run)
+ */
+export function writeTextFile(file, content) {
+    if (!isDryRun()) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content, 'utf8');
+        return true;
+    }
+
+    const previous = fileExists(file) ? readTextFile(file) : null;
+    if (previous === content) {
+        return false;
+    }
+
+    const target = overlayPath(file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content, 'utf8');
+    appendJournal('+', file);
+
+    if (previous === null) {
+        planChange('create', file);
+    } else {
+        const diff = path.extname(file).toLowerCase() === '.html' ? createUnifiedDiff(previous, content, toRelative(file)) : undefined;
+        planChange('modify', file, { diff });
+    }
+    return true;
+}
+
+/**
+ * Copies a file, or plans the copy in a dry run (unchanged files are not planned)
+ * @param {string} source - File to copy
+ * @param {string} destination - Destination path
+ */
+export function copyFile(source, destination) {
+    if (!isDryRun()) {
+        fs.mkdirSync(path.dirname(destination), { recursive: true });
+        fs.copyFileSync(source, destination);
+        return;
+    }
+
+    const content = fs.readFileSync(resolveReadPath(source));
+    const existed = fileExists(destination);
+    if (existed && content.equals(fs.readFileSync(resolveReadPath(destination)))) {
+        return;
+    }
+
+    const target = overlayPath(destination);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    appendJournal('+', destination);
+    planChange(existed ? 'modify' : 'create', destination);
+}
+
+/**
+ * Deletes a file, or plans the deletion in a dry run
+ * @param {string} file - File path
+ */
+export function removeFile(file) {
+    if (!isDryRun()) {
+        fs.rmSync(file, { force: true });
+        return;
+    }
+
+    if (fileExists(file)) {
+        fs.rmSync(overlayPath(file), { force: true });
+        appendJournal('-', file);
+        planChange('delete', file);
+    }
+}
+
+/**
+ * Creates a directory, or plans it in a dry run
+ * @param {string} dir - Directory path
+ * @returns {boolean} - Whether the directory was (or would be) created
+ */
+export function ensureDirectory(dir) {
+    if (directoryExists(dir)) {
+        return false;
+    }
+    if (isDryRun()) {
+        fs.mkdirSync(overlayPath(dir), { recursive: true });
+        planChange('create', `${dir}${path.sep}`);
+    } else {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return true;
+}
+
+/**
+ * Returns where a native tool (sharp, ffmpeg) should write a file; call recordWrite afterwards
+ * @param {string} file - File path as the step sees it
+ * @returns {string} - The overlay path in a dry run, otherwise the file itself
+ */
+export function resolveWritePath(file) {
+    const target = isDryRun() ? overlayPath(file) : file;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    return target;
+}
+
+/**
+ * Records a file written to resolveWritePath() as planned (no-op outside a dry run)
+ * @param {string} file - File path as the step sees it
+ */
+export function recordWrite(file) {
+    if (!isDryRun() || !fs.existsSync(overlayPath(file))) {
+        return;
+    }
+
+    const alreadyPlanned = readJournal().get(path.resolve(file)) === '+';
+    if (!alreadyPlanned && fs.existsSync(file) && fs.readFileSync(file).equals(fs.readFileSync(overlayPath(file)))) {
+        // Same bytes as the existing file: nothing would change
+        fs.rmSync(overlayPath(file), { force: true });
+        return;
+    }
+
+    appendJournal('+', file);
+    planChange(alreadyPlanned || fs.existsSync(file) ? 'modify' : 'create', file);
+}
+
+/**
+ * Creates a unified diff between two versions of a text file
+ * @param {string} before - Previous content
+ * @param {string} after - New content
+ * @param {string} label - File name for the diff header
+ * @returns {string} - Unified diff ('' when the contents are equal)
+ */
+export function createUnifiedDiff(before, after, label) {
+    if (before === after) {
+        return '';
+    }
+
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // Trim the common prefix and suffix, then diff the middle with an LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const rows = endA - start;
+    const cols = endB - start;
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    // Very large rewrites are shown as one removed and one added block instead
+    if (rows * cols <= MAX_DIFF_CELLS) {
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lcs[i][j] = a[start + i] === b[start + j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+    }
+
+    // Edit script over the whole file: [' ' | '-' | '+', line, lineA, lineB]
+    const ops = [];
+    for (let i = 0; i < start; i++) {
+        ops.push([' ', a[i], i, i]);
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+        if (i < rows && j < cols && a[start + i] === b[start + j]) {
+            ops.push([' ', a[start + i], start + i, start + j]);
+            i++;
+            j++;
+        } else if (i < rows && (j === cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push(['-', a[start + i], start + i, start + j]);
+            i++;
+        } else {
+            ops.push(['+', b[start + j], start + i, start + j]);
+            j++;
+        }
+    }
+    for (let k = 0; k < a.length - endA; k++) {
+        ops.push([' ', a[endA + k], endA + k, endB + k]);
+    }
+
+    // Group changes into hunks with surrounding context
+    const hunks = [];
+    let hunk = null;
+    ops.forEach((op, index) => {
+        if (op[0] === ' ') {
+            return;
+        }
+        const from = Math.max(0, index - DIFF_CONTEXT_LINES);
+        const to = Math.min(ops.length, index + DIFF_CONTEXT_LINES + 1);
+        if (hunk && from <= hunk.to) {
+            hunk.to = to;
+        } else {
+            hunk = { from, to };
+            hunks.push(hunk);
+        }
+    });
+
+    const lines = [`--- a/${label}`, `+++ b/${label}`];
+    for (const { from, to } of hunks) {
+        const slice = ops.slice(from, to);
+        const countA = slice.filter(op => op[0] !== '+').length;
+        const countB = slice.filter(op => op[0] !== '-').length;
+        lines.push(`@@ -${slice[0][2] + 1},${countA} +${slice[0][3] + 1},${countB} @@`);
+        slice.forEach(([type, line]) => lines.push(`${type}${line}`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes a unified diff of every planned change to an HTML file, against the files on disk
+ * @param {string} diffPath - Where to write the diff
+ * @param {string[]} files - Project-relative paths of the changed files
+ * @returns {number} - Number of files in the diff
+ */
+export function writeDryRunDiff(diffPath, files) {
+    const diffs = files
+        .filter(file => path.extname(file).toLowerCase() === '.html')
+        .map(file => createUnifiedDiff(
+            fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '',
+            fileExists(file) ? readTextFile(file) : '',
+            file
+        ))
+        .filter(Boolean);
+
+    fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+    fs.writeFileSync(diffPath, diffs.join(''), 'utf8');
+    return diffs.length;
+}
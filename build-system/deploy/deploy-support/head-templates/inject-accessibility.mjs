@@ -0,0 +1,112 @@
+/**
+ * Accessibility Injection Script
+ *
+ * Adds the landmark plumbing every page needs, as the last of the page
+ * transforms (see ../page-transforms.mjs), so it sees the nav and footer:
+ * 1. Gives the main landmark the id main-content when it has no id
+ * 2. Adds a "Skip to content" link to it at the start of <body>
+ * 3. Labels the site nav (the nav partial's links carry data-page) when the
+ *    nav partial of the project does not
+ *
+ * It also checks that each page has exactly one main landmark (<main> or
+ * role="main"), exactly one <h1> and a lang attribute on <html>. Violations are
+ * build warnings: they are listed at the end of the build and in
+ * build-report.json, without failing the build.
+ *
+ * The skip link has the class skip-link. A small <style data-skip-link> in the
+ * head hides it until it is focused; site CSS for .skip-link can restyle it.
+ *
+ * Usage:
+ * node inject-accessibility.mjs <build-directory>
+ *
+ * Or import injectAccessibility(buildDir) to run it from a script.
+ */
+
+import { transformPages } from '../page-transforms.mjs';
+
+const DEFAULT_BUILD_DIR = 'build/temp';
+const MAIN_CONTENT_ID = 'main-content';
+const SKIP_LINK_TEXT = 'Skip to content';
+const NAV_LABEL = 'Main';
+// Visually hidden until focused, then shown at the top left of the page
+const SKIP_LINK_CSS = '.skip-link{position:absolute;left:0;top:0;z-index:1000;padding:.5rem 1rem;background:#fff;color:#000;' +
+    'transform:translateY(-100%)}.skip-link:focus{transform:none}';
+
+/**
+ * Creates the accessibility page transform (see ../page-transforms.mjs)
+ * @returns {Object} - Page transform
+ */
+export function createAccessibilityTransform() {
+    return {
+        transform({ $, warn }) {
+            let changes = 0;
+
+            const mains = $('main, [role="main"]');
+            const h1Count = $('h1').length;
+            if (mains.length !== 1) {
+                warn(`has ${mains.length} main landmarks (expected exactly one <main>)`);
+            }
+            if (h1Count !== 1) {
+                warn(`has ${h1Count} <h1> elements (expected exactly one)`);
+            }
+            if (!($('html').attr('lang') || '').trim()) {
+                warn('has no lang attribute on <html>');
+            }
+
+            // Step 1 and 2: Skip link to the main landmark, once
+            if (mains.length === 1 && $('body').length > 0) {
+                const $main = mains.first();
+                if (!$main.attr('id')) {
+                    $main.attr('id', MAIN_CONTENT_ID);
+                    changes++;
+                }
+                const target = `#${$main.attr('id')}`;
+                if (!$('a[href]').toArray().some(link => $(link).attr('href') === target)) {
+                    $('body').prepend(`\n  <a class="skip-link" href="${target}">${SKIP_LINK_TEXT}</a>`);
+                    changes++;
+                }
+                // Early in the head, so the site stylesheets come after it and can restyle the link
+                if ($('a.skip-link').length > 0 && $('style[data-skip-link]').length === 0 && $('head').length > 0) {
+                    const style = `<style data-skip-link>${SKIP_LINK_CSS}</style>`;
+                    const $charset = $('head meta[charset]').first();
+                    if ($charset.length > 0) {
+                        $charset.after(`\n  ${style}`);
+                    } else {
+                        $('head').prepend(`\n  ${style}`);
+                    }
+                    changes++;
+                }
+            }
+
+            // Step 3: Label the site nav
+            $('nav:not([aria-label]):not([aria-labelledby])').each((index, nav) => {
+                if ($(nav).find('a[data-page]').length > 0) {
+                    $(nav).attr('aria-label', NAV_LABEL);
+                    changes++;
+                }
+            });
+
+            return changes;
+        }
+    };
+}
+
+/**
+ * Adds the skip links and checks the landmarks of all HTML files of a build
+ * The build runs this transform in the transform-pages step together with the others.
+ * @param {string} buildDir - Build directory (default: build/temp)
+ * @returns {Promise<Object>} - { changed, warnings } with the number of files changed and the violations found
+ */
+export async function injectAccessibility(buildDir = DEFAULT_BUILD_DIR) {
+    const { transforms, warnings } = await transformPages(buildDir, { transforms: ['accessibility'] });
+    console.log(`♿ Accessibility: ${transforms.accessibility.pages} files changed, ${warnings.length} violations`);
+    return { changed: transforms.accessibility.pages, warnings };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    injectAccessibility(process.argv[2]).catch(error => {
+        console.error(`Error injecting accessibility markup: ${error.message}`);
+        process.exit(1);
+    });
+}
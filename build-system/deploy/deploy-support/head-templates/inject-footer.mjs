@@ -1,37 +1,23 @@
-import fs from 'fs';
-import path from 'path';
+import { injectPartials } from './inject-partials.mjs';
 
-const BUILD_DIR = path.resolve('build/temp/public_html');
-const FOOTER_HTML = `\n    <!-- FOOTER -->\n    <div class="wrapper">\n        <footer class="footer" role="contentinfo">\n            <p>\n                <b><a href="https://github.com/dreisdesign/portfolio-build?tab=readme-ov-file#portfolio-build-system" target="_blank" rel="noopener noreferrer">Designed and Developed</a></b>\n            </p>\n        </footer>\n    </div>\n`;
+const DEFAULT_BUILD_DIR = 'build/temp';
 
-function injectFooter(html) {
-    // Only inject if the build insert comment is present
-    if (html.includes('<!-- BUILD_INSERT id="footer" -->')) {
-        return html.replace('<!-- BUILD_INSERT id="footer" -->', `${FOOTER_HTML}`);
-    }
-    // Otherwise, do not inject anything
-    return html;
+/**
+ * Injects the footer partial (partials/footer.html) into all HTML files of a build
+ * The build injects every partial in one pass (inject-partials.mjs); this injects just the footer.
+ * @param {string} buildDir - Build directory (default: build/temp)
+ * @returns {Promise<number>} - Number of files that changed
+ */
+export async function injectFooter(buildDir = DEFAULT_BUILD_DIR) {
+    const { injected } = await injectPartials(buildDir, { only: ['footer'] });
+    console.log('Footer injection complete.');
+    return injected;
 }
 
-function processFile(filePath) {
-    let html = fs.readFileSync(filePath, 'utf8');
-    const updated = injectFooter(html);
-    if (updated !== html) {
-        fs.writeFileSync(filePath, updated, 'utf8');
-        console.log(`Injected footer: ${filePath}`);
-    }
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    injectFooter(process.argv[2]).catch(error => {
+        console.error(`Error injecting footer: ${error.message}`);
+        process.exit(1);
+    });
 }
-
-function walk(dir) {
-    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
-        const fullPath = path.join(dir, entry.name);
-        if (entry.isDirectory()) {
-            walk(fullPath);
-        } else if (entry.isFile() && entry.name.endsWith('.html')) {
-            processFile(fullPath);
-        }
-    }
-}
-
-walk(BUILD_DIR);
-console.log('Footer injection complete.');
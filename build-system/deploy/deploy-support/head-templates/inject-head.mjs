@@ -5,69 +5,58 @@
  * Version: 1.4.0
  * Author: Daniel Reis
  *
- * Injects common HTML head elements into all HTML files during the build process:
- * 1. At the start of <head>: Adds standard meta tags and timestamp comment
+ * Injects common HTML head elements into all HTML files during the build process,
+ * as one of the page transforms (see ../page-transforms.mjs):
+ * 1. At the start of <head>: Adds the standard meta tags the page is missing
  * 2. Replaces <!-- BUILD_INSERT id="head" --> placeholder with the common head content
  * 3. Or inserts content before </head> if no placeholder is found
  * 4. Uses minified CSS (.min.css) for production builds
  * 5. Adds video-wrapper.js script to portfolio pages
+ * 6. Adds Open Graph, Twitter card and JSON-LD tags before </head> (see social-meta.mjs)
  * 
  * Usage:
  * node inject-head.mjs <build-directory>
+ *
+ * Or import injectHeadContent(buildDir) to run it from a script.
  */
 
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { listFiles } from '../dry-run.mjs';
+import { loadPortfolioConfig } from '../portfolio-config.mjs';
+import { createSocialMetaTags, SOCIAL_META_MARKER } from './social-meta.mjs';
+import { transformPages, findComments } from '../page-transforms.mjs';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Get command line arguments
-const args = process.argv.slice(2);
-const buildDir = args[0];
-
-if (!buildDir) {
-    console.error('Error: Build directory not specified');
-    process.exit(1);
-}
-
-// Create timestamp for versioning
-const dateObj = new Date();
-const machineTimestamp = dateObj.toISOString().slice(0, 10).replace(/-/g, '') + '-' +
-    dateObj.toTimeString().slice(0, 5).replace(':', '');
-
-// Determine if this is a production build by checking if minified CSS files exist
-const stylesDir = path.join(buildDir, 'styles');
-let isProductionBuild = false;
-
-if (fs.existsSync(stylesDir)) {
-    // Check for any .min.css files in the styles directory
-    const files = fs.readdirSync(stylesDir);
-    isProductionBuild = files.some(file => file.endsWith('.min.css'));
+/**
+ * Creates the YYYYMMDD-HHMM timestamp used to version assets
+ * @param {Date} dateObj - Time to stamp (default: now)
+ * @returns {string}
+ */
+function createMachineTimestamp(dateObj = new Date()) {
+    return dateObj.toISOString().slice(0, 10).replace(/-/g, '') + '-' +
+        dateObj.toTimeString().slice(0, 5).replace(':', '');
 }
 
-console.log(`Build type: ${isProductionBuild ? 'Production (using .min.css)' : 'Development (using .css)'}`);
-
 // =========================================================
 // TEMPLATE CONTENT - Consolidated directly in this file
 // =========================================================
 
 // Essential meta tags for the beginning of head section
-const headStartTemplate = `<!-- Essential Meta Tags -->
-  <meta charset="UTF-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <meta name="theme-color" content="#fff" />`;
-
-// Define headStartContent from the template
-const headStartContent = headStartTemplate;
+const ESSENTIAL_META_TAGS = [
+    { selector: 'meta[charset]', markup: '<meta charset="UTF-8" />' },
+    { selector: 'meta[name="viewport"]', markup: '<meta name="viewport" content="width=device-width, initial-scale=1.0" />' },
+    { selector: 'meta[name="theme-color"]', markup: '<meta name="theme-color" content="#fff" />' }
+];
 
 // Common head elements for all pages
-const headCommonTemplate = `<!-- Common head elements for all pages -->
+const createHeadCommonTemplate = (isProductionBuild) => `<!-- Common head elements for all pages -->
   <!-- Font Display Strategy -->
-  <style>
+  <style data-build-head>
     @font-face {
         font-family: "Source Sans 3 VF";
         src: url("/fonts/SourceSans3VF.woff2") format("woff2-variations");
@@ -97,24 +86,14 @@ const portfolioScriptsTemplate = `
   <!-- Portfolio-specific scripts -->
   <script defer src="/js/video-wrapper.js?v={{VERSION}}"></script>`;
 
-// Replace version placeholder in templates
-const headCommonContent = headCommonTemplate.replace(/{{VERSION}}/g, machineTimestamp);
-const portfolioScriptsContent = portfolioScriptsTemplate.replace(/{{VERSION}}/g, machineTimestamp);
-
-// Helper function to check if essential meta tags are already present
-function hasEssentialMetaTags(content) {
-    return content.includes('<meta charset="UTF-8"') &&
-        content.includes('<meta name="viewport"') &&
-        content.includes('<meta name="theme-color"');
-}
-
 // Helper function to check if full head content is already injected
-function hasInjectedHeadContent(content) {
-    // Check for main stylesheet which is part of injected content
-    return content.includes('href="/styles/main') &&
-        content.includes('rel="stylesheet"') &&
-        content.includes('Source Sans 3 VF') &&
-        content.includes('rel="preload"');
+function hasInjectedHeadContent($) {
+    if ($('style[data-build-head]').length > 0) {
+        return true;
+    }
+    // Pages injected before the marker: the main stylesheet may have become a preload (see ../critical-css.mjs)
+    return $('link[href^="/styles/main"]').length > 0 &&
+        $('style').text().includes('Source Sans 3 VF');
 }
 
 // Helper function to check if a file is in the portfolio section
@@ -122,111 +101,108 @@ function isPortfolioPage(filePath) {
     return filePath.includes('/portfolio/');
 }
 
-// Find all HTML files in the build directory
-function findHtmlFiles(dir) {
-    let results = [];
-    const list = fs.readdirSync(dir);
-
-    list.forEach(file => {
-        const filePath = path.join(dir, file);
-        const stat = fs.statSync(filePath);
+/**
+ * Creates the head page transform (see ../page-transforms.mjs)
+ * @param {Object} options - Transform options
+ * @param {string} options.version - Version used for asset cache busting (default: YYYYMMDD-HHMM of the pass)
+ * @param {Object} site - { buildDir, publicHtmlDir, startedAt }
+ * @returns {Promise<Object>} - Page transform
+ */
+export async function createHeadTransform({ version } = {}, { buildDir, publicHtmlDir, startedAt }) {
+    // Every worker stamps the same version
+    version = version || createMachineTimestamp(new Date(startedAt));
 
-        if (stat.isDirectory()) {
-            // Recurse into subdirectory
-            results = results.concat(findHtmlFiles(filePath));
-        } else if (path.extname(filePath).toLowerCase() === '.html') {
-            results.push(filePath);
-        }
-    });
+    // Determine if this is a production build by checking if minified CSS files exist
+    const stylesDir = path.join(buildDir, 'styles');
+    // Check for any .min.css files in the styles directory
+    const isProductionBuild = listFiles(stylesDir, { extensions: ['.css'] }).some(file => file.endsWith('.min.css'));
 
-    return results;
-}
+    // Replace version placeholder in templates
+    const headCommonContent = createHeadCommonTemplate(isProductionBuild).replace(/{{VERSION}}/g, version);
+    const portfolioScriptsContent = portfolioScriptsTemplate.replace(/{{VERSION}}/g, version);
 
-async function injectHeadContent() {
-    try {
-        // Find all HTML files in the build directory
-        const htmlFiles = findHtmlFiles(buildDir);
-        console.log(`Found ${htmlFiles.length} HTML files for head injection`);
+    // Social metadata needs page URLs, so pages are located relative to the site root
+    const config = await loadPortfolioConfig();
 
-        let injectedCount = 0;
-        let placeholderCount = 0;
-        let insertBeforeHeadCount = 0;
-        let portfolioPageCount = 0;
+    return {
+        // Replace any {{VERSION}} placeholders throughout the document
+        prepare: pageHtml => pageHtml.replace(/{{VERSION}}/g, version),
 
-        for (const file of htmlFiles) {
-            // Read file content
-            let content = fs.readFileSync(file, 'utf8');
-            let injected = false;
-            let modified = false;
-            const isPortfolio = isPortfolioPage(file);
+        transform({ $, filePath, relativePath }) {
+            const $head = $('head');
+            let changes = 0;
 
             // Prepare the appropriate head content based on page type
             let headContent = headCommonContent;
-            if (isPortfolio) {
+            if (isPortfolioPage(filePath)) {
                 headContent += portfolioScriptsContent;
-                portfolioPageCount++;
             }
 
-            // Step 1: Update meta tags at beginning of head section if needed
-            const headStartPos = content.indexOf('<head>');
-            if (headStartPos !== -1) {
-                // Only insert essential meta tags if they aren't already present
-                if (!hasEssentialMetaTags(content)) {
-                    const headStartInsertPos = headStartPos + 6; // Length of '<head>'
-                    content = content.slice(0, headStartInsertPos) + '\n  ' + headStartContent + content.slice(headStartInsertPos);
-                    modified = true;
+            // Step 1: Add the essential meta tags the page is missing at the beginning of head (after its charset)
+            const missingMetaTags = ESSENTIAL_META_TAGS.filter(tag => $(tag.selector).length === 0);
+            if (missingMetaTags.length > 0) {
+                const metaTags = `\n  <!-- Essential Meta Tags -->\n  ${missingMetaTags.map(tag => tag.markup).join('\n  ')}`;
+                const $charset = $head.find('meta[charset]').first();
+                if ($charset.length > 0) {
+                    $charset.after(metaTags);
+                } else {
+                    $head.prepend(metaTags);
                 }
+                changes++;
             }
 
-            // Step 2: Check for BUILD_INSERT id="head" placeholder
-            const placeholderRegex = /<!-- BUILD_INSERT id="head" -->/;
-            if (placeholderRegex.test(content)) {
-                // Only replace if head content isn't already injected
-                if (!hasInjectedHeadContent(content)) {
-                    content = content.replace(placeholderRegex, headContent);
-                    placeholderCount++;
-                    injected = true;
-                    modified = true;
-                } else {
-                    // Remove the placeholder since content is already injected
-                    content = content.replace(placeholderRegex, '');
-                    modified = true;
-                }
+            // Step 2: Replace the BUILD_INSERT id="head" placeholder, unless head content is already injected
+            const [placeholder] = findComments($, /^\s*BUILD_INSERT id="head"\s*$/);
+            const alreadyInjected = hasInjectedHeadContent($);
+            if (placeholder) {
+                $(placeholder).replaceWith(alreadyInjected ? '' : headContent);
+                changes++;
             }
-            // Step 3: Otherwise insert before </head> only if we haven't already injected via placeholder
-            else {
-                const headEndPos = content.indexOf('</head>');
-                if (headEndPos !== -1 && !injected && !hasInjectedHeadContent(content)) {
-                    content = content.slice(0, headEndPos) + '  ' + headContent + '\n  ' + content.slice(headEndPos);
-                    insertBeforeHeadCount++;
-                    injected = true;
-                    modified = true;
-                }
+            // Step 3: Otherwise insert before </head>
+            else if (!alreadyInjected) {
+                $head.append(`  ${headContent}\n  `);
+                changes++;
             }
 
-            // Step 4: Replace any remaining {{VERSION}} placeholders throughout the document
-            if (content.includes('{{VERSION}}')) {
-                content = content.replace(/{{VERSION}}/g, machineTimestamp);
-                modified = true;
+            // Step 4: Add the social metadata of the page, once
+            // The breadcrumb JSON-LD is not the page's own graph
+            const pageHead = $.html($('head, body script[type="application/ld+json"]:not([data-breadcrumbs])'));
+            if (!relativePath.startsWith('..') && !pageHead.includes(SOCIAL_META_MARKER)) {
+                $head.append(`  ${createSocialMetaTags(pageHead, relativePath, publicHtmlDir, config)}\n`);
+                changes++;
             }
 
-            // Write updated content back to file
-            if (modified) {
-                fs.writeFileSync(file, content, 'utf8');
-                injectedCount++;
-            }
+            return changes;
         }
+    };
+}
 
-        console.log(`Successfully injected head content into ${injectedCount} HTML files:`);
-        console.log(`- ${placeholderCount} files using placeholder`);
-        console.log(`- ${insertBeforeHeadCount} files by inserting before </head> tag`);
-        console.log(`- ${portfolioPageCount} portfolio pages with video-wrapper.js`);
-        console.log('HTML head injection completed successfully');
-    } catch (err) {
-        console.error(`Error injecting head content: ${err.message}`);
+/**
+ * Injects the common head content into every HTML file of a build directory
+ * The build runs this transform in the transform-pages step together with the others.
+ * @param {string} buildDir - Directory to process
+ * @param {Object} options - Injection options
+ * @param {string} options.version - Version used for asset cache busting (default: the current YYYYMMDD-HHMM)
+ * @returns {Promise<number>} - Number of files that changed
+ */
+export async function injectHeadContent(buildDir, { version = createMachineTimestamp() } = {}) {
+    const { transforms } = await transformPages(buildDir, { transforms: ['head'], options: { head: { version } } });
+    console.log(`Successfully injected head content into ${transforms.head.pages} HTML files`);
+    console.log('HTML head injection completed successfully');
+    return transforms.head.pages;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const buildDir = process.argv[2];
+
+    if (!buildDir) {
+        console.error('Error: Build directory not specified');
         process.exit(1);
     }
-}
 
-// Run the injection
-injectHeadContent();
\ No newline at end of file
+    injectHeadContent(buildDir).catch(err => {
+        console.error(`Error injecting head content: ${err.message}`);
+        process.exit(1);
+    });
+}
\ No newline at end of file
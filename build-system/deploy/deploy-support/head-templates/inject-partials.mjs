@@ -0,0 +1,164 @@
+/**
+ * Partials Injection Script
+ *
+ * Replaces the <!-- BUILD_INSERT id="..." --> comments of every page in a
+ * build with their partials (see ../partials.mjs). This is one of the page
+ * transforms (see ../page-transforms.mjs). The nav, breadcrumbs and footer
+ * are built-in partials; a project adds its own in partials/ at the project root.
+ *
+ * Every page gets these context fields:
+ *   {{PAGE_PATH}}   site path of the page (/portfolio/mikmak/alpha/)
+ *   {{PAGE_TYPE}}   home, portfolio, project, tag-index, tag or page
+ *   {{ACTIVE_NAV}}  id of the nav item of the page
+ *   {{NAV_LINKS}}   nav links, the active one marked as current
+ *   {{BREADCRUMBS}} breadcrumb trail of the page (empty on top-level pages)
+ *   {{BREADCRUMBS_JSON_LD}} BreadcrumbList JSON-LD of the trail
+ *   {{FOOTER_HTML}} footer.html from the portfolio config (trusted HTML)
+ *   {{AUTHOR_NAME}} author from the portfolio config
+ *   {{SITE_URL}}    siteUrl from the portfolio config
+ *
+ * Comments with an id that has no partial fail the pass, listing every page
+ * and id at once.
+ *
+ * Usage:
+ * node inject-partials.mjs <build-directory>
+ *
+ * Or import injectPartials(buildDir) to run it from a script.
+ */
+
+import path from 'path';
+import { directoryExists } from '../dry-run.mjs';
+import { loadPortfolioConfig } from '../portfolio-config.mjs';
+import { rawHtml } from '../html-template.mjs';
+import { renderBuildInserts } from '../partials.mjs';
+import {
+    resolveNavItems,
+    getActivePage,
+    createNavLinks,
+    readPageLabel,
+    createBreadcrumbTrail,
+    createBreadcrumbs,
+    createBreadcrumbJsonLd
+} from './navigation.mjs';
+import { getProjectOfPage } from './social-meta.mjs';
+import { getPageUrlPath } from '../scripts/10-generate-sitemap.mjs';
+import { transformPages, findComments } from '../page-transforms.mjs';
+
+const DEFAULT_BUILD_DIR = 'build/temp';
+const BUILD_INSERT_COMMENT = /^\s*BUILD_INSERT\b/;
+
+/**
+ * Works out what kind of page a file is
+ * @param {string} relativePath - Page path relative to public_html
+ * @returns {string} - home, portfolio, project, tag-index, tag or page
+ */
+export function getPageType(relativePath) {
+    const pagePath = relativePath.split(path.sep).join('/');
+    if (pagePath === 'index.html') {
+        return 'home';
+    }
+    if (pagePath === 'portfolio/index.html') {
+        return 'portfolio';
+    }
+    if (pagePath === 'portfolio/tags/index.html') {
+        return 'tag-index';
+    }
+    if (/^portfolio\/tags\/[^/]+\/index\.html$/.test(pagePath)) {
+        return 'tag';
+    }
+    return getProjectOfPage(relativePath) ? 'project' : 'page';
+}
+
+/**
+ * Creates the context fields of a page
+ * @param {Object} page - Page being transformed ({ $, filePath })
+ * @param {string} publicHtmlDir - The public_html directory within the build
+ * @param {Array<Object>} navItems - Resolved nav items (see navigation.mjs)
+ * @param {Object} config - Portfolio config
+ * @returns {Object} - Placeholder name -> value
+ */
+function createPageContext({ $, filePath }, publicHtmlDir, navItems, config) {
+    const relativePath = path.relative(publicHtmlDir, filePath);
+    const activePage = getActivePage(publicHtmlDir, filePath, navItems);
+    const trail = createBreadcrumbTrail(publicHtmlDir, relativePath, readPageLabel($.html($('h1').first())), config);
+    return {
+        PAGE_PATH: getPageUrlPath(relativePath),
+        PAGE_TYPE: getPageType(relativePath),
+        ACTIVE_NAV: activePage,
+        NAV_LINKS: createNavLinks(navItems, activePage),
+        BREADCRUMBS: createBreadcrumbs(trail),
+        BREADCRUMBS_JSON_LD: createBreadcrumbJsonLd(trail, config.siteUrl),
+        FOOTER_HTML: rawHtml(config.footer.html),
+        AUTHOR_NAME: config.author,
+        SITE_URL: config.siteUrl
+    };
+}
+
+/**
+ * Creates the partials page transform (see ../page-transforms.mjs)
+ * @param {Object} options - Transform options
+ * @param {string[]} options.only - Only replace the comments with these ids (default: every id)
+ * @param {Object} site - { publicHtmlDir }
+ * @returns {Promise<Object>} - Page transform
+ */
+export async function createPartialsTransform({ only = null } = {}, { publicHtmlDir }) {
+    const config = await loadPortfolioConfig();
+    const navItems = resolveNavItems(config.nav, publicHtmlDir, config);
+
+    return {
+        transform(page) {
+            const { $, fail } = page;
+            const comments = findComments($, BUILD_INSERT_COMMENT);
+            if (comments.length === 0) {
+                return 0;
+            }
+
+            const fields = createPageContext(page, publicHtmlDir, navItems, config);
+            const unknownInserts = [];
+            let insertedCount = 0;
+
+            for (const comment of comments) {
+                const { html, inserted, unknown } = renderBuildInserts(`<!--${comment.data}-->`, fields, { only });
+                unknownInserts.push(...unknown);
+                if (inserted > 0) {
+                    $(comment).replaceWith(html);
+                    insertedCount += inserted;
+                }
+            }
+
+            if (unknownInserts.length > 0) {
+                fail(`build inserts without a partial (add partials/<id>.html or fix the id): ${[...new Set(unknownInserts)].join(', ')}`);
+            }
+            return insertedCount;
+        }
+    };
+}
+
+/**
+ * Injects the partials into all HTML files of a build
+ * The build runs this transform in the transform-pages step together with the others.
+ * @param {string} buildDir - Build directory (default: build/temp)
+ * @param {Object} options - Injection options
+ * @param {string[]} options.only - Only replace the comments with these ids (default: every id)
+ * @returns {Promise<Object>} - { injected, skipped } file counts
+ */
+export async function injectPartials(buildDir = DEFAULT_BUILD_DIR, { only = null } = {}) {
+    const publicHtmlDir = path.join(buildDir, 'public_html');
+    if (!directoryExists(publicHtmlDir)) {
+        throw new Error(`public_html directory not found: ${publicHtmlDir}`);
+    }
+
+    console.log(`🧩 Injecting ${only ? only.join(', ') : 'partials'}`);
+    const { pages, transforms } = await transformPages(buildDir, { transforms: ['partials'], options: { partials: { only } } });
+
+    console.log(`🧩 Partials injected into ${transforms.partials.pages} files`);
+    return { injected: transforms.partials.pages, skipped: pages - transforms.partials.pages };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    injectPartials(process.argv[2]).catch(error => {
+        console.error(`Error injecting partials: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,309 @@
+/**
+ * Navigation
+ *
+ * Renders the nav links of the nav partial (partials/nav.html) and the
+ * breadcrumb trail of the breadcrumbs partial (partials/breadcrumbs.html).
+ *
+ * The nav items come from `nav` in the portfolio config (see
+ * ../portfolio-config.mjs): { id, label, href } with optional `children` (nested
+ * items, or "auto" for the subdirectories of href) and `match` (path prefixes
+ * that make the item current). `nav: "auto"` builds the whole nav from the
+ * directories of the site. Items with an http(s) href are external links and
+ * are never current.
+ *
+ * The current item is the one with the longest prefix matching the page; an
+ * item without `match` matches its own href, and "/" only matches the home
+ * page. Pages outside every item fall back to the root item (or the first one).
+ */
+
+import path from 'path';
+import { fileExists, readTextFile, listFiles } from '../dry-run.mjs';
+import { html, rawHtml, decodeHtmlEntities } from '../html-template.mjs';
+import { createTagSlug } from '../tag-dictionary.mjs';
+import { getPageUrlPath } from '../scripts/10-generate-sitemap.mjs';
+
+const EXTERNAL_HREF_PATTERN = /^https?:\/\//;
+
+/**
+ * Reads the breadcrumb label of a page: the data-breadcrumb attribute of its
+ * <h1>, or the text of the <h1>
+ * @param {string} pageHtml - Page HTML (or just its <h1>)
+ * @returns {string|null} - Decoded label, or null when the page has no <h1>
+ */
+export function readPageLabel(pageHtml) {
+    const h1Match = pageHtml.match(/<h1\b([^>]*)>([\s\S]*?)<\/h1>/i);
+    if (!h1Match) {
+        return null;
+    }
+    const attributeMatch = h1Match[1].match(/\bdata-breadcrumb=(["'])([\s\S]*?)\1/i);
+    const label = decodeHtmlEntities((attributeMatch ? attributeMatch[2] : h1Match[2].replace(/<[^>]*>/g, ''))
+        .replace(/\s+/g, ' ')
+        .trim());
+    return label || null;
+}
+
+/**
+ * Turns a path segment into a label (ux-design -> Ux Design)
+ * @param {string} segment - Directory or file name
+ * @returns {string}
+ */
+function labelFromSegment(segment) {
+    return segment.replace(/\.html$/, '').replace(/[-_]+/g, ' ').replace(/\b\w/g, character => character.toUpperCase());
+}
+
+/**
+ * Lists the configured nav items and their children
+ * @param {Array<Object>|string} navItems - Nav items, or "auto"
+ * @returns {Array<Object>}
+ */
+function flattenNavItems(navItems) {
+    return Array.isArray(navItems)
+        ? navItems.flatMap(item => [item, ...flattenNavItems(item.children)])
+        : [];
+}
+
+/**
+ * Describes a site path for the nav and the breadcrumbs
+ * A configured nav label wins, then the company name for portfolio/<company>/,
+ * then the label of the page. Company directories have no page of their own and
+ * link to the tag page of the company.
+ * @param {string} publicHtmlDir - The public_html directory within the build
+ * @param {string} sitePath - Site path of a directory (/portfolio/mikmak/) or page
+ * @param {Object} config - Portfolio config
+ * @returns {Object} - { label, href, match } (href null when there is nothing to link to)
+ */
+function describeSitePath(publicHtmlDir, sitePath, config) {
+    const segments = sitePath.split('/').filter(Boolean);
+    const pageFile = path.join(publicHtmlDir, ...segments, sitePath.endsWith('/') ? 'index.html' : '');
+    const navItem = flattenNavItems(config.nav).find(item => item.href === sitePath);
+    const company = segments.length === 2 && segments[0] === 'portfolio' &&
+        config.companies.find(candidate => candidate.slug === segments[1]);
+
+    if (fileExists(pageFile)) {
+        return {
+            label: navItem?.label || company?.name || readPageLabel(readTextFile(pageFile)) || labelFromSegment(segments.at(-1) || ''),
+            href: sitePath,
+            match: null
+        };
+    }
+
+    const tagPage = company && `/portfolio/tags/${createTagSlug(company.name)}/`;
+    const hasTagPage = tagPage && fileExists(path.join(publicHtmlDir, tagPage, 'index.html'));
+    return {
+        label: navItem?.label || company?.name || labelFromSegment(segments.at(-1) || ''),
+        href: hasTagPage ? tagPage : null,
+        match: hasTagPage ? [sitePath, tagPage] : null
+    };
+}
+
+/**
+ * Creates nav items for the subdirectories of a site path that contain pages
+ * Company directories come first, in their configured order.
+ * @param {string} publicHtmlDir - The public_html directory within the build
+ * @param {string} sitePath - Site path of the parent directory
+ * @param {string} idPrefix - Prefix of the generated ids (the parent id)
+ * @param {Object} config - Portfolio config
+ * @returns {Array<Object>} - Resolved nav items
+ */
+function createDirectoryItems(publicHtmlDir, sitePath, idPrefix, config) {
+    const directory = path.join(publicHtmlDir, ...sitePath.split('/').filter(Boolean));
+    const names = [...new Set(listFiles(directory, { extensions: ['.html'] })
+        .map(file => path.relative(directory, file).split(path.sep))
+        .filter(parts => parts.length > 1)
+        .map(parts => parts[0]))];
+    const companyOrder = name => {
+        const index = config.companies.findIndex(company => company.slug === name);
+        return index === -1 ? Infinity : index;
+    };
+
+    return names
+        .sort((a, b) => companyOrder(a) - companyOrder(b) || a.localeCompare(b))
+        .map(name => ({ name, ...describeSitePath(publicHtmlDir, `${sitePath}${name}/`, config) }))
+        .filter(item => item.href)
+        .map(({ name, label, href, match }) => ({
+            id: [idPrefix, createTagSlug(name)].filter(Boolean).join('-'),
+            label,
+            href,
+            match,
+            external: false,
+            children: []
+        }));
+}
+
+/**
+ * Resolves the nav of the portfolio config into nav items
+ * @param {Array<Object>|string} navItems - `nav` of the portfolio config, or "auto"
+ * @param {string} publicHtmlDir - The public_html directory within the build
+ * @param {Object} config - Portfolio config
+ * @returns {Array<Object>} - { id, label, href, match, external, children } per item
+ */
+export function resolveNavItems(navItems, publicHtmlDir, config) {
+    if (navItems === 'auto') {
+        const homeItem = fileExists(path.join(publicHtmlDir, 'index.html'))
+            ? [{ id: 'home', label: 'Home', href: '/', match: null, external: false, children: [] }]
+            : [];
+        return [...homeItem, ...createDirectoryItems(publicHtmlDir, '/', '', config)];
+    }
+
+    return navItems.map(item => {
+        const external = EXTERNAL_HREF_PATTERN.test(item.href);
+        const children = item.children === 'auto'
+            ? createDirectoryItems(publicHtmlDir, item.href.endsWith('/') ? item.href : `${item.href}/`, item.id, config)
+            : resolveNavItems(item.children || [], publicHtmlDir, config);
+        return { id: item.id, label: item.label, href: item.href, match: item.match || null, external, children };
+    });
+}
+
+/**
+ * Finds how well a nav item matches a page
+ * @param {Object} item - Resolved nav item
+ * @param {string} pagePath - Site path of the page
+ * @returns {number} - Length of the longest matching prefix, -1 when nothing matches
+ */
+function matchLength(item, pagePath) {
+    if (item.external) {
+        return -1;
+    }
+    return Math.max(-1, ...(item.match || [item.href]).map(rule => {
+        if (rule === '/') {
+            return pagePath === '/' ? 1 : -1;
+        }
+        const prefix = rule.endsWith('/') ? rule : `${rule}/`;
+        return pagePath.startsWith(prefix) || pagePath === rule ? prefix.length : -1;
+    }));
+}
+
+/**
+ * Finds the current nav item of a page and the items it is nested in
+ * @param {string} pagePath - Site path of the page (/portfolio/mikmak/alpha/)
+ * @param {Array<Object>} navItems - Resolved nav items
+ * @returns {Array<Object>} - Items from the top level down to the current one
+ */
+export function findActiveTrail(pagePath, navItems) {
+    let best = { length: -1, trail: [] };
+    const visit = (items, parents) => {
+        for (const item of items) {
+            const trail = [...parents, item];
+            const length = matchLength(item, pagePath);
+            // Deeper items win ties, so a child with its parent's href is current
+            if (length > -1 && length >= best.length) {
+                best = { length, trail };
+            }
+            visit(item.children, trail);
+        }
+    };
+    visit(navItems, []);
+
+    if (best.trail.length > 0) {
+        return best.trail;
+    }
+    const homeItem = navItems.find(item => item.href === '/') || navItems[0];
+    return homeItem ? [homeItem] : [];
+}
+
+/**
+ * Determines the active page based on file path
+ * @param {string} publicHtmlDir - The public_html directory within the build
+ * @param {string} filePath - The file path to analyze
+ * @param {Array<Object>} navItems - Resolved nav items
+ * @returns {string|null} - Id of the current nav item
+ */
+export function getActivePage(publicHtmlDir, filePath, navItems) {
+    const trail = findActiveTrail(getPageUrlPath(path.relative(publicHtmlDir, filePath)), navItems);
+    return trail.length > 0 ? trail.at(-1).id : null;
+}
+
+/**
+ * Creates the nav links with the active page marked as current
+ * The current link also gets aria-current="page". Items containing the current
+ * one are marked current-section; nested items are rendered as nested lists.
+ * @param {Array<Object>} navItems - Resolved nav items
+ * @param {string} activePage - Id of the active nav item
+ * @param {string} indent - Indentation of the <li> elements
+ * @returns {RawHtml} - One <li> per nav item
+ */
+export function createNavLinks(navItems, activePage, indent = '    ') {
+    const containsActive = item => item.children.some(child => child.id === activePage || containsActive(child));
+
+    return rawHtml(navItems.map(item => {
+        const state = item.id === activePage ? 'current' : containsActive(item) && 'current-section';
+        const link = html`<a href="${item.href}" data-page="${item.id}"${state && html` class="${state}"`}${state === 'current' && html` aria-current="page"`}${item.external && html` target="_blank" rel="noopener noreferrer"`}>${item.label}</a>`;
+        if (item.children.length === 0) {
+            return `${indent}<li>${link}</li>`;
+        }
+        return `${indent}<li>${link}\n` +
+            `${indent}  <ul>\n${createNavLinks(item.children, activePage, `${indent}    `)}\n${indent}  </ul>\n` +
+            `${indent}</li>`;
+    }).join('\n'));
+}
+
+/**
+ * Creates the breadcrumb trail of a page, from its top-level section down to the page
+ * @param {string} publicHtmlDir - The public_html directory within the build
+ * @param {string} relativePath - Page path relative to public_html
+ * @param {string|null} pageLabel - Label of the page itself (see readPageLabel)
+ * @param {Object} config - Portfolio config
+ * @returns {Array<Object>} - { label, href } per crumb (href null for directories without a page); empty for the home page
+ */
+export function createBreadcrumbTrail(publicHtmlDir, relativePath, pageLabel, config) {
+    const pagePath = getPageUrlPath(relativePath);
+    const segments = pagePath.split('/').filter(Boolean);
+    if (segments.length === 0) {
+        return [];
+    }
+
+    const parents = segments.slice(0, -1).map((segment, index) => {
+        const { label, href } = describeSitePath(publicHtmlDir, `/${segments.slice(0, index + 1).join('/')}/`, config);
+        return { label, href };
+    });
+
+    const navItem = flattenNavItems(config.nav).find(item => item.href === pagePath);
+    return [...parents, { label: navItem?.label || pageLabel || labelFromSegment(segments.at(-1)), href: pagePath }];
+}
+
+/**
+ * Creates the breadcrumb markup of a trail
+ * @param {Array<Object>} trail - Breadcrumb trail (see createBreadcrumbTrail)
+ * @returns {RawHtml} - Breadcrumb nav, empty when the trail has fewer than two crumbs
+ */
+export function createBreadcrumbs(trail) {
+    if (trail.length < 2) {
+        return rawHtml('');
+    }
+    const crumbs = trail.map((crumb, index) => {
+        if (index === trail.length - 1) {
+            return html`    <li><a href="${crumb.href}" aria-current="page">${crumb.label}</a></li>`;
+        }
+        return crumb.href ? html`    <li><a href="${crumb.href}">${crumb.label}</a></li>` : html`    <li>${crumb.label}</li>`;
+    });
+    return rawHtml(`<nav class="breadcrumbs" aria-label="Breadcrumb">\n  <ol>\n${crumbs.join('\n')}\n  </ol>\n</nav>`);
+}
+
+/**
+ * Creates the BreadcrumbList JSON-LD of a trail
+ * Crumbs without a page are left out. The script is marked data-breadcrumbs so
+ * the head transform still adds the page's own JSON-LD graph.
+ * @param {Array<Object>} trail - Breadcrumb trail (see createBreadcrumbTrail)
+ * @param {string} siteUrl - siteUrl of the portfolio config
+ * @returns {RawHtml} - JSON-LD script, empty when the trail has fewer than two crumbs
+ */
+export function createBreadcrumbJsonLd(trail, siteUrl) {
+    const linkedCrumbs = trail.filter(crumb => crumb.href);
+    if (trail.length < 2 || linkedCrumbs.length === 0) {
+        return rawHtml('');
+    }
+    const baseUrl = `${siteUrl.replace(/\/+$/, '')}/`;
+    const breadcrumbList = {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: linkedCrumbs.map((crumb, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            name: crumb.label,
+            item: new URL(crumb.href, baseUrl).href
+        }))
+    };
+    // Keep the JSON inside the script element whatever the labels contain
+    const jsonLd = JSON.stringify(breadcrumbList).replace(/</g, '\\u003c');
+    return rawHtml(`<script type="application/ld+json" data-breadcrumbs>${jsonLd}</script>`);
+}
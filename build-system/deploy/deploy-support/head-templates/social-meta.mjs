@@ -0,0 +1,159 @@
+/**
+ * Social and Structured Metadata
+ *
+ * Builds the Open Graph, Twitter card and JSON-LD tags that inject-head.mjs
+ * adds to every page, so shared links unfurl with a title, description and
+ * preview image:
+ *
+ * - title and description come from the page's <title> and meta description
+ * - the image of a project page is its featured--cover image (1200w variant
+ *   when it has been generated); other pages use `social.image` from the
+ *   portfolio config
+ * - the JSON-LD graph describes the author as a Person, and each project page
+ *   as a CreativeWork by that person (other pages as a WebPage)
+ *
+ * Tags a page already declares win: a page with its own
+ * <meta property="og:image" content="..."> keeps it, and the Twitter card and
+ * JSON-LD use that value too. A page with its own application/ld+json script
+ * gets no generated graph.
+ */
+
+import path from 'path';
+import { fileExists } from '../dry-run.mjs';
+import { html, decodeHtmlEntities } from '../html-template.mjs';
+import { getPageUrlPath } from '../scripts/10-generate-sitemap.mjs';
+
+export const SOCIAL_META_MARKER = '<!-- Social metadata -->';
+
+/**
+ * Reads the content of a meta tag
+ * @param {string} pageHtml - Page HTML
+ * @param {string} attribute - 'name' or 'property'
+ * @param {string} key - e.g. description, og:image
+ * @returns {string|null} - Decoded content, or null when the page has no such tag
+ */
+function readMetaContent(pageHtml, attribute, key) {
+    const tag = (pageHtml.match(/<meta\b[^>]*>/gi) || [])
+        .find(candidate => new RegExp(`\\b${attribute}=["']${key}["']`, 'i').test(candidate));
+    const content = tag && tag.match(/\bcontent=(["'])([\s\S]*?)\1/i);
+    return content ? decodeHtmlEntities(content[2].trim()) : null;
+}
+
+/**
+ * Works out the project of a page
+ * @param {string} relativePath - Page path relative to public_html
+ * @returns {Object|null} - { company, project } for portfolio project pages
+ */
+export function getProjectOfPage(relativePath) {
+    const match = relativePath.split(path.sep).join('/').match(/^portfolio\/([^/]+)\/([^/]+)\/index\.html$/);
+    return match && match[1] !== 'tags' ? { company: match[1], project: match[2] } : null;
+}
+
+/**
+ * Finds the featured--cover image of a project page
+ * @param {string} relativePath - Page path relative to public_html
+ * @param {string} publicHtmlDir - Site root the page belongs to
+ * @returns {string|null} - Site path of the image, or null for other pages and projects without one
+ */
+function findProjectImage(relativePath, publicHtmlDir) {
+    const project = getProjectOfPage(relativePath);
+    if (!project) {
+        return null;
+    }
+    const imageBase = `/assets/images/portfolio/${project.company}/${project.project}/featured--cover`;
+    return [`${imageBase}-1200w.png`, `${imageBase}.png`]
+        .find(image => fileExists(path.join(publicHtmlDir, image))) || null;
+}
+
+/**
+ * Collects the values of the social tags of a page, page-declared tags first
+ * @param {string} pageHtml - Page HTML
+ * @param {string} relativePath - Page path relative to public_html
+ * @param {string} publicHtmlDir - Site root the page belongs to
+ * @param {Object} config - Portfolio config (optional `social.image`)
+ * @returns {Object} - { title, description, image } (null where missing)
+ */
+export function readSocialValues(pageHtml, relativePath, publicHtmlDir, config = {}) {
+    const titleMatch = pageHtml.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return {
+        title: readMetaContent(pageHtml, 'property', 'og:title') ||
+            (titleMatch && decodeHtmlEntities(titleMatch[1].trim())) || null,
+        description: readMetaContent(pageHtml, 'property', 'og:description') ||
+            readMetaContent(pageHtml, 'name', 'description'),
+        image: readMetaContent(pageHtml, 'property', 'og:image') ||
+            findProjectImage(relativePath, publicHtmlDir) ||
+            config.social?.image || null
+    };
+}
+
+/**
+ * Lists the social values a page is missing (reported by 00-validate-html.mjs)
+ * Only project pages need an image; other pages fall back to a plain summary card.
+ * @param {string} pageHtml - Page HTML
+ * @param {string} relativePath - Page path relative to public_html
+ * @param {string} publicHtmlDir - Site root the page belongs to
+ * @returns {string[]} - Problems, e.g. 'no meta description (og:description)'
+ */
+export function findMissingSocialMetadata(pageHtml, relativePath, publicHtmlDir) {
+    const values = readSocialValues(pageHtml, relativePath, publicHtmlDir);
+    const missing = [];
+    if (!values.title) {
+        missing.push('no <title> (og:title)');
+    }
+    if (!values.description) {
+        missing.push('no meta description (og:description)');
+    }
+    if (!values.image && getProjectOfPage(relativePath)) {
+        missing.push('no featured--cover.png image (og:image)');
+    }
+    return missing;
+}
+
+/**
+ * Creates the Open Graph, Twitter card and JSON-LD tags of a page
+ * @param {string} pageHtml - Page HTML
+ * @param {string} relativePath - Page path relative to public_html
+ * @param {string} publicHtmlDir - Site root the page belongs to
+ * @param {Object} config - Portfolio config (siteUrl, author, optional social)
+ * @returns {string} - Tags to insert into the head
+ */
+export function createSocialMetaTags(pageHtml, relativePath, publicHtmlDir, config) {
+    const siteUrl = config.siteUrl.replace(/\/+$/, '');
+    const url = `${siteUrl}${getPageUrlPath(relativePath)}`;
+    const isProject = Boolean(getProjectOfPage(relativePath));
+    const { title, description, image } = readSocialValues(pageHtml, relativePath, publicHtmlDir, config);
+    const imageUrl = image && new URL(image, `${siteUrl}/`).href;
+
+    // Tags the page declares itself are left to the page
+    const tag = (attribute, key, value) => value && !readMetaContent(pageHtml, attribute, key)
+        ? html`\n  <meta ${attribute}="${key}" content="${value}" />`
+        : '';
+
+    const person = { '@type': 'Person', '@id': `${siteUrl}/#person`, name: config.author, url: `${siteUrl}/` };
+    const page = {
+        '@type': isProject ? 'CreativeWork' : 'WebPage',
+        '@id': `${url}#${isProject ? 'work' : 'webpage'}`,
+        url,
+        name: title || undefined,
+        description: description || undefined,
+        image: imageUrl || undefined,
+        [isProject ? 'creator' : 'author']: { '@id': person['@id'] }
+    };
+    // Keep the JSON inside the script element whatever the page text contains
+    const jsonLd = JSON.stringify({ '@context': 'https://schema.org', '@graph': [person, page] }).replace(/</g, '\\u003c');
+    const hasJsonLd = /<script\b[^>]*type=["']application\/ld\+json["']/i.test(pageHtml);
+
+    return SOCIAL_META_MARKER +
+        tag('property', 'og:type', isProject ? 'article' : 'website') +
+        tag('property', 'og:site_name', config.author) +
+        tag('property', 'og:url', url) +
+        tag('property', 'og:title', title) +
+        tag('property', 'og:description', description) +
+        tag('property', 'og:image', imageUrl) +
+        tag('name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary') +
+        tag('name', 'twitter:site', config.social?.twitterSite) +
+        tag('name', 'twitter:title', title) +
+        tag('name', 'twitter:description', description) +
+        tag('name', 'twitter:image', imageUrl) +
+        (hasJsonLd ? '' : `\n  <script type="application/ld+json">${jsonLd}</script>`);
+}
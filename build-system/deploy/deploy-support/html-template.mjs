@@ -0,0 +1,139 @@
+/**
+ * HTML Templating
+ *
+ * Escaping helpers for the markup the portfolio build generates. Everything
+ * interpolated into a page - titles, descriptions, tag names, company names,
+ * config labels - is escaped by default, so a quote or an ampersand in the
+ * content can never break an attribute or inject markup. Trusted HTML (markup
+ * the build itself rendered, or the footer HTML from the portfolio config) has
+ * to be marked with rawHtml() to be inserted as is.
+ *
+ * Usage:
+ *   const link = html`<a href="${item.path}" title="${item.title}">${item.title}</a>`;
+ *   const list = html`<ul>${items.map(item => html`<li>${item.name}</li>`)}</ul>`;
+ *   const page = fillTemplate(template, { TAG_NAME: tag.name, CARDS: rawHtml(cardsHtml) });
+ *
+ * Text scraped from page sources is already entity-encoded; decode it with
+ * decodeHtmlEntities() when it is read, so it is not escaped twice.
+ */
+
+const ESCAPED_CHARACTERS = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    ndash: '–',
+    mdash: '—',
+    lsquo: '‘',
+    rsquo: '’',
+    ldquo: '“',
+    rdquo: '”',
+    hellip: '…',
+    copy: '©',
+    reg: '®',
+    trade: '™'
+};
+
+/**
+ * Trusted markup that is inserted without escaping
+ */
+export class RawHtml {
+    /**
+     * @param {string} markup - Trusted HTML
+     */
+    constructor(markup) {
+        this.markup = String(markup);
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Marks trusted markup, so it is inserted as is
+ * @param {string|RawHtml} markup - Trusted HTML
+ * @returns {RawHtml}
+ */
+export function rawHtml(markup) {
+    return markup instanceof RawHtml ? markup : new RawHtml(markup);
+}
+
+/**
+ * Escapes text for use in HTML text and quoted attribute values
+ * @param {*} value - Value to escape (null and undefined become an empty string)
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value).replace(/[&<>"']/g, character => ESCAPED_CHARACTERS[character]);
+}
+
+/**
+ * Decodes the character references of text read from HTML source
+ * Unknown named references are left as they are.
+ * @param {string} text - Entity-encoded text
+ * @returns {string} - Plain text
+ */
+export function decodeHtmlEntities(text) {
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : reference;
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] ?? reference;
+    });
+}
+
+/**
+ * Renders an interpolated value: raw markup as is, arrays joined, everything else escaped
+ * @param {*} value - Interpolated value
+ * @returns {string}
+ */
+function renderValue(value) {
+    if (value instanceof RawHtml) {
+        return value.markup;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    }
+    if (value === false) {
+        return '';
+    }
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template for markup; interpolated values are escaped unless marked raw
+ * @param {string[]} strings - Literal parts (trusted)
+ * @param {...*} values - Interpolated values
+ * @returns {RawHtml} - The rendered markup, safe to interpolate into other html`` templates
+ */
+export function html(strings, ...values) {
+    return new RawHtml(strings.reduce((markup, string, index) => markup + renderValue(values[index - 1]) + string));
+}
+
+/**
+ * Replaces the {{PLACEHOLDER}} fields of a template file
+ * Values are escaped unless marked raw; placeholders without a value are left
+ * in place for later steps (e.g. {{VERSION}}).
+ * @param {string} template - Template markup
+ * @param {Object} fields - Placeholder name -> value
+ * @returns {string}
+ */
+export function fillTemplate(template, fields) {
+    // A single pass, so field values are never scanned for placeholders themselves
+    return template.replace(/\{\{([A-Z_]+)\}\}/g, (placeholder, name) => (name in fields ? renderValue(fields[name]) : placeholder));
+}
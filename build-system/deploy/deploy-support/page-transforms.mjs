@@ -0,0 +1,268 @@
+/**
+ * Page Transforms
+ *
+ * Rewrites the HTML pages of a build in a single pass: each page is read and
+ * parsed once, the page transforms registered in PAGE_TRANSFORMS run on the
+ * parsed document in order, and the page is serialized and written once (only
+ * when a transform changed it). Every transform sees the markup the ones before
+ * it produced, so no transform has to match how another one formatted a page.
+ *
+ * A registry entry's `create(options, site)` returns the transform for one
+ * pass, or null when it has nothing to do in this build. `site` is
+ * { buildDir, publicHtmlDir, startedAt }; `options` are the pass options of
+ * that transform id. A transform is an object with:
+ * - prepare(pageHtml, page): optional, rewrites the raw HTML before it is parsed
+ * - transform(page): changes page.$ (cheerio) and returns the number of changes
+ *
+ * An entry with a `step` runs in that pipeline step instead of transform-pages:
+ * critical-css needs the CSS of every page template before it can inline it
+ * (see scripts/11-inline-critical-css.mjs).
+ *
+ * Each page is { $, filePath, relativePath, fail, warn }. `fail(message)`
+ * records a problem; the pass finishes every page and then fails with all
+ * problems listed. `warn(message)` records a warning for the build report
+ * instead, without failing the build.
+ *
+ * Pages are transformed on the worker pool (see worker-pool.mjs), so pass
+ * options must be plain values. Each worker creates its transforms once.
+ *
+ * Transforms must be idempotent: transforming a page twice gives the same
+ * output as transforming it once, so steps can run again on a built tree (watch
+ * mode, static-only builds). `check: true` (npm run transform:check) runs the
+ * transforms on a built tree without writing and fails listing the pages a
+ * re-run would change.
+ *
+ * Usage:
+ * node page-transforms.mjs <build-directory> [--check]
+ *
+ * Or import transformPages(buildDir) to run it from a script.
+ */
+
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { directoryExists, listFiles, readTextFile, writeTextFile } from './dry-run.mjs';
+import { recordFilesTouched, recordBuildWarning } from './build-events.mjs';
+import { mapInWorkerPool } from './worker-pool.mjs';
+import { createResponsiveImagesTransform } from './scripts/05-transform-responsive-images.mjs';
+import { createCarouselsTransform, createFeatureScriptsTransform, createTagsTransform } from './scripts/06-build-portfolio.mjs';
+import { createPartialsTransform } from './head-templates/inject-partials.mjs';
+import { createHeadTransform } from './head-templates/inject-head.mjs';
+import { createAccessibilityTransform } from './head-templates/inject-accessibility.mjs';
+import { createCriticalCssTransform } from './critical-css.mjs';
+
+const DEFAULT_BUILD_DIR = 'build/temp';
+
+// Run order: content markup first, then the page chrome around it
+export const PAGE_TRANSFORMS = [
+    {
+        id: 'responsive-images',
+        description: 'Wraps content images with generated variants in responsive <picture> elements',
+        create: createResponsiveImagesTransform
+    },
+    {
+        id: 'carousels',
+        description: 'Turns .carousel-source markup into production carousels',
+        create: createCarouselsTransform
+    },
+    {
+        id: 'feature-scripts',
+        description: 'Adds missing meta tags and the carousel and zoomable image scripts',
+        create: createFeatureScriptsTransform
+    },
+    {
+        id: 'tags',
+        description: 'Links the tags of portfolio project pages to their tag pages',
+        create: createTagsTransform
+    },
+    {
+        id: 'partials',
+        description: 'Replaces BUILD_INSERT comments with their partials (nav, footer, ...)',
+        create: createPartialsTransform
+    },
+    {
+        id: 'head',
+        description: 'Adds the common head content and social metadata',
+        create: createHeadTransform
+    },
+    {
+        id: 'accessibility',
+        description: 'Adds the skip link and checks the main landmark, <h1> and lang of each page',
+        create: createAccessibilityTransform
+    },
+    {
+        id: 'critical-css',
+        description: 'Inlines the critical CSS of the page template and loads the stylesheets without blocking',
+        create: createCriticalCssTransform,
+        step: 'inline-critical-css'
+    }
+];
+
+const createdTransforms = new Map();
+
+/**
+ * Finds the comments of a parsed page whose text matches a pattern
+ * @param {Function} $ - Parsed page (cheerio)
+ * @param {RegExp} pattern - Pattern for the comment text (without <!-- -->)
+ * @returns {Array<Object>} - Comment nodes in document order
+ */
+export function findComments($, pattern) {
+    const comments = [];
+    const visit = (node) => {
+        for (const child of node.children || []) {
+            if (child.type === 'comment' && pattern.test(child.data)) {
+                comments.push(child);
+            }
+            visit(child);
+        }
+    };
+    visit($.root()[0]);
+    return comments;
+}
+
+/**
+ * Creates the transforms of a pass, once per worker
+ * @param {string[]} ids - Transform ids, in registry order
+ * @param {Object} options - Pass options keyed by transform id
+ * @param {Object} site - { buildDir, publicHtmlDir, startedAt }
+ * @returns {Promise<Array<Object>>} - Transforms with their id
+ */
+function createTransforms(ids, options, site) {
+    const key = JSON.stringify([ids, options, site]);
+    if (!createdTransforms.has(key)) {
+        createdTransforms.set(key, Promise.all(PAGE_TRANSFORMS
+            .filter(entry => ids.includes(entry.id))
+            .map(async entry => {
+                const transform = await entry.create(options[entry.id] || {}, site);
+                return transform && { ...transform, id: entry.id };
+            }))
+            .then(transforms => transforms.filter(Boolean)));
+    }
+    return createdTransforms.get(key);
+}
+
+/**
+ * Runs the transforms of a pass on one page (runs on a pool worker)
+ * @param {string} filePath - Page file
+ * @param {string[]} ids - Transform ids, in registry order
+ * @param {Object} options - Pass options keyed by transform id
+ * @param {Object} site - { buildDir, publicHtmlDir, startedAt }
+ * @param {boolean} write - Write the page when it changed (false for a re-run check)
+ * @returns {Promise<Object>} - { changed, counts, problems, warnings } with the changes per transform id
+ */
+export async function transformPage(filePath, ids, options, site, write = true) {
+    const transforms = await createTransforms(ids, options, site);
+    const original = readTextFile(filePath);
+    const relativePath = path.relative(site.publicHtmlDir, filePath);
+    const counts = {};
+    const problems = [];
+    const warnings = [];
+    const page = {
+        filePath,
+        relativePath,
+        fail: message => problems.push(`${relativePath}: ${message}`),
+        warn: message => warnings.push(`${relativePath}: ${message}`)
+    };
+
+    try {
+        const prepared = transforms.reduce((pageHtml, transform) =>
+            transform.prepare ? transform.prepare(pageHtml, page) : pageHtml, original);
+        page.$ = cheerio.load(prepared, { decodeEntities: false });
+
+        let changed = prepared !== original;
+        for (const transform of transforms) {
+            const changes = Number(await transform.transform(page)) || 0;
+            if (changes > 0) {
+                counts[transform.id] = changes;
+                changed = true;
+            }
+        }
+
+        if (changed && write) {
+            writeTextFile(filePath, page.$.html());
+        }
+        return { changed, counts, problems, warnings };
+    } catch (error) {
+        throw new Error(`${relativePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Transforms every HTML page of a build in one pass
+ * @param {string} buildDir - Build directory, or a site directory without public_html (default: build/temp)
+ * @param {Object} options - Pass options
+ * @param {string[]} options.transforms - Transform ids to run (default: all without a step of their own, always in registry order)
+ * @param {Object} options.options - Options per transform id, e.g. { partials: { only: ['nav'] } }
+ * @param {string[]} options.files - Pages to transform (default: every HTML page of the build)
+ * @param {boolean} options.check - Write nothing and fail when a transform would change a page (re-run check)
+ * @returns {Promise<Object>} - { pages, changed, transforms, warnings } with { pages, changes } per transform id
+ */
+export async function transformPages(buildDir = DEFAULT_BUILD_DIR, {
+    transforms = PAGE_TRANSFORMS.filter(entry => !entry.step).map(entry => entry.id),
+    options = {},
+    files = null,
+    check = false
+} = {}) {
+    const unknownIds = transforms.filter(id => !PAGE_TRANSFORMS.some(entry => entry.id === id));
+    if (unknownIds.length > 0) {
+        throw new Error(`Unknown page transforms: ${unknownIds.join(', ')} (expected ${PAGE_TRANSFORMS.map(entry => entry.id).join(', ')})`);
+    }
+
+    const publicHtmlDir = directoryExists(path.join(buildDir, 'public_html')) ? path.join(buildDir, 'public_html') : buildDir;
+    if (!directoryExists(publicHtmlDir)) {
+        throw new Error(`Build directory not found: ${buildDir}`);
+    }
+
+    const ids = PAGE_TRANSFORMS.map(entry => entry.id).filter(id => transforms.includes(id));
+    const site = { buildDir, publicHtmlDir, startedAt: new Date().toISOString() };
+    files = files || listFiles(publicHtmlDir, { extensions: ['.html'] });
+
+    console.log(`🔀 Transforming ${files.length} HTML files: ${ids.join(', ')}`);
+    const results = await mapInWorkerPool(import.meta.url, 'transformPage', files.map(file => [file, ids, options, site, !check]));
+
+    const totals = Object.fromEntries(ids.map(id => [id, { pages: 0, changes: 0 }]));
+    const changedFiles = files.filter((file, i) => results[i].changed);
+    for (const { counts } of results) {
+        for (const [id, changes] of Object.entries(counts)) {
+            totals[id].pages++;
+            totals[id].changes += changes;
+        }
+    }
+    if (check) {
+        if (changedFiles.length > 0) {
+            const pages = files.flatMap((file, i) => results[i].changed
+                ? [`  - ${path.relative(publicHtmlDir, file)}: ${Object.keys(results[i].counts).join(', ')}`]
+                : []);
+            throw new Error(`Page transforms are not idempotent, a re-run would change ${changedFiles.length} pages:\n${pages.join('\n')}`);
+        }
+        console.log(`🔀 A re-run changes none of the ${files.length} HTML files`);
+        return { pages: files.length, changed: 0, transforms: totals, warnings: [] };
+    }
+    recordFilesTouched(changedFiles);
+
+    for (const id of ids) {
+        console.log(`  ✓ ${id}: ${totals[id].changes} changes in ${totals[id].pages} files`);
+    }
+
+    const warnings = results.flatMap(result => result.warnings);
+    for (const warning of warnings) {
+        console.warn(`  ⚠️ ${warning}`);
+        recordBuildWarning(warning);
+    }
+
+    const problems = results.flatMap(result => result.problems);
+    if (problems.length > 0) {
+        throw new Error(`Page transforms failed:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    console.log(`🔀 Wrote ${changedFiles.length} of ${files.length} HTML files`);
+    return { pages: files.length, changed: changedFiles.length, transforms: totals, warnings };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const check = process.argv.includes('--check');
+    transformPages(process.argv.slice(2).find(arg => !arg.startsWith('--')), { check }).catch(error => {
+        console.error(`Error transforming pages: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,129 @@
+/**
+ * Partials
+ *
+ * Resolves the <!-- BUILD_INSERT id="x" --> comments of a page to partial
+ * files. `id="x"` is replaced by partials/x.html, looked up first in the
+ * project root and then in deploy-support/partials/ (the built-in nav and
+ * footer), so a project can override a built-in partial by adding its own.
+ *
+ * - Other attributes of the comment are parameters. They fill {{PLACEHOLDER}}
+ *   fields of the partial, upper-cased with dashes as underscores:
+ *   <!-- BUILD_INSERT id="cta" variant="contact" --> fills {{VARIANT}}
+ * - A `variant` picks partials/<id>--<variant>.html when there is one
+ * - Partials can include other partials with their own BUILD_INSERT comments
+ * - The page context (page type, active nav item, ...) fills the remaining
+ *   fields; parameters win over the page context
+ *
+ * Values are escaped unless they are marked raw (see html-template.mjs).
+ * Ids without a partial are reported, so a typo fails the build instead of
+ * leaving the comment in the page. The ids in RESERVED_INSERTS are filled by
+ * their own build steps and left alone.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { fileExists, readTextFile } from './dry-run.mjs';
+import { fillTemplate, decodeHtmlEntities } from './html-template.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const PARTIALS_DIRS = [path.resolve('partials'), path.join(__dirname, 'partials')];
+
+// Filled by inject-head (head) and build-portfolio (related, portfolio-filters)
+export const RESERVED_INSERTS = ['head', 'related', 'portfolio-filters'];
+
+const BUILD_INSERT_PATTERN = /<!--\s*BUILD_INSERT\b([\s\S]*?)\s*-->/g;
+const ATTRIBUTE_PATTERN = /([\w-]+)="([^"]*)"/g;
+
+const partialCache = new Map();
+
+/**
+ * Parses the attributes of a build insert comment
+ * @param {string} attributeText - Text between BUILD_INSERT and -->
+ * @returns {Object} - { id, params } (params without the id)
+ */
+export function parseBuildInsert(attributeText) {
+    const params = {};
+    for (const [, name, value] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+        params[name] = decodeHtmlEntities(value);
+    }
+    const { id = null, ...rest } = params;
+    return { id, params: rest };
+}
+
+/**
+ * Finds the partial file of an id
+ * @param {string} id - Build insert id
+ * @param {string} variant - Optional variant
+ * @param {string[]} dirs - Partials directories, first match wins
+ * @returns {string|null} - File path, or null when no directory has the partial
+ */
+export function findPartial(id, variant, dirs = PARTIALS_DIRS) {
+    const names = variant ? [`${id}--${variant}.html`, `${id}.html`] : [`${id}.html`];
+    for (const dir of dirs) {
+        const file = names.map(name => path.join(dir, name)).find(candidate => fileExists(candidate));
+        if (file) {
+            return file;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads a partial file (cached), without its final newline
+ * @param {string} file - Partial file path
+ * @returns {string}
+ */
+function readPartial(file) {
+    if (!partialCache.has(file)) {
+        partialCache.set(file, readTextFile(file).replace(/\r?\n$/, ''));
+    }
+    return partialCache.get(file);
+}
+
+/**
+ * Replaces the build insert comments of some markup with their partials
+ * @param {string} markup - Page or partial markup
+ * @param {Object} fields - Page context fields (placeholder name -> value)
+ * @param {Object} options - Render options
+ * @param {string[]} options.dirs - Partials directories
+ * @param {string[]} options.only - Only resolve these ids at the top level (includes always resolve)
+ * @param {string[]} options.stack - Ids of the partials being rendered, to catch include cycles
+ * @returns {Object} - { html, inserted, unknown } with the number of comments replaced and the ids without a partial
+ */
+export function renderBuildInserts(markup, fields, { dirs = PARTIALS_DIRS, only = null, stack = [] } = {}) {
+    let inserted = 0;
+    const unknown = [];
+
+    const rendered = markup.replace(BUILD_INSERT_PATTERN, (comment, attributeText) => {
+        const { id, params } = parseBuildInsert(attributeText);
+        if (RESERVED_INSERTS.includes(id) || (only && !only.includes(id))) {
+            return comment;
+        }
+        if (stack.includes(id)) {
+            throw new Error(`Partials include each other: ${[...stack, id].join(' → ')}`);
+        }
+
+        const file = id && findPartial(id, params.variant, dirs);
+        if (!file) {
+            unknown.push(id || comment);
+            return comment;
+        }
+
+        const paramFields = Object.fromEntries(Object.entries(params)
+            .map(([name, value]) => [name.toUpperCase().replace(/-/g, '_'), value]));
+        const partialFields = { ...fields, ...paramFields };
+        const included = renderBuildInserts(fillTemplate(readPartial(file), partialFields), partialFields, {
+            dirs,
+            stack: [...stack, id]
+        });
+
+        inserted++;
+        unknown.push(...included.unknown);
+        return included.html;
+    });
+
+    return { html: rendered, inserted, unknown };
+}
@@ -0,0 +1,376 @@
+/**
+ * Build Pipeline Definition
+ *
+ * Single source of truth for the build steps run by build.mjs, swift-build.mjs
+ * and BuildManager. Each step declares what it runs, the steps it depends on,
+ * the files it reads and writes, and which build modes include it. Adding a
+ * step to the build means adding one entry here.
+ *
+ * Modes:
+ * - full:        Complete build from source (npm run build)
+ * - swift:       Full pipeline from a clean build directory that keeps only the
+ *                processed assets recorded in the build cache manifest
+ * - static-only: Regenerate portfolio pages on top of an existing build directory
+ * - quick:       Fast preview without image processing (npm run preview:quick)
+ *
+ * A step either runs an npm script (`script`, with optional `args`) or an
+ * in-process `task` whose handler is supplied by the entry point. The Node API
+ * (../index.mjs) runs every step in-process instead, passing the handlers in
+ * stages.mjs as `stages`.
+ *
+ * The runner records step start/finish/skip events with timings in the build
+ * event log (see build-events.mjs).
+ *
+ * Steps whose dependencies are done run concurrently (up to --concurrency),
+ * unless one step's outputs overlap the other's inputs or outputs.
+ *
+ * In a dry run (see dry-run.mjs) steps marked `dryRun: false` are skipped,
+ * because they write through tools that cannot be redirected.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { emitBuildEvent, runInBuildStep, setCurrentBuildStep } from './build-events.mjs';
+import { getConcurrency } from './worker-pool.mjs';
+import { isDryRun } from './dry-run.mjs';
+
+export const PIPELINE_MODES = ['full', 'swift', 'static-only', 'quick'];
+
+export const PIPELINE_STEPS = [
+    {
+        id: 'validate-source',
+        description: 'Validating source HTML files',
+        script: 'validate:source',
+        dependsOn: [],
+        inputs: ['public_html/**/*.html', 'public_html/styles/**/*.css'],
+        outputs: ['public_html/**/*.html', 'public_html/styles/**/*.css'],
+        modes: ['full', 'swift'],
+        skipFlag: '--skip-source-validation'
+    },
+    {
+        id: 'clean-build-dir',
+        description: 'Cleaning build directory (keeping cached assets)',
+        task: 'clean-build-dir',
+        dependsOn: ['validate-source'],
+        inputs: ['build/cache/*.json'],
+        outputs: ['build/temp/**', 'build/cache/*.json'],
+        modes: ['swift']
+    },
+    {
+        id: 'copy-source',
+        description: 'Copying source files to build directory',
+        script: 'deploy:copy',
+        dependsOn: ['validate-source', 'clean-build-dir'],
+        inputs: ['public_html/**'],
+        outputs: ['build/temp/public_html/**'],
+        modes: ['full', 'swift', 'static-only', 'quick'],
+        // Static-only builds reuse an existing build directory when it is complete
+        skipWhen: (context) => context.mode === 'static-only' &&
+            fs.existsSync(path.join(context.buildDir, 'public_html/portfolio'))
+    },
+    {
+        id: 'process-images',
+        description: 'Processing images for optimization',
+        script: 'process:images',
+        dependsOn: ['copy-source'],
+        inputs: ['public_html/assets/images/**/*.{png,jpg,jpeg,webp}', 'build/cache/process-images.json'],
+        outputs: ['build/temp/public_html/assets/images/**/*-{320,640,960,1200,1800}w.*', 'build/temp/public_html/assets/images/**/*-original.*', 'build/cache/process-images.json'],
+        modes: ['full', 'swift'],
+        skipFlag: '--skip-images'
+    },
+    {
+        id: 'process-videos',
+        description: 'Creating video placeholders',
+        script: 'process:videos',
+        dependsOn: ['copy-source'],
+        inputs: ['build/temp/public_html/assets/videos/**/*.mp4', 'build/cache/process-videos.json'],
+        outputs: ['build/temp/public_html/assets/videos/**/*.webp', 'build/cache/process-videos.json'],
+        modes: ['full', 'swift', 'quick'],
+        skipFlag: '--skip-images'
+    },
+    {
+        id: 'process-featured',
+        description: 'Processing featured images',
+        script: 'process:featured',
+        dependsOn: ['copy-source'],
+        inputs: ['public_html/data/next-project.json', 'public_html/assets/images/portfolio/**/featured--cover.*', 'build/cache/process-featured.json'],
+        outputs: ['build/temp/public_html/data/next-project.json', 'build/temp/public_html/assets/images/portfolio/**/featured--cover*', 'build/cache/process-featured.json'],
+        modes: ['full', 'swift', 'quick'],
+        skipFlag: '--skip-images'
+    },
+    {
+        id: 'format-files',
+        description: 'Formatting files and updating timestamps',
+        script: 'format:files',
+        dependsOn: ['process-images', 'process-videos', 'process-featured'],
+        inputs: ['build/temp/public_html/**/*.{html,css,json}'],
+        outputs: ['build/temp/public_html/**/*.{html,json}', 'build/temp/public_html/styles/*.min.css'],
+        modes: ['full', 'swift', 'quick'],
+        continueOnError: true,
+        dryRun: false
+    },
+    {
+        id: 'validate-html',
+        description: 'Validating HTML files',
+        script: 'validate:html',
+        dependsOn: ['format-files'],
+        inputs: ['build/temp/public_html/**/*.html'],
+        outputs: [],
+        modes: ['full', 'swift', 'quick'],
+        skipFlag: '--skip-validation'
+    },
+    {
+        id: 'build-portfolio',
+        description: 'Building portfolio structure',
+        script: 'build:portfolio',
+        dependsOn: ['copy-source', 'validate-html'],
+        inputs: ['public_html/portfolio/**/index.html', 'public_html/portfolio/**/project.json', 'build/temp/public_html/**/*.html'],
+        outputs: ['build/temp/public_html/portfolio/**/*.html', 'build/temp/public_html/data/portfolio-items.json', 'build/temp/public_html/js/portfolio-filter.js', 'build/temp/drafts.json', 'build/temp/unpublished-tags.json'],
+        modes: ['full', 'swift', 'static-only', 'quick']
+    },
+    {
+        id: 'transform-pages',
+        description: 'Transforming pages (responsive images, carousels, tags, partials, head, accessibility)',
+        script: 'transform:pages',
+        dependsOn: ['build-portfolio'],
+        inputs: ['build/temp/public_html/**/*.html', 'build/temp/public_html/data/portfolio-items.json', 'build/temp/unpublished-tags.json', 'partials/*.html'],
+        outputs: ['build/temp/public_html/**/*.html'],
+        modes: ['full', 'swift', 'static-only', 'quick']
+    },
+    {
+        id: 'inline-critical-css',
+        description: 'Inlining critical CSS and loading stylesheets without blocking',
+        script: 'css:critical',
+        dependsOn: ['transform-pages', 'format-files'],
+        inputs: ['build/temp/public_html/**/*.html', 'build/temp/public_html/styles/**/*.css'],
+        outputs: ['build/temp/public_html/**/*.html'],
+        modes: ['full', 'swift', 'static-only', 'quick']
+    },
+    {
+        id: 'generate-sitemap',
+        description: 'Generating sitemap.xml and robots.txt',
+        script: 'build:sitemap',
+        dependsOn: ['transform-pages', 'inline-critical-css'],
+        inputs: ['build/temp/public_html/**/*.html', 'build/temp/drafts.json', 'build/sitemap-lastmod.json'],
+        outputs: ['build/temp/public_html/sitemap.xml', 'build/temp/public_html/robots.txt', 'build/sitemap-lastmod.json'],
+        modes: ['full', 'swift', 'quick']
+    },
+    {
+        id: 'audit-site',
+        description: 'Running site audit to check images and videos',
+        script: 'audit:site',
+        dependsOn: ['transform-pages', 'inline-critical-css'],
+        inputs: ['build/temp/public_html/**'],
+        outputs: ['dev/logs/audit/site-audit-*.txt'],
+        modes: ['full', 'swift'],
+        dryRun: false
+    },
+    {
+        id: 'compare-audits',
+        description: 'Comparing with previous site audits',
+        script: 'audit:compare',
+        args: ['--last=3'],
+        dependsOn: ['audit-site'],
+        inputs: ['dev/logs/audit/site-audit-*.txt'],
+        outputs: [],
+        modes: ['full', 'swift'],
+        continueOnError: true,
+        dryRun: false
+    },
+    {
+        id: 'format-html',
+        description: 'Formatting HTML files in build output',
+        script: 'format:html',
+        dependsOn: ['transform-pages', 'inline-critical-css', 'generate-sitemap', 'compare-audits'],
+        inputs: ['build/temp/public_html/**/*.html'],
+        outputs: ['build/temp/public_html/**/*.html'],
+        modes: ['full', 'swift']
+    }
+];
+
+/**
+ * Returns the steps included in a build mode, ordered so that every step runs
+ * after the steps it depends on. Dependencies on steps outside the mode are ignored.
+ * @param {string} mode - One of PIPELINE_MODES
+ * @param {Array} steps - Step definitions (defaults to PIPELINE_STEPS)
+ * @returns {Array} - Ordered step definitions
+ */
+export function getPipelineSteps(mode, steps = PIPELINE_STEPS) {
+    if (!PIPELINE_MODES.includes(mode)) {
+        throw new Error(`Unknown build mode "${mode}". Expected one of: ${PIPELINE_MODES.join(', ')}`);
+    }
+
+    const stepIds = new Set(steps.map(step => step.id));
+    for (const step of steps) {
+        for (const dependency of step.dependsOn) {
+            if (!stepIds.has(dependency)) {
+                throw new Error(`Pipeline step "${step.id}" depends on unknown step "${dependency}"`);
+            }
+        }
+    }
+
+    const included = steps.filter(step => step.modes.includes(mode));
+    const includedIds = new Set(included.map(step => step.id));
+    const ordered = [];
+    const done = new Set();
+
+    // Stable topological sort: keep declaration order wherever dependencies allow
+    while (ordered.length < included.length) {
+        const next = included.find(step => !done.has(step.id) &&
+            step.dependsOn.every(dependency => !includedIds.has(dependency) || done.has(dependency)));
+
+        if (!next) {
+            const remaining = included.filter(step => !done.has(step.id)).map(step => step.id);
+            throw new Error(`Circular dependency between pipeline steps: ${remaining.join(', ')}`);
+        }
+
+        ordered.push(next);
+        done.add(next.id);
+    }
+
+    return ordered;
+}
+
+/**
+ * Returns the part of a glob before its first wildcard
+ * @param {string} glob - Project-relative glob
+ * @returns {string}
+ */
+function globPrefix(glob) {
+    const wildcard = glob.search(/[*?{[]/);
+    return wildcard === -1 ? glob : glob.slice(0, wildcard);
+}
+
+/**
+ * Whether two steps touch the same files and so must not run at the same time.
+ * Globs are compared by their static prefix, which errs on the side of overlap.
+ * @param {Object} a - Step definition
+ * @param {Object} b - Step definition
+ * @returns {boolean}
+ */
+export function stepsConflict(a, b) {
+    const overlaps = (globsA, globsB) => globsA.some(globA => globsB.some(globB => {
+        const prefixA = globPrefix(globA);
+        const prefixB = globPrefix(globB);
+        return prefixA.startsWith(prefixB) || prefixB.startsWith(prefixA);
+    }));
+    return overlaps(a.outputs, [...b.inputs, ...b.outputs]) || overlaps(b.outputs, a.inputs);
+}
+
+/**
+ * Runs every step of a build mode in dependency order, running independent steps concurrently
+ * @param {string} mode - One of PIPELINE_MODES
+ * @param {Object} options - Runner options
+ * @param {Function} options.runScript - Runs an npm script: (script, description, extraArg) => Promise
+ * @param {Object} options.tasks - Handlers for in-process tasks, keyed by task name
+ * @param {Object} options.stages - In-process handlers keyed by step id, run instead of the step's script or task
+ * @param {string} options.buildDir - Build directory passed to tasks and skip conditions
+ * @param {string} options.sourceDir - Source site directory passed to tasks
+ * @param {string[]} options.argv - Command line arguments used for skip flags
+ * @param {string[]} options.only - Run just these step ids (still in dependency order)
+ * @param {number} options.concurrency - Maximum number of steps running at once
+ */
+export async function runPipeline(mode, {
+    runScript,
+    tasks = {},
+    stages = {},
+    buildDir,
+    sourceDir = 'public_html',
+    argv = process.argv,
+    only = null,
+    concurrency = getConcurrency()
+} = {}) {
+    const context = { mode, buildDir, sourceDir, argv, dryRun: isDryRun() };
+    const steps = getPipelineSteps(mode).filter(step => !only || only.includes(step.id));
+    const stepIds = new Set(steps.map(step => step.id));
+
+    const runStep = async (step) => {
+        if (step.skipFlag && argv.includes(step.skipFlag)) {
+            console.log(`\n⏭️ Skipping "${step.description}" as requested with ${step.skipFlag} flag`);
+            emitBuildEvent('step:skip', { step: step.id, reason: step.skipFlag });
+            return;
+        }
+
+        if (context.dryRun && step.dryRun === false) {
+            console.log(`\n⏭️ Skipping "${step.description}" (not simulated in a dry run)`);
+            emitBuildEvent('step:skip', { step: step.id, reason: 'not simulated in a dry run' });
+            return;
+        }
+
+        if (step.skipWhen && step.skipWhen(context)) {
+            console.log(`\n⏭️ Skipping "${step.description}" (not needed in ${mode} mode)`);
+            emitBuildEvent('step:skip', { step: step.id, reason: `not needed in ${mode} mode` });
+            return;
+        }
+
+        const startTime = Date.now();
+        emitBuildEvent('step:start', { step: step.id, description: step.description });
+
+        try {
+            // Child processes started by the step inherit the step id for their events
+            await runInBuildStep(step.id, async () => {
+                if (stages[step.id]) {
+                    console.log(`\n🔄 ${step.description}...`);
+                    await stages[step.id](context, step);
+                } else if (step.task) {
+                    const handler = tasks[step.task];
+                    if (!handler) {
+                        throw new Error(`No handler provided for pipeline task "${step.task}"`);
+                    }
+                    console.log(`\n🔄 ${step.description}...`);
+                    await handler(context);
+                } else {
+                    await runScript(step.script, step.description, step.args ? step.args.join(' ') : undefined);
+                }
+            });
+            emitBuildEvent('step:finish', { step: step.id, status: 'ok', durationMs: Date.now() - startTime });
+        } catch (error) {
+            if (!step.continueOnError) {
+                emitBuildEvent('error', { step: step.id, message: error.message });
+                emitBuildEvent('step:finish', { step: step.id, status: 'failed', durationMs: Date.now() - startTime });
+                error.step = step.id;
+                throw error;
+            }
+            console.warn(`⚠️ ${step.description} completed with warnings: ${error.message}`);
+            emitBuildEvent('warning', { step: step.id, message: error.message });
+            emitBuildEvent('step:finish', { step: step.id, status: 'warning', durationMs: Date.now() - startTime });
+        }
+    };
+
+    const pending = [...steps];
+    const running = new Map();
+    const done = new Set();
+    let failure = null;
+
+    while (pending.length > 0 || running.size > 0) {
+        // Start ready steps in declaration order; with concurrency 1 this is plain sequential order
+        for (const step of [...pending]) {
+            if (failure || running.size >= concurrency) {
+                break;
+            }
+            const ready = step.dependsOn.every(dependency => !stepIds.has(dependency) || done.has(dependency));
+            const conflicts = [...running.values()].some(({ step: other }) => stepsConflict(step, other));
+            if (ready && !conflicts) {
+                pending.splice(pending.indexOf(step), 1);
+                const promise = runStep(step).then(() => ({ step }), error => ({ step, error }));
+                running.set(step.id, { step, promise });
+            }
+        }
+
+        if (running.size === 0) {
+            break;
+        }
+
+        const finished = await Promise.race([...running.values()].map(entry => entry.promise));
+        running.delete(finished.step.id);
+        done.add(finished.step.id);
+        // Let running steps finish, but start nothing new after a failure
+        failure = failure || finished.error;
+    }
+
+    setCurrentBuildStep(null);
+
+    if (failure) {
+        throw failure;
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * Worker thread entry point for worker-pool.mjs
+ *
+ * Receives { id, modulePath, exportName, args }, calls the exported function
+ * and posts back { id, result } or { id, error }.
+ */
+
+import { parentPort } from 'worker_threads';
+import { pathToFileURL } from 'url';
+
+parentPort.on('message', async ({ id, modulePath, exportName, args }) => {
+    try {
+        const module = await import(pathToFileURL(modulePath).href);
+        if (typeof module[exportName] !== 'function') {
+            throw new Error(`${modulePath} does not export a function named "${exportName}"`);
+        }
+        const result = await module[exportName](...args);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+    }
+});
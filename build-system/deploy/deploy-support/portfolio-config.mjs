@@ -0,0 +1,440 @@
+/**
+ * Portfolio Configuration
+ *
+ * Loads the site-specific settings from portfolio.config.mjs or
+ * portfolio.config.json in the project root:
+ *
+ * - siteUrl and author
+ * - companies, tag categories and the tag dictionary
+ * - navigation and footer
+ * - listing order, related projects and the tag index layout
+ * - robots.txt rules and social metadata
+ * - the critical CSS fold and budget
+ *
+ * The build scripts, the head templates and create-new.mjs all read from it,
+ * so adding a company or a nav item means editing one file.
+ *
+ * The config is validated when it is loaded; every problem is listed in a
+ * single error so a broken config can be fixed in one go. Projects without a
+ * config file build with DEFAULT_PORTFOLIO_CONFIG, the settings the build used
+ * before they were configurable, and get a warning.
+ * See config/portfolio.config.json.example for the format.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SORT_STRATEGIES, DEFAULT_SORT_STRATEGY, CURATED_STRATEGY } from './portfolio-sort.mjs';
+import { createTagSlug } from './tag-dictionary.mjs';
+import { RELATED_CATEGORIES, DEFAULT_RELATED_SETTINGS } from './related-projects.mjs';
+import { TAG_INDEX_SORTS, TAG_INDEX_LAYOUTS, DEFAULT_TAG_INDEX_SETTINGS } from './tag-index.mjs';
+import { CRITICAL_CSS_BUDGET_ACTIONS, DEFAULT_CRITICAL_CSS_SETTINGS } from './critical-css.mjs';
+
+export const PORTFOLIO_CONFIG_FILES = ['portfolio.config.mjs', 'portfolio.config.json'];
+export const TAG_CATEGORY_KEYS = ['TagCategory1', 'TagCategory2', 'TagCategory3'];
+export const SORTED_LISTINGS = ['index', 'tagPages', 'nextProject'];
+
+const TAG_ENTRY_KEYS = ['aliases', 'category', 'forbidden'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const PLACEHOLDER_PATTERN = /\{\{[A-Z_]+\}\}/;
+const EXTERNAL_HREF_PATTERN = /^https?:\/\//;
+
+// Used when a project has no config file (siteUrl as in the deploy scripts)
+export const DEFAULT_PORTFOLIO_CONFIG = {
+    siteUrl: 'https://{{DEPLOY_HOST}}',
+    author: 'Dan Reis',
+    companies: [
+        { slug: 'mikmak', name: 'MikMak', logo: '/assets/images/portfolio/company-logo--mikmak.svg', order: 0 },
+        { slug: 'logmein', name: 'LogMeIn', logo: '/assets/images/portfolio/company-logo--logmein.svg', order: 1 },
+        { slug: 'dataxu', name: 'DataXu', logo: '/assets/images/portfolio/company-logo--dataxu.svg', order: 2 }
+    ],
+    tagCategories: {
+        TagCategory1: 'My Role:',
+        TagCategory2: 'Industry & Platform:',
+        TagCategory3: 'Approach & Deliverables:'
+    },
+    nav: [
+        { id: 'home', label: 'Home', href: '/' },
+        { id: 'portfolio', label: 'Portfolio', href: '/portfolio/' },
+        { id: 'about', label: 'About', href: '/about/' }
+    ],
+    footer: {
+        html: '<b><a href="https://github.com/dreisdesign/portfolio-build?tab=readme-ov-file#portfolio-build-system" target="_blank" rel="noopener noreferrer">Designed and Developed</a></b>'
+    }
+};
+
+const loadedConfigs = new Map();
+
+/**
+ * Finds the config file of a project
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} - Absolute path, or null if there is none
+ */
+export function findPortfolioConfig(projectRoot = process.cwd()) {
+    for (const fileName of PORTFOLIO_CONFIG_FILES) {
+        const configPath = path.resolve(projectRoot, fileName);
+        if (fs.existsSync(configPath)) {
+            return configPath;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks a config object
+ * @param {Object} config - Parsed config
+ * @returns {string[]} - Problems found, empty when the config is valid
+ */
+export function validatePortfolioConfig(config) {
+    const problems = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const requireString = (value, field) => {
+        if (typeof value !== 'string' || value.trim() === '') {
+            problems.push(`${field} must be a non-empty string`);
+            return false;
+        }
+        if (PLACEHOLDER_PATTERN.test(value)) {
+            problems.push(`${field} still contains the placeholder ${value.match(PLACEHOLDER_PATTERN)[0]}`);
+            return false;
+        }
+        return true;
+    };
+
+    if (!isObject(config)) {
+        return ['the config must be an object'];
+    }
+
+    if (requireString(config.siteUrl, 'siteUrl')) {
+        let url = null;
+        try {
+            url = new URL(config.siteUrl);
+        } catch {
+            // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            problems.push(`siteUrl must be an absolute http(s) URL (got "${config.siteUrl}")`);
+        }
+    }
+
+    requireString(config.author, 'author');
+
+    if (!Array.isArray(config.companies) || config.companies.length === 0) {
+        problems.push('companies must be a non-empty array');
+    } else {
+        const slugs = new Set();
+        config.companies.forEach((company, index) => {
+            const field = `companies[${index}]`;
+            if (!isObject(company)) {
+                problems.push(`${field} must be an object`);
+                return;
+            }
+            if (requireString(company.slug, `${field}.slug`)) {
+                if (!SLUG_PATTERN.test(company.slug)) {
+                    problems.push(`${field}.slug must be lowercase letters, digits and dashes (got "${company.slug}")`);
+                } else if (slugs.has(company.slug)) {
+                    problems.push(`${field}.slug "${company.slug}" is declared twice`);
+                }
+                slugs.add(company.slug);
+            }
+            requireString(company.name, `${field}.name`);
+            if (requireString(company.logo, `${field}.logo`) && !company.logo.startsWith('/')) {
+                problems.push(`${field}.logo must be a site-absolute path starting with / (got "${company.logo}")`);
+            }
+            if (!Number.isFinite(company.order)) {
+                problems.push(`${field}.order must be a number`);
+            }
+        });
+    }
+
+    if (!isObject(config.tagCategories)) {
+        problems.push(`tagCategories must be an object with the keys ${TAG_CATEGORY_KEYS.join(', ')}`);
+    } else {
+        for (const key of TAG_CATEGORY_KEYS) {
+            requireString(config.tagCategories[key], `tagCategories.${key}`);
+        }
+    }
+
+    if (config.tags !== undefined) {
+        if (!isObject(config.tags)) {
+            problems.push('tags must be an object of canonical tag name -> { aliases, category, forbidden }');
+        } else {
+            // Every name and alias must resolve to a single canonical tag
+            const canonicalBySlug = new Map();
+            for (const [name, entry] of Object.entries(config.tags)) {
+                const field = `tags["${name}"]`;
+                if (!isObject(entry)) {
+                    problems.push(`${field} must be an object`);
+                    continue;
+                }
+                for (const key of Object.keys(entry)) {
+                    if (!TAG_ENTRY_KEYS.includes(key)) {
+                        problems.push(`${field} has an unknown key "${key}" (expected ${TAG_ENTRY_KEYS.join(', ')})`);
+                    }
+                }
+                const aliases = entry.aliases === undefined ? [] : entry.aliases;
+                if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+                    problems.push(`${field}.aliases must be a list of tag names`);
+                    continue;
+                }
+                if (entry.category !== undefined && !TAG_CATEGORY_KEYS.includes(entry.category)) {
+                    problems.push(`${field}.category must be one of ${TAG_CATEGORY_KEYS.join(', ')} (got "${entry.category}")`);
+                }
+                if (entry.forbidden !== undefined && typeof entry.forbidden !== 'boolean') {
+                    problems.push(`${field}.forbidden must be true or false`);
+                }
+                for (const alias of [name, ...aliases]) {
+                    const slug = createTagSlug(alias);
+                    if (!slug) {
+                        problems.push(`${field}: "${alias}" has no letters or digits`);
+                    } else if (canonicalBySlug.has(slug) && canonicalBySlug.get(slug) !== name) {
+                        problems.push(`${field}: "${alias}" is already a name or alias of "${canonicalBySlug.get(slug)}"`);
+                    } else {
+                        canonicalBySlug.set(slug, name);
+                    }
+                }
+            }
+        }
+    }
+
+    const navIds = new Set();
+    const validateNavItems = (items, field) => items.forEach((item, index) => {
+        const itemField = `${field}[${index}]`;
+        if (!isObject(item)) {
+            problems.push(`${itemField} must be an object`);
+            return;
+        }
+        if (requireString(item.id, `${itemField}.id`)) {
+            if (!SLUG_PATTERN.test(item.id)) {
+                problems.push(`${itemField}.id must be lowercase letters, digits and dashes (got "${item.id}")`);
+            } else if (navIds.has(item.id)) {
+                problems.push(`${itemField}.id "${item.id}" is declared twice`);
+            }
+            navIds.add(item.id);
+        }
+        requireString(item.label, `${itemField}.label`);
+        const external = typeof item.href === 'string' && EXTERNAL_HREF_PATTERN.test(item.href);
+        if (requireString(item.href, `${itemField}.href`) && !external && !item.href.startsWith('/')) {
+            problems.push(`${itemField}.href must be a site-absolute path starting with / or an http(s) URL (got "${item.href}")`);
+        }
+        if (item.match !== undefined) {
+            if (external) {
+                problems.push(`${itemField}.match is only for site paths, not external links`);
+            } else if (!Array.isArray(item.match) || item.match.length === 0 ||
+                item.match.some(rule => typeof rule !== 'string' || !rule.startsWith('/'))) {
+                problems.push(`${itemField}.match must be a non-empty array of site paths starting with /`);
+            }
+        }
+        if (item.children !== undefined) {
+            if (external) {
+                problems.push(`${itemField}.children is only for site paths, not external links`);
+            } else if (Array.isArray(item.children) && item.children.length > 0) {
+                validateNavItems(item.children, `${itemField}.children`);
+            } else if (item.children !== 'auto') {
+                problems.push(`${itemField}.children must be a non-empty array or "auto" (the subdirectories of href)`);
+            }
+        }
+    });
+
+    if (Array.isArray(config.nav) && config.nav.length > 0) {
+        validateNavItems(config.nav, 'nav');
+    } else if (config.nav !== 'auto') {
+        problems.push('nav must be a non-empty array or "auto" (the directories of the site)');
+    }
+
+    if (config.sorting !== undefined) {
+        if (!isObject(config.sorting)) {
+            problems.push('sorting must be an object');
+        } else {
+            const strategies = Object.keys(SORT_STRATEGIES);
+            for (const listing of SORTED_LISTINGS) {
+                const strategy = config.sorting[listing];
+                const allowed = listing === 'nextProject' ? [...strategies, CURATED_STRATEGY] : strategies;
+                if (strategy !== undefined && !allowed.includes(strategy)) {
+                    problems.push(`sorting.${listing} must be one of ${allowed.join(', ')} (got "${strategy}")`);
+                }
+            }
+            const order = config.sorting.nextProjectOrder;
+            if (order !== undefined && (!Array.isArray(order) || order.some(item => typeof item !== 'string' || !/^\/portfolio\/[^/]+\/[^/]+\/$/.test(item)))) {
+                problems.push('sorting.nextProjectOrder must be a list of project paths like "/portfolio/<company>/<project>/"');
+            }
+            if (config.sorting.nextProject === CURATED_STRATEGY && (!Array.isArray(order) || order.length === 0)) {
+                problems.push('sorting.nextProject "curated" needs a non-empty sorting.nextProjectOrder');
+            }
+        }
+    }
+
+    if (config.related !== undefined) {
+        if (!isObject(config.related)) {
+            problems.push('related must be an object');
+        } else {
+            const { count, weights } = config.related;
+            if (count !== undefined && (!Number.isInteger(count) || count < 0)) {
+                problems.push(`related.count must be a whole number, 0 to turn related projects off (got "${count}")`);
+            }
+            if (weights !== undefined) {
+                if (!isObject(weights)) {
+                    problems.push(`related.weights must be an object with the keys ${RELATED_CATEGORIES.join(', ')}`);
+                } else {
+                    for (const [category, weight] of Object.entries(weights)) {
+                        if (!RELATED_CATEGORIES.includes(category)) {
+                            problems.push(`related.weights has an unknown category "${category}" (expected ${RELATED_CATEGORIES.join(', ')})`);
+                        } else if (!Number.isFinite(weight) || weight < 0) {
+                            problems.push(`related.weights.${category} must be a number of at least 0`);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    if (config.tagIndex !== undefined) {
+        if (!isObject(config.tagIndex)) {
+            problems.push('tagIndex must be an object');
+        } else {
+            const { sort, layout, collapseSingleUse } = config.tagIndex;
+            if (sort !== undefined && !TAG_INDEX_SORTS.includes(sort)) {
+                problems.push(`tagIndex.sort must be one of ${TAG_INDEX_SORTS.join(', ')} (got "${sort}")`);
+            }
+            if (layout !== undefined && !TAG_INDEX_LAYOUTS.includes(layout)) {
+                problems.push(`tagIndex.layout must be one of ${TAG_INDEX_LAYOUTS.join(', ')} (got "${layout}")`);
+            }
+            if (collapseSingleUse !== undefined && typeof collapseSingleUse !== 'boolean') {
+                problems.push('tagIndex.collapseSingleUse must be true or false');
+            }
+        }
+    }
+
+    if (config.criticalCss !== undefined) {
+        if (!isObject(config.criticalCss)) {
+            problems.push('criticalCss must be an object');
+        } else {
+            const { fold, budget, overBudget } = config.criticalCss;
+            if (fold !== undefined) {
+                requireString(fold, 'criticalCss.fold');
+            }
+            if (budget !== undefined && (!Number.isInteger(budget) || budget <= 0)) {
+                problems.push(`criticalCss.budget must be a positive number of bytes (got ${JSON.stringify(budget)})`);
+            }
+            if (overBudget !== undefined && !CRITICAL_CSS_BUDGET_ACTIONS.includes(overBudget)) {
+                problems.push(`criticalCss.overBudget must be one of ${CRITICAL_CSS_BUDGET_ACTIONS.join(', ')} (got "${overBudget}")`);
+            }
+        }
+    }
+
+    if (config.robots !== undefined) {
+        if (!isObject(config.robots)) {
+            problems.push('robots must be an object');
+        } else {
+            for (const key of ['allow', 'disallow']) {
+                const rules = config.robots[key];
+                if (rules !== undefined && (!Array.isArray(rules) || !rules.every(rule => typeof rule === 'string' && rule.startsWith('/')))) {
+                    problems.push(`robots.${key} must be an array of site paths starting with "/"`);
+                }
+            }
+        }
+    }
+
+    if (config.social !== undefined) {
+        if (!isObject(config.social)) {
+            problems.push('social must be an object');
+        } else {
+            const { image, twitterSite } = config.social;
+            if (image !== undefined && (typeof image !== 'string' || !image.startsWith('/'))) {
+                problems.push(`social.image must be a site path starting with "/" (got "${image}")`);
+            }
+            if (twitterSite !== undefined && (typeof twitterSite !== 'string' || !/^@\w+$/.test(twitterSite))) {
+                problems.push(`social.twitterSite must be a Twitter handle like "@name" (got "${twitterSite}")`);
+            }
+        }
+    }
+
+    if (!isObject(config.footer)) {
+        problems.push('footer must be an object');
+    } else {
+        requireString(config.footer.html, 'footer.html');
+    }
+
+    return problems;
+}
+
+/**
+ * Fills in the defaults of the optional config sections
+ * @param {Object} config - Validated portfolio config
+ * @returns {Object} - Config with companies in order and every optional section set
+ */
+function applyConfigDefaults(config) {
+    return {
+        ...config,
+        companies: [...config.companies].sort((a, b) => a.order - b.order),
+        sorting: {
+            ...Object.fromEntries(SORTED_LISTINGS.map(listing => [listing, DEFAULT_SORT_STRATEGY])),
+            ...config.sorting
+        },
+        related: {
+            count: config.related?.count ?? DEFAULT_RELATED_SETTINGS.count,
+            weights: { ...DEFAULT_RELATED_SETTINGS.weights, ...config.related?.weights }
+        },
+        tagIndex: { ...DEFAULT_TAG_INDEX_SETTINGS, ...config.tagIndex },
+        criticalCss: { ...DEFAULT_CRITICAL_CSS_SETTINGS, ...config.criticalCss }
+    };
+}
+
+/**
+ * Loads and validates the portfolio config (cached per file)
+ * Without a config file in the project root this is DEFAULT_PORTFOLIO_CONFIG.
+ * @param {Object} options - Load options
+ * @param {string} options.projectRoot - Directory searched for the config (default: working directory)
+ * @param {string} options.configPath - Explicit config file, instead of searching the project root
+ * @returns {Promise<Object>} - The validated config
+ */
+export async function loadPortfolioConfig({ projectRoot = process.cwd(), configPath = null } = {}) {
+    const resolvedPath = configPath ? path.resolve(configPath) : findPortfolioConfig(projectRoot);
+    if (!resolvedPath) {
+        const defaultsKey = `defaults:${path.resolve(projectRoot)}`;
+        if (!loadedConfigs.has(defaultsKey)) {
+            console.warn(`⚠️ No portfolio config found in ${path.resolve(projectRoot)} - using the built-in defaults ` +
+                `(add ${PORTFOLIO_CONFIG_FILES.join(' or ')}; see config/portfolio.config.json.example)`);
+            loadedConfigs.set(defaultsKey, applyConfigDefaults(DEFAULT_PORTFOLIO_CONFIG));
+        }
+        return loadedConfigs.get(defaultsKey);
+    }
+
+    if (loadedConfigs.has(resolvedPath)) {
+        return loadedConfigs.get(resolvedPath);
+    }
+
+    let config;
+    try {
+        if (resolvedPath.endsWith('.json')) {
+            config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        } else {
+            config = (await import(pathToFileURL(resolvedPath).href)).default;
+        }
+    } catch (error) {
+        throw new Error(`Could not read portfolio config ${resolvedPath}: ${error.message}`);
+    }
+
+    const problems = validatePortfolioConfig(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid portfolio config ${resolvedPath}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    const sortedConfig = applyConfigDefaults(config);
+    loadedConfigs.set(resolvedPath, sortedConfig);
+    return sortedConfig;
+}
+
+/**
+ * Looks up a company, falling back to the slug for companies missing from the config
+ * @param {Object} config - Portfolio config
+ * @param {string} slug - Company slug
+ * @returns {Object} - { slug, name, logo, order }
+ */
+export function getCompany(config, slug) {
+    return config.companies.find(company => company.slug === slug) || {
+        slug,
+        name: slug.charAt(0).toUpperCase() + slug.slice(1),
+        logo: `/assets/images/portfolio/company-logo--${slug}.svg`,
+        order: Infinity
+    };
+}
@@ -0,0 +1,111 @@
+/**
+ * Portfolio Sort Strategies
+ *
+ * Named orders for the portfolio listings. The portfolio config picks one per
+ * listing (`sorting.index`, `sorting.tagPages`, `sorting.nextProject`); every
+ * strategy falls back to the project title, so the order is always stable.
+ *
+ * - company: configured company order, then weight, then title (the default)
+ * - weight: declared sort weight, lower first and unweighted projects last
+ * - newest: project date, newest first and undated projects last
+ * - featured: featured projects first, then the company order
+ *
+ * The next-project chain can also use `curated`, which follows
+ * `sorting.nextProjectOrder` (a list of project paths) and appends any project
+ * missing from it in index order.
+ */
+
+export const DEFAULT_SORT_STRATEGY = 'company';
+export const CURATED_STRATEGY = 'curated';
+
+/**
+ * Compares two values that may be missing, missing values last
+ * @param {*} a - Value or undefined
+ * @param {*} b - Value or undefined
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {number}
+ */
+function compareOptional(a, b, direction = 1) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === undefined || a === null) {
+        return 1;
+    }
+    if (b === undefined || b === null) {
+        return -1;
+    }
+    return (a < b ? -1 : 1) * direction;
+}
+
+/**
+ * Compares two company slugs by their configured order (unknown companies last)
+ * @param {Object} config - Portfolio config
+ * @param {string} a - Company slug
+ * @param {string} b - Company slug
+ * @returns {number}
+ */
+export function compareCompanies(config, a, b) {
+    const orderOf = slug => config.companies.find(company => company.slug === slug)?.order;
+    return compareOptional(orderOf(a), orderOf(b));
+}
+
+const byTitle = (a, b) => a.title.localeCompare(b.title);
+const byWeight = (a, b) => compareOptional(a.weight, b.weight);
+const byCompany = (config) => (a, b) => compareCompanies(config, a.company.toLowerCase(), b.company.toLowerCase());
+
+export const SORT_STRATEGIES = {
+    company: config => [byCompany(config), byWeight, byTitle],
+    weight: () => [byWeight, byTitle],
+    newest: () => [(a, b) => compareOptional(a.date, b.date, -1), byTitle],
+    featured: config => [(a, b) => Number(Boolean(b.featured)) - Number(Boolean(a.featured)), byCompany(config), byWeight, byTitle]
+};
+
+/**
+ * Sorts portfolio items with a named strategy
+ * @param {Array<Object>} items - Portfolio items ({ title, company, date, weight, featured })
+ * @param {string} strategy - Key of SORT_STRATEGIES
+ * @param {Object} config - Portfolio config
+ * @returns {Array<Object>} - New sorted array
+ */
+export function sortPortfolioItems(items, strategy, config) {
+    const createComparators = SORT_STRATEGIES[strategy];
+    if (!createComparators) {
+        throw new Error(`Unknown sort strategy "${strategy}" (expected ${Object.keys(SORT_STRATEGIES).join(', ')})`);
+    }
+
+    const comparators = createComparators(config);
+    return [...items].sort((a, b) => {
+        for (const compare of comparators) {
+            const result = compare(a, b);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return 0;
+    });
+}
+
+/**
+ * Orders the next-project chain
+ * @param {Array<Object>} items - Listed portfolio items
+ * @param {Object} config - Portfolio config
+ * @returns {Array<Object>} - Items in chain order; each project links to the one after it, the last to the first
+ */
+export function orderNextProjectChain(items, config) {
+    const { nextProject, nextProjectOrder = [], index } = config.sorting;
+    if (nextProject !== CURATED_STRATEGY) {
+        return sortPortfolioItems(items, nextProject, config);
+    }
+
+    const byPath = new Map(items.map(item => [item.path, item]));
+    const curated = nextProjectOrder.filter(projectPath => byPath.has(projectPath)).map(projectPath => byPath.get(projectPath));
+    const missing = nextProjectOrder.filter(projectPath => !byPath.has(projectPath));
+    if (missing.length > 0) {
+        console.warn(`⚠️ sorting.nextProjectOrder lists projects that are not published: ${missing.join(', ')}`);
+    }
+
+    const curatedPaths = new Set(curated.map(item => item.path));
+    const rest = sortPortfolioItems(items.filter(item => !curatedPaths.has(item.path)), index, config);
+    return [...curated, ...rest];
+}
@@ -0,0 +1,296 @@
+/**
+ * Project Metadata
+ *
+ * Portfolio projects can declare their card and listing data instead of
+ * having it scraped from the page. The metadata is read from a project.json
+ * sidecar next to the project's index.html, or from a front-matter comment at
+ * the top of index.html:
+ *
+ *   <!--
+ *   ---
+ *   title: Custom Report Builder
+ *   summary: Self-serve reporting for brand managers
+ *   date: 2024-05-01
+ *   role: Lead Product Designer
+ *   tags.TagCategory1: UX Design, Prototyping
+ *   tags.TagCategory2: SaaS, Web
+ *   featured: true
+ *   weight: 10
+ *   status: scheduled
+ *   publishDate: 2024-06-01
+ *   ---
+ *   -->
+ *
+ * project.json uses the same keys, with `tags` as an object of category ->
+ * list of tag names. Every key is optional; whatever is missing falls back to
+ * the HTML scraping in 06-build-portfolio.mjs. The front-matter comment is
+ * removed from the built page.
+ *
+ * Project status:
+ * - published (default): listed everywhere
+ * - draft: left out of every listing and of releases, so it is never deployed;
+ *   the preview server shows the page behind a banner
+ * - unlisted: built and deployed, but never linked or indexed
+ * - scheduled: a draft until publishDate, published from the first build on or after it
+ */
+
+import path from 'path';
+import { fileExists, readTextFile, writeTextFile } from './dry-run.mjs';
+
+export const PROJECT_METADATA_FILE = 'project.json';
+export const PROJECT_STATUSES = ['published', 'draft', 'unlisted', 'scheduled'];
+
+// Written next to public_html by 06-build-portfolio.mjs, read when a release is created
+export const DRAFTS_MANIFEST_FILE = 'drafts.json';
+
+const FRONT_MATTER_PATTERN = /<!--\s*\n\s*---\s*\n([\s\S]*?)\n\s*---\s*\n\s*-->\s*\n?/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const KNOWN_KEYS = ['title', 'summary', 'date', 'role', 'tags', 'featured', 'weight', 'status', 'publishDate'];
+
+/**
+ * Parses the `key: value` lines of a front-matter block
+ * Dotted keys (tags.TagCategory1) create nested objects.
+ * @param {string} block - Front-matter content between the --- lines
+ * @param {string} source - File name for error messages
+ * @returns {Object} - Raw metadata with string values
+ */
+function parseFrontMatter(block, source) {
+    const metadata = {};
+
+    block.split('\n').forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) {
+            return;
+        }
+
+        const separator = trimmed.indexOf(':');
+        if (separator <= 0) {
+            throw new Error(`${source}: front-matter line ${index + 1} is not "key: value" ("${trimmed}")`);
+        }
+
+        const keys = trimmed.slice(0, separator).trim().split('.');
+        const value = trimmed.slice(separator + 1).trim();
+        let target = metadata;
+        for (const key of keys.slice(0, -1)) {
+            target[key] = target[key] || {};
+            target = target[key];
+        }
+        target[keys[keys.length - 1]] = value;
+    });
+
+    return metadata;
+}
+
+/**
+ * Splits a comma-separated list, ignoring commas inside parentheses
+ * @param {string} text - e.g. "UX Design, Research (Qualitative, Quantitative)"
+ * @returns {string[]}
+ */
+function splitList(text) {
+    const items = [];
+    let current = '';
+    let parenLevel = 0;
+
+    for (const char of text) {
+        if (char === ',' && parenLevel === 0) {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        if (char === '(') {
+            parenLevel++;
+        } else if (char === ')') {
+            parenLevel--;
+        }
+        current += char;
+    }
+    items.push(current);
+
+    return items.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Checks and normalizes raw metadata from either source
+ * @param {Object} raw - Parsed project.json or front matter
+ * @param {string} source - File name for error messages
+ * @returns {Object} - Metadata with only the keys that were declared
+ */
+function normalizeProjectMetadata(raw, source) {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`${source}: project metadata must be an object`);
+    }
+
+    const problems = [];
+    const metadata = {};
+
+    for (const key of Object.keys(raw)) {
+        if (!KNOWN_KEYS.includes(key)) {
+            problems.push(`unknown key "${key}" (expected ${KNOWN_KEYS.join(', ')})`);
+        }
+    }
+
+    for (const key of ['title', 'summary', 'role']) {
+        if (raw[key] === undefined) {
+            continue;
+        }
+        if (typeof raw[key] !== 'string' || !raw[key].trim()) {
+            problems.push(`${key} must be a non-empty string`);
+        } else {
+            metadata[key] = raw[key].trim();
+        }
+    }
+
+    if (raw.date !== undefined) {
+        if (typeof raw.date !== 'string' || !/^\d{4}-\d{2}(-\d{2})?$/.test(raw.date) || isNaN(Date.parse(raw.date))) {
+            problems.push(`date must be YYYY-MM-DD or YYYY-MM (got "${raw.date}")`);
+        } else {
+            metadata.date = raw.date;
+        }
+    }
+
+    if (raw.featured !== undefined) {
+        const featured = raw.featured === 'true' ? true : raw.featured === 'false' ? false : raw.featured;
+        if (typeof featured !== 'boolean') {
+            problems.push(`featured must be true or false (got "${raw.featured}")`);
+        } else {
+            metadata.featured = featured;
+        }
+    }
+
+    if (raw.weight !== undefined) {
+        const weight = typeof raw.weight === 'string' && raw.weight.trim() !== '' ? Number(raw.weight) : raw.weight;
+        if (!Number.isFinite(weight)) {
+            problems.push(`weight must be a number (got "${raw.weight}")`);
+        } else {
+            metadata.weight = weight;
+        }
+    }
+
+    if (raw.status !== undefined) {
+        if (!PROJECT_STATUSES.includes(raw.status)) {
+            problems.push(`status must be one of ${PROJECT_STATUSES.join(', ')} (got "${raw.status}")`);
+        } else {
+            metadata.status = raw.status;
+        }
+    }
+
+    if (raw.publishDate !== undefined) {
+        if (typeof raw.publishDate !== 'string' || !DATE_PATTERN.test(raw.publishDate) || isNaN(Date.parse(raw.publishDate))) {
+            problems.push(`publishDate must be YYYY-MM-DD (got "${raw.publishDate}")`);
+        } else if (raw.status !== 'scheduled') {
+            problems.push('publishDate is only used with status: scheduled');
+        } else {
+            metadata.publishDate = raw.publishDate;
+        }
+    } else if (raw.status === 'scheduled') {
+        problems.push('status: scheduled needs a publishDate');
+    }
+
+    if (raw.tags !== undefined) {
+        if (raw.tags === null || typeof raw.tags !== 'object' || Array.isArray(raw.tags)) {
+            problems.push('tags must be an object of category -> list of tag names');
+        } else {
+            metadata.tags = {};
+            for (const [category, names] of Object.entries(raw.tags)) {
+                const list = typeof names === 'string' ? splitList(names) : names;
+                if (!Array.isArray(list) || list.some(name => typeof name !== 'string' || !name.trim())) {
+                    problems.push(`tags.${category} must be a list of tag names`);
+                } else {
+                    metadata.tags[category] = list.map(name => name.trim());
+                }
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid project metadata in ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    return metadata;
+}
+
+/**
+ * Reads the declared metadata of a portfolio project
+ * project.json wins over a front-matter comment in the page.
+ * @param {string} projectDir - Source project directory (contains index.html)
+ * @param {string} html - Contents of the project's index.html
+ * @returns {Object|null} - { source, ...metadata }, or null if the project declares none
+ */
+export function readProjectMetadata(projectDir, html) {
+    const sidecarPath = path.join(projectDir, PROJECT_METADATA_FILE);
+    if (fileExists(sidecarPath)) {
+        let raw;
+        try {
+            raw = JSON.parse(readTextFile(sidecarPath));
+        } catch (error) {
+            throw new Error(`Could not parse ${sidecarPath}: ${error.message}`);
+        }
+        return { source: sidecarPath, ...normalizeProjectMetadata(raw, sidecarPath) };
+    }
+
+    const frontMatter = html.match(FRONT_MATTER_PATTERN);
+    if (frontMatter) {
+        const source = path.join(projectDir, 'index.html');
+        return { source, ...normalizeProjectMetadata(parseFrontMatter(frontMatter[1], source), source) };
+    }
+
+    return null;
+}
+
+/**
+ * Works out how a project is treated in this build
+ * @param {Object|null} metadata - Result of readProjectMetadata
+ * @param {Date} now - Build time
+ * @returns {string} - 'published', 'draft' or 'unlisted' (scheduled projects resolve to draft or published)
+ */
+export function resolveProjectStatus(metadata, now = new Date()) {
+    const status = metadata?.status || 'published';
+    if (status !== 'scheduled') {
+        return status;
+    }
+
+    // Compare calendar dates in local time, so a project goes live on its publish date
+    const pad = number => String(number).padStart(2, '0');
+    const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    return metadata.publishDate <= today ? 'published' : 'draft';
+}
+
+/**
+ * Records the draft projects of a build, so releases can leave them out
+ * @param {string} buildDir - Build directory containing public_html
+ * @param {Array<Object>} drafts - { company, project, path } per draft project
+ */
+export function writeDraftsManifest(buildDir, drafts) {
+    const assetTypes = ['images', 'videos', 'documents'];
+    const manifest = {
+        projects: drafts.map(draft => draft.path),
+        // Site-relative path prefixes of the draft pages and their assets
+        excludeFromRelease: drafts.flatMap(({ company, project }) => [
+            `portfolio/${company}/${project}/`,
+            ...assetTypes.map(type => `assets/${type}/portfolio/${company}/${project}/`)
+        ])
+    };
+    writeTextFile(path.join(buildDir, DRAFTS_MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Reads the path prefixes that must stay out of a release
+ * @param {string} buildDir - Build directory containing public_html
+ * @returns {string[]} - Site-relative path prefixes (empty without a drafts manifest)
+ */
+export function readReleaseExclusions(buildDir) {
+    const manifestPath = path.join(buildDir, DRAFTS_MANIFEST_FILE);
+    if (!fileExists(manifestPath)) {
+        return [];
+    }
+    return JSON.parse(readTextFile(manifestPath)).excludeFromRelease || [];
+}
+
+/**
+ * Removes the front-matter comment from a page
+ * @param {string} html - Page HTML
+ * @returns {string}
+ */
+export function stripProjectFrontMatter(html) {
+    return html.replace(FRONT_MATTER_PATTERN, '');
+}
@@ -0,0 +1,63 @@
+/**
+ * Related Projects
+ *
+ * Ranks the other portfolio projects by how many tags they share with a
+ * project. Every shared tag adds the weight of its category, so a shared role
+ * counts for more than working for the same company. The portfolio config can
+ * change the weights and the number of projects shown (`related.count`,
+ * `related.weights`).
+ *
+ * Only projects sharing at least one tag are related; ties keep the order of
+ * the candidate list, which is the portfolio index order.
+ */
+
+export const RELATED_CATEGORIES = ['TagCategory1', 'TagCategory2', 'TagCategory3', 'Company'];
+
+export const DEFAULT_RELATED_SETTINGS = {
+    count: 3,
+    weights: {
+        TagCategory1: 3,
+        TagCategory2: 2,
+        TagCategory3: 2,
+        Company: 1
+    }
+};
+
+/**
+ * Scores how related two projects are
+ * @param {Object} project - Portfolio item
+ * @param {Object} candidate - Portfolio item
+ * @param {Object} weights - Category -> weight of a shared tag
+ * @returns {number} - Sum of the weights of the shared tags
+ */
+export function scoreRelatedProject(project, candidate, weights) {
+    const candidateSlugs = new Set((candidate.tags || []).map(tag => tag.slug));
+    return (project.tags || [])
+        .filter(tag => candidateSlugs.has(tag.slug))
+        .reduce((score, tag) => score + (weights[tag.category] || 0), 0);
+}
+
+/**
+ * Finds the projects most related to a project
+ * @param {Object} project - Portfolio item
+ * @param {Array<Object>} candidates - Listed portfolio items, in index order
+ * @param {Object} options - Ranking options
+ * @param {number} options.count - Maximum number of projects returned
+ * @param {Object} options.weights - Category -> weight of a shared tag
+ * @param {string[]} options.exclude - Project paths to leave out (e.g. the next-project target)
+ * @returns {Array<Object>} - Related portfolio items, most related first
+ */
+export function findRelatedProjects(project, candidates, {
+    count = DEFAULT_RELATED_SETTINGS.count,
+    weights = DEFAULT_RELATED_SETTINGS.weights,
+    exclude = []
+} = {}) {
+    const excluded = new Set([project.path, ...exclude]);
+    return candidates
+        .filter(candidate => !excluded.has(candidate.path))
+        .map((candidate, index) => ({ candidate, index, score: scoreRelatedProject(project, candidate, weights) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, count)
+        .map(({ candidate }) => candidate);
+}
@@ -0,0 +1,269 @@
+/**
+ * Release Directories
+ *
+ * Every successful build is frozen into build/releases/<machineTimestamp>/,
+ * next to a release.json with its details. The `current` symlink in the same
+ * directory points at the active release, which is what simple-deploy.sh
+ * uploads; rolling back only moves the pointer, so an earlier release can be
+ * deployed again without rebuilding.
+ *
+ * Release files are made read-only. Files that did not change since the
+ * previous release are hard links to it, so keeping several releases costs
+ * little disk space. Draft projects (see project-metadata.mjs) are left out,
+ * so they can be previewed locally but are never deployed.
+ *
+ * Layout:
+ *   build/releases/20250413-1430/public_html/...
+ *   build/releases/20250413-1430/release.json
+ *   build/releases/current -> 20250413-1430
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { hashFile } from './build-cache.mjs';
+import { createUnifiedDiff } from './dry-run.mjs';
+
+export const DEFAULT_RELEASES_DIR = path.resolve('build/releases');
+export const CURRENT_RELEASE_LINK = 'current';
+const RELEASE_INFO_FILE = 'release.json';
+const KEEP_RELEASES = 10;
+
+/**
+ * Recursively lists the files of a directory, relative to it
+ * @param {string} dir - Directory to list
+ * @returns {string[]} - Sorted relative paths
+ */
+function listRelativeFiles(dir) {
+    const files = [];
+    const walk = (currentDir) => {
+        for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+            const fullPath = path.join(currentDir, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else {
+                files.push(path.relative(dir, fullPath));
+            }
+        }
+    };
+    if (fs.existsSync(dir)) {
+        walk(dir);
+    }
+    return files.sort();
+}
+
+/**
+ * Whether two files have the same content
+ * @param {string} a - File path
+ * @param {string} b - File path
+ * @returns {Promise<boolean>}
+ */
+async function sameContent(a, b) {
+    const [statA, statB] = [fs.statSync(a), fs.statSync(b)];
+    if (statA.ino === statB.ino && statA.dev === statB.dev) {
+        return true;
+    }
+    return statA.size === statB.size && await hashFile(a) === await hashFile(b);
+}
+
+/**
+ * Returns the id of the active release
+ * @param {string} releasesDir - Releases directory
+ * @returns {string|null}
+ */
+export function getCurrentRelease(releasesDir = DEFAULT_RELEASES_DIR) {
+    try {
+        return path.basename(fs.readlinkSync(path.join(releasesDir, CURRENT_RELEASE_LINK)));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Lists all releases, oldest first
+ * @param {string} releasesDir - Releases directory
+ * @returns {Array<Object>} - Release details from release.json plus { id, current }
+ */
+export function listReleases(releasesDir = DEFAULT_RELEASES_DIR) {
+    if (!fs.existsSync(releasesDir)) {
+        return [];
+    }
+
+    const current = getCurrentRelease(releasesDir);
+    return fs.readdirSync(releasesDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && fs.existsSync(path.join(releasesDir, entry.name, RELEASE_INFO_FILE)))
+        .map(entry => {
+            const info = JSON.parse(fs.readFileSync(path.join(releasesDir, entry.name, RELEASE_INFO_FILE), 'utf8'));
+            return { ...info, id: entry.name, current: entry.name === current };
+        })
+        // Numeric collation keeps <timestamp>-10 after <timestamp>-2
+        .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+}
+
+/**
+ * Finds a release by id, throwing a readable error for unknown ids
+ * @param {string} id - Release id
+ * @param {string} releasesDir - Releases directory
+ * @returns {Object} - Release details
+ */
+export function getRelease(id, releasesDir = DEFAULT_RELEASES_DIR) {
+    const release = listReleases(releasesDir).find(candidate => candidate.id === id);
+    if (!release) {
+        throw new Error(`Release not found: ${id} (run "npm run release:list" to see the available releases)`);
+    }
+    return release;
+}
+
+/**
+ * Points `current` at a release (the link is replaced atomically)
+ * @param {string} id - Release id
+ * @param {string} releasesDir - Releases directory
+ */
+export function setCurrentRelease(id, releasesDir = DEFAULT_RELEASES_DIR) {
+    getRelease(id, releasesDir);
+    const link = path.join(releasesDir, CURRENT_RELEASE_LINK);
+    const temporaryLink = `${link}.tmp`;
+    fs.rmSync(temporaryLink, { force: true });
+    fs.symlinkSync(id, temporaryLink);
+    fs.renameSync(temporaryLink, link);
+}
+
+/**
+ * Freezes a build into a new release and makes it current
+ * @param {string} siteDir - Built site to release (e.g. build/temp/public_html)
+ * @param {string} machineTimestamp - Build timestamp, used as the release id
+ * @param {Object} details - Extra data for release.json (e.g. mode)
+ * @param {string} releasesDir - Releases directory
+ * @param {string[]} excludedPaths - Site-relative path prefixes to leave out (e.g. draft projects)
+ * @returns {Promise<Object>} - { id, fileCount, linkedCount, excludedCount, dir }
+ */
+export async function createRelease(siteDir, machineTimestamp, details = {}, releasesDir = DEFAULT_RELEASES_DIR, excludedPaths = []) {
+    // Two builds within the same minute get a numbered suffix
+    let id = machineTimestamp;
+    for (let n = 2; fs.existsSync(path.join(releasesDir, id)); n++) {
+        id = `${machineTimestamp}-${n}`;
+    }
+
+    const previous = getCurrentRelease(releasesDir);
+    const previousSiteDir = previous ? path.join(releasesDir, previous, 'public_html') : null;
+    const releaseDir = path.join(releasesDir, id);
+    const releaseSiteDir = path.join(releaseDir, 'public_html');
+    const allFiles = listRelativeFiles(siteDir);
+    const files = allFiles.filter(file => {
+        const sitePath = file.split(path.sep).join('/');
+        return !excludedPaths.some(prefix => sitePath.startsWith(prefix));
+    });
+    let linkedCount = 0;
+
+    for (const file of files) {
+        const source = path.join(siteDir, file);
+        const target = path.join(releaseSiteDir, file);
+        const previousFile = previousSiteDir && path.join(previousSiteDir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+
+        if (previousFile && fs.existsSync(previousFile) && await sameContent(source, previousFile)) {
+            fs.linkSync(previousFile, target);
+            linkedCount++;
+        } else {
+            fs.copyFileSync(source, target);
+            fs.chmodSync(target, 0o444);
+        }
+    }
+
+    const info = {
+        createdAt: new Date().toISOString(),
+        machineTimestamp,
+        previous,
+        fileCount: files.length,
+        ...details
+    };
+    fs.writeFileSync(path.join(releaseDir, RELEASE_INFO_FILE), JSON.stringify(info, null, 2), 'utf8');
+    fs.chmodSync(path.join(releaseDir, RELEASE_INFO_FILE), 0o444);
+
+    setCurrentRelease(id, releasesDir);
+    pruneReleases(releasesDir);
+
+    return { id, fileCount: files.length, linkedCount, excludedCount: allFiles.length - files.length, dir: releaseDir };
+}
+
+/**
+ * Deletes the oldest releases, never the current one
+ * @param {string} releasesDir - Releases directory
+ * @param {number} keep - Number of releases to keep
+ * @returns {string[]} - Ids of the deleted releases
+ */
+export function pruneReleases(releasesDir = DEFAULT_RELEASES_DIR, keep = KEEP_RELEASES) {
+    const releases = listReleases(releasesDir);
+    const removable = releases
+        .slice(0, Math.max(0, releases.length - keep))
+        .filter(release => !release.current);
+
+    for (const release of removable) {
+        fs.rmSync(path.join(releasesDir, release.id), { recursive: true, force: true });
+    }
+    return removable.map(release => release.id);
+}
+
+/**
+ * Picks the release to roll back to
+ * Without an id this is the release the current one replaced (`previous` in
+ * its release.json), so rolling back twice never returns to a release that
+ * was rolled back from. Releases without a kept `previous` fall back to the
+ * release before the current one by id.
+ * @param {string|null} id - Requested release id, or null for the release the current one replaced
+ * @param {string} releasesDir - Releases directory
+ * @returns {string} - Release id
+ */
+export function getRollbackTarget(id = null, releasesDir = DEFAULT_RELEASES_DIR) {
+    if (id) {
+        return getRelease(id, releasesDir).id;
+    }
+
+    const releases = listReleases(releasesDir);
+    const currentIndex = releases.findIndex(release => release.current);
+    const previous = currentIndex === -1 ? null : releases[currentIndex].previous;
+    if (previous && releases.some(release => release.id === previous)) {
+        return previous;
+    }
+    if (currentIndex <= 0) {
+        throw new Error('There is no earlier release to roll back to');
+    }
+    return releases[currentIndex - 1].id;
+}
+
+/**
+ * Compares the files of two releases
+ * @param {string} fromId - Older release id
+ * @param {string} toId - Newer release id
+ * @param {Object} options - Diff options
+ * @param {boolean} options.patch - Include unified diffs of changed HTML files
+ * @param {string} options.releasesDir - Releases directory
+ * @returns {Promise<Object>} - { added, removed, changed, patch }
+ */
+export async function diffReleases(fromId, toId, { patch = false, releasesDir = DEFAULT_RELEASES_DIR } = {}) {
+    const fromDir = path.join(releasesDir, getRelease(fromId, releasesDir).id, 'public_html');
+    const toDir = path.join(releasesDir, getRelease(toId, releasesDir).id, 'public_html');
+    const fromFiles = new Set(listRelativeFiles(fromDir));
+    const toFiles = new Set(listRelativeFiles(toDir));
+
+    const added = [...toFiles].filter(file => !fromFiles.has(file));
+    const removed = [...fromFiles].filter(file => !toFiles.has(file));
+    const changed = [];
+    for (const file of toFiles) {
+        if (fromFiles.has(file) && !await sameContent(path.join(fromDir, file), path.join(toDir, file))) {
+            changed.push(file);
+        }
+    }
+
+    const patches = patch
+        ? changed
+            .filter(file => path.extname(file).toLowerCase() === '.html')
+            .map(file => createUnifiedDiff(
+                fs.readFileSync(path.join(fromDir, file), 'utf8'),
+                fs.readFileSync(path.join(toDir, file), 'utf8'),
+                file
+            ))
+            .join('')
+        : '';
+
+    return { added, removed, changed, patch: patches };
+}
@@ -13,26 +13,32 @@
  * 3. Updates timestamps in HTML files
  * 4. Updates version numbers in CSS files
  * 5. Ensures proper formatting with blank lines between timestamp comments and doctype declarations
+ * 6. Warns about pages missing the values of their social metadata (title, description,
+ *    project cover image); these do not fail the validation
  */
 
 import fs from 'fs';
 import path from 'path';
-import { promisify } from 'util';
 import { fileURLToPath } from 'url';
-import globCallback from 'glob';
 import { parse } from 'node-html-parser';
-
-const glob = promisify(globCallback);
+import { ensureDirectory, listFiles, readTextFile, writeTextFile } from '../dry-run.mjs';
+import { recordBuildWarning } from '../build-events.mjs';
+import { findMissingSocialMetadata } from '../head-templates/social-meta.mjs';
 
 // Set up paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // === Asset Folder Creation for Portfolio Projects ===
-async function ensureAssetFolders() {
-    const portfolioRoot = path.join(process.cwd(), 'public_html', 'portfolio');
+async function ensureAssetFolders(sourceDir = path.join(process.cwd(), 'public_html')) {
+    const portfolioRoot = path.join(sourceDir, 'portfolio');
     const assetTypes = ['images', 'videos', 'documents'];
-    const assetRoot = (type) => path.join(process.cwd(), 'public_html', 'assets', type, 'portfolio');
+    const assetRoot = (type) => path.join(sourceDir, 'assets', type, 'portfolio');
+
+    if (!fs.existsSync(portfolioRoot)) {
+        console.log(`[assets] No portfolio directory in ${sourceDir}`);
+        return;
+    }
 
     function walkPortfolio(dir) {
         // Recursively find all [company]/[project] folders
@@ -60,8 +66,7 @@ async function ensureAssetFolders() {
         const rel = path.relative(portfolioRoot, projectPath).toLowerCase();
         for (const type of assetTypes) {
             const dest = path.join(assetRoot(type), rel);
-            if (!fs.existsSync(dest)) {
-                fs.mkdirSync(dest, { recursive: true });
+            if (ensureDirectory(dest)) {
                 created++;
                 console.log(`[assets] Created missing folder: ${dest}`);
             }
@@ -74,9 +79,6 @@ async function ensureAssetFolders() {
     }
 }
 
-// Run asset folder creation before any validation or timestamp logic
-await ensureAssetFolders();
-
 /**
  * Custom HTML parser wrapper that accepts closing </source> tags within video elements
  * @param {string} html - HTML content to parse
@@ -114,6 +116,19 @@ function customParseHtml(html) {
     }
 }
 
+/**
+ * Lists files with an extension, relative to a directory
+ * @param {string} dirPath - Directory to search
+ * @param {string} extension - File extension (e.g. '.html')
+ * @param {boolean} recursive - Include subdirectories
+ * @returns {string[]} - Relative file paths
+ */
+function findFiles(dirPath, extension, recursive) {
+    return listFiles(dirPath, { extensions: [extension] })
+        .map(filePath => path.relative(dirPath, filePath))
+        .filter(file => recursive || !file.includes(path.sep));
+}
+
 /**
  * Validates a single HTML file
  * @param {string} filePath - Path to the HTML file
@@ -124,7 +139,7 @@ async function validateHtmlFile(filePath) {
     let isValid = true;
 
     try {
-        const content = await fs.promises.readFile(filePath, 'utf8');
+        const content = readTextFile(filePath);
 
         // Check for incomplete video tags - using a more precise regex
         // This improved version looks for video tags that aren't properly closed before the next div
@@ -264,8 +279,7 @@ async function validateHtmlDirectory(dirPath, { recursive = true, verbose = fals
     const startTime = Date.now();
 
     try {
-        const pattern = recursive ? '**/*.html' : '*.html';
-        const files = await glob(pattern, { cwd: dirPath });
+        const files = findFiles(dirPath, '.html', recursive);
 
         if (verbose) {
             if (isPostTransform) {
@@ -281,11 +295,19 @@ async function validateHtmlDirectory(dirPath, { recursive = true, verbose = fals
         let filesWithIssues = 0;
         let filesFailed = 0;
         let filesPassed = 0;
+        const socialWarnings = [];
 
         for (const file of files) {
             const filePath = path.join(dirPath, file);
             const result = await validateHtmlFile(filePath);
 
+            const missingSocial = result.issues.some(issue => issue.type === 'file_error')
+                ? []
+                : findMissingSocialMetadata(readTextFile(filePath), file, dirPath);
+            if (missingSocial.length > 0) {
+                socialWarnings.push({ file, missing: missingSocial });
+            }
+
             if (!result.isValid) {
                 allValid = false;
                 filesWithIssues++;
@@ -321,6 +343,14 @@ async function validateHtmlDirectory(dirPath, { recursive = true, verbose = fals
         const endTime = Date.now();
         const duration = ((endTime - startTime) / 1000).toFixed(2);
 
+        if (socialWarnings.length > 0) {
+            console.warn(`\n⚠️ ${socialWarnings.length} pages are missing social metadata (shared links unfurl without it):`);
+            socialWarnings.forEach(({ file, missing }) => {
+                console.warn(`   - ${file}: ${missing.join(', ')}`);
+                recordBuildWarning(`${file} is missing social metadata: ${missing.join(', ')}`);
+            });
+        }
+
         if (verbose || filesWithIssues > 0) {
             console.log(`\n=== HTML Validation Summary ===`);
             console.log(`Total files checked: ${files.length}`);
@@ -342,6 +372,7 @@ async function validateHtmlDirectory(dirPath, { recursive = true, verbose = fals
             filesPassed,
             filesWithIssues,
             filesFailed,
+            socialWarnings,
             results
         };
 
@@ -388,8 +419,7 @@ async function updateHtmlTimestamps(dirPath, { recursive = true, verbose = false
     const startTime = Date.now();
 
     try {
-        const pattern = recursive ? '**/*.html' : '*.html';
-        const files = await glob(pattern, { cwd: dirPath });
+        const files = findFiles(dirPath, '.html', recursive);
 
         if (verbose) {
             console.log(`\n====== UPDATING HTML TIMESTAMPS ======`);
@@ -423,7 +453,7 @@ async function updateHtmlTimestamps(dirPath, { recursive = true, verbose = false
             let content;
 
             try {
-                content = await fs.promises.readFile(filePath, 'utf8');
+                content = readTextFile(filePath);
                 let originalContent = content;
 
                 // Look for HTML comment timestamp patterns
@@ -463,7 +493,7 @@ async function updateHtmlTimestamps(dirPath, { recursive = true, verbose = false
 
                 // Only write to file if content has changed
                 if (content !== originalContent) {
-                    await fs.promises.writeFile(filePath, content, 'utf8');
+                    writeTextFile(filePath, content);
                     updatedFiles++;
 
                     if (verbose) {
@@ -523,8 +553,7 @@ async function updateCssVersions(dirPath, { recursive = true, verbose = false }
     const startTime = Date.now();
 
     try {
-        const pattern = recursive ? '**/*.css' : '*.css';
-        const files = await glob(pattern, { cwd: dirPath });
+        const files = findFiles(dirPath, '.css', recursive);
 
         if (verbose) {
             console.log(`\n====== UPDATING CSS VERSION TIMESTAMPS ======`);
@@ -543,7 +572,7 @@ async function updateCssVersions(dirPath, { recursive = true, verbose = false }
             let content;
 
             try {
-                content = await fs.promises.readFile(filePath, 'utf8');
+                content = readTextFile(filePath);
 
                 // Look for version timestamp patterns in CSS files
                 // This matches patterns like: * Version: 2024-03-11-v1
@@ -573,7 +602,7 @@ async function updateCssVersions(dirPath, { recursive = true, verbose = false }
                     );
 
                     if (updatedContent !== content) {
-                        await fs.promises.writeFile(filePath, updatedContent, 'utf8');
+                        writeTextFile(filePath, updatedContent);
                         updatedFiles++;
 
                         if (verbose) {
@@ -614,6 +643,44 @@ async function updateCssVersions(dirPath, { recursive = true, verbose = false }
     }
 }
 
+/**
+ * Validates the HTML files of a directory. Source validation (anything outside
+ * build/temp) also updates HTML timestamps and CSS versions when every file is valid.
+ * Portfolio asset folders are created first in either case.
+ * @param {string} dirPath - Directory to validate
+ * @param {Object} options - Options object
+ * @param {boolean} options.recursive - Include subdirectories
+ * @param {boolean} options.verbose - Log every file
+ * @param {boolean} options.updateTimestamps - Update timestamps after a successful validation
+ * @param {string} options.sourceDir - Source site whose portfolio asset folders are ensured
+ * @returns {Promise<Object>} - validateHtmlDirectory results, plus the timestamp update results
+ */
+async function validateHtml(dirPath, {
+    recursive = true,
+    verbose = false,
+    updateTimestamps = !dirPath.includes('build/temp'),
+    sourceDir
+} = {}) {
+    const options = { recursive, verbose };
+
+    // Run asset folder creation before any validation or timestamp logic
+    await ensureAssetFolders(sourceDir);
+
+    const results = await validateHtmlDirectory(dirPath, options);
+    if (!results.allValid || !updateTimestamps) {
+        return results;
+    }
+
+    console.log('✅ HTML validation successful, updating timestamps...');
+    const [htmlResults, cssResults] = await Promise.all([
+        updateHtmlTimestamps(dirPath, options),
+        updateCssVersions(path.join(dirPath, 'styles'), options)
+    ]);
+    console.log(`✅ Updated timestamps in ${htmlResults.updatedFiles} HTML files and ${cssResults.updatedFiles} CSS files`);
+
+    return { ...results, timestamps: { html: htmlResults, css: cssResults } };
+}
+
 // Run validation and timestamp updates if this script is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
     const dirPath = process.argv[2] || './{{DEPLOY_USER}}/public_html';
@@ -622,7 +689,6 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         verbose: !process.argv.includes('--quiet')
     };
 
-    const isSourceValidation = !dirPath.includes('build/temp');
     const isPostTransform = dirPath.includes('build/temp');
 
     console.log(`
@@ -634,21 +700,11 @@ Checking: ${dirPath}
 Options: ${JSON.stringify(options, null, 2)}
 `);
 
-    validateHtmlDirectory(dirPath, options).then(results => {
-        // Only update timestamps if validation succeeds and this is source validation
-        if (results.allValid && isSourceValidation) {
-            console.log('✅ HTML validation successful, updating timestamps...');
-
-            // Update timestamps in HTML files
-            return Promise.all([
-                updateHtmlTimestamps(dirPath, options),
-                updateCssVersions(path.join(dirPath, 'styles'), options)
-            ]).then(([htmlResults, cssResults]) => {
-                console.log(`✅ Updated timestamps in ${htmlResults.updatedFiles} HTML files and ${cssResults.updatedFiles} CSS files`);
-                process.exit(0);
-            });
-        } else if (results.allValid) {
-            console.log('✅ HTML validation successful');
+    validateHtml(dirPath, options).then(results => {
+        if (results.allValid) {
+            if (!results.timestamps) {
+                console.log('✅ HTML validation successful');
+            }
             process.exit(0);
         } else {
             console.error('❌ HTML validation failed');
@@ -661,4 +717,4 @@ Options: ${JSON.stringify(options, null, 2)}
     });
 }
 
-export { validateHtmlFile, validateHtmlDirectory, updateHtmlTimestamps, updateCssVersions };
\ No newline at end of file
+export { validateHtml, validateHtmlFile, validateHtmlDirectory, updateHtmlTimestamps, updateCssVersions };
\ No newline at end of file
@@ -2,15 +2,16 @@
  * Image Processing Script - Source-First Approach
  *
  * Created: 2025-06-16
- * Version: 2.0.0
+ * Version: 3.0.0
  * Author: Daniel Reis
  * License: MIT
  *
- * This version uses a much simpler, more robust approach:
  * - Starts from source directory (public_html/assets/images)
- * - Uses file modification times instead of checksums
- * - No cache files to manage or corrupt
- * - Self-healing when build outputs are missing
+ * - Skips images whose content and processing settings match the build cache
+ *   manifest (see ../build-cache.mjs), so results survive branch switches and rebases
+ * - Self-healing when build outputs are missing or were modified
+ * - Processes images in parallel on a worker pool (--concurrency / BUILD_CONCURRENCY)
+ * - Writes through the dry-run helpers, so --dry-run only reports the images it would create
  */
 
 import fs from 'fs/promises';
@@ -18,6 +19,10 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import sharp from 'sharp';
+import { BuildCache } from '../build-cache.mjs';
+import { recordBuildCount, recordBuildWarning, recordFilesTouched } from '../build-events.mjs';
+import { WorkerPool, getConcurrency } from '../worker-pool.mjs';
+import { copyFile, recordWrite, resolveReadPath, resolveWritePath } from '../dry-run.mjs';
 
 // Define __filename and __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -26,6 +31,22 @@ const __dirname = dirname(__filename);
 // Sizes for responsive images
 const SIZES = [320, 640, 960, 1200, 1800];
 
+// Sharpening applied to every output
+const SHARPEN_OPTIONS = {
+    sigma: 0.5,    // Light sharpening
+    flat: 0.8,     // Moderate for flat areas
+    jagged: 1.0    // Standard for edges
+};
+
+// Everything that affects the outputs; changing any of it invalidates the cache
+const PROCESSING_SETTINGS = {
+    sizes: SIZES,
+    quality: 85,
+    sharpen: SHARPEN_OPTIONS
+};
+
+const CACHE_STEP = 'process-images';
+
 // Statistics
 let processedCount = 0;
 let skippedCount = 0;
@@ -58,18 +79,6 @@ function shouldSkipFile(filePath) {
     return false;
 }
 
-/**
- * Get file modification time
- */
-async function getFileTime(filePath) {
-    try {
-        const stats = await fs.stat(filePath);
-        return stats.mtime.getTime();
-    } catch {
-        return 0; // File doesn't exist
-    }
-}
-
 /**
  * Check if file exists
  */
@@ -82,63 +91,10 @@ async function fileExists(filePath) {
     }
 }
 
-/**
- * Calculate all expected build output paths for a source image
- */
-function getBuildOutputPaths(sourceImagePath, buildRoot) {
-    // Convert source path to build path
-    const relativePath = path.relative('public_html', sourceImagePath);
-    const buildDir = path.join(buildRoot, 'temp/public_html', path.dirname(relativePath));
-    const baseName = path.basename(sourceImagePath, path.extname(sourceImagePath));
-    const ext = path.extname(sourceImagePath);
-
-    const outputs = [];
-
-    // Sharpened original
-    outputs.push(path.join(buildDir, `${baseName}-original${ext}`));
-
-    // Responsive variants
-    for (const size of SIZES) {
-        outputs.push(path.join(buildDir, `${baseName}-${size}w.webp`));
-        outputs.push(path.join(buildDir, `${baseName}-${size}w${ext}`));
-    }
-
-    return outputs;
-}
-
-/**
- * Check if source image needs processing
- */
-async function needsProcessing(sourceImagePath, buildRoot, buildImagePath = null) {
-    const outputPaths = getBuildOutputPaths(sourceImagePath, buildRoot);
-
-    // Check if all outputs exist first
-    let oldestOutputTime = Infinity;
-    for (const outputPath of outputPaths) {
-        const outputTime = await getFileTime(outputPath);
-        if (outputTime === 0) {
-            // Output missing, need to process
-            return true;
-        }
-        if (outputTime < oldestOutputTime) {
-            oldestOutputTime = outputTime;
-        }
-    }
-
-    // All outputs exist, check if source is newer than oldest output
-    const compareTime = await getFileTime(sourceImagePath);
-
-    if (compareTime > oldestOutputTime) {
-        return true; // Source is newer, need to process
-    }
-
-    return false; // All outputs exist and are newer than source
-}
-
 /**
  * Process a single responsive image variant
  */
-async function processImageVariant(inputPath, width, format, quality = 85) {
+async function processImageVariant(inputPath, width, format, quality = PROCESSING_SETTINGS.quality) {
     const outputDir = path.dirname(inputPath);
     const outputBase = path.basename(inputPath, path.extname(inputPath));
     const outputPath = path.join(outputDir, `${outputBase}-${width}w.${format}`);
@@ -146,16 +102,13 @@ async function processImageVariant(inputPath, width, format, quality = 85) {
     console.log(`  Creating ${format}@${width}px`);
 
     try {
-        await sharp(inputPath)
+        await sharp(resolveReadPath(inputPath))
             .resize(width)
         [format]({ quality })
-            .sharpen({
-                sigma: 0.5,    // Light sharpening
-                flat: 0.8,     // Moderate for flat areas  
-                jagged: 1.0    // Standard for edges
-            })
-            .toFile(outputPath);
+            .sharpen(SHARPEN_OPTIONS)
+            .toFile(resolveWritePath(outputPath));
 
+        recordWrite(outputPath);
         return outputPath;
     } catch (err) {
         console.error(`  ❌ Error creating ${format}@${width}px:`, err.message);
@@ -177,14 +130,11 @@ async function processOriginalImage(sourceImagePath, buildImagePath) {
     try {
         const format = ext.slice(1); // Remove the dot
         await sharp(sourceImagePath)
-        [format]({ quality: 85 })
-            .sharpen({
-                sigma: 0.5,
-                flat: 0.8,
-                jagged: 1.0
-            })
-            .toFile(outputPath);
+        [format]({ quality: PROCESSING_SETTINGS.quality })
+            .sharpen(SHARPEN_OPTIONS)
+            .toFile(resolveWritePath(outputPath));
 
+        recordWrite(outputPath);
         return outputPath;
     } catch (err) {
         console.error(`  ❌ Error creating sharpened original:`, err.message);
@@ -193,43 +143,40 @@ async function processOriginalImage(sourceImagePath, buildImagePath) {
 }
 
 /**
- * Process all variants for a single source image
+ * Process all variants for a single source image (runs on a pool worker)
+ * @returns {Promise<string[]|null>} - Written files (including the copied source), or null if any variant failed
  */
-async function processImageSet(sourceImagePath, buildRoot) {
+export async function processImageSet(sourceImagePath, sourceRoot, siteDir) {
     // Calculate build paths
-    const relativePath = path.relative('public_html', sourceImagePath);
-    const buildImagePath = path.join(buildRoot, 'temp/public_html', relativePath);
-    const buildDir = path.dirname(buildImagePath);
-
-    // Ensure build directory exists
-    await fs.mkdir(buildDir, { recursive: true });
+    const relativePath = path.relative(sourceRoot, sourceImagePath);
+    const buildImagePath = path.join(siteDir, relativePath);
 
     // Copy source to build location (unchanged)
-    await fs.copyFile(sourceImagePath, buildImagePath);
+    copyFile(sourceImagePath, buildImagePath);
 
     // Create sharpened original
-    await processOriginalImage(sourceImagePath, buildImagePath);
+    const outputs = [buildImagePath, await processOriginalImage(sourceImagePath, buildImagePath)];
 
     // Create responsive variants
     const ext = path.extname(sourceImagePath);
     for (const size of SIZES) {
-        await processImageVariant(buildImagePath, size, 'webp');
-        await processImageVariant(buildImagePath, size, ext.slice(1));
+        outputs.push(await processImageVariant(buildImagePath, size, 'webp'));
+        outputs.push(await processImageVariant(buildImagePath, size, ext.slice(1)));
     }
+
+    return outputs.includes(null) ? null : outputs;
 }
 
 /**
  * Process a single source image if needed
  */
-async function processSourceImage(sourceImagePath, buildRoot, buildImagePath = null) {
+async function processSourceImage(sourceImagePath, paths, cache, pool) {
     if (shouldSkipFile(sourceImagePath)) {
         return;
     }
 
-    // Check if processing is needed
-    const needs = await needsProcessing(sourceImagePath, buildRoot, buildImagePath);
-
-    if (!needs) {
+    // Skip when the source content, settings and every output match the cache manifest
+    if (await cache.isUpToDate(CACHE_STEP, sourceImagePath, PROCESSING_SETTINGS)) {
         console.log(`⏭️  Skipping: ${path.basename(sourceImagePath)} (up to date)`);
         skippedCount++;
         return;
@@ -238,19 +185,31 @@ async function processSourceImage(sourceImagePath, buildRoot, buildImagePath = n
     console.log(`🔄 Processing: ${path.basename(sourceImagePath)}`);
 
     try {
-        await processImageSet(sourceImagePath, buildRoot);
+        const outputs = await pool.run(import.meta.url, 'processImageSet', [sourceImagePath, paths.sourceRoot, paths.siteDir]);
         processedCount++;
-        console.log(`✅ Completed: ${path.basename(sourceImagePath)}`);
+        if (outputs) {
+            await cache.record(CACHE_STEP, sourceImagePath, PROCESSING_SETTINGS, outputs);
+            recordFilesTouched(outputs);
+            console.log(`✅ Completed: ${path.basename(sourceImagePath)}`);
+        } else {
+            // Leave it out of the cache so the next build retries it
+            cache.forget(CACHE_STEP, sourceImagePath);
+            console.warn(`⚠️ Completed with errors: ${path.basename(sourceImagePath)}`);
+            recordBuildWarning(`Some variants of ${sourceImagePath} could not be created`);
+        }
     } catch (error) {
         console.error(`❌ Failed: ${path.basename(sourceImagePath)} - ${error.message}`);
+        recordBuildWarning(`Failed to process ${sourceImagePath}: ${error.message}`);
+        cache.forget(CACHE_STEP, sourceImagePath);
         processedCount++; // Count as processed to avoid infinite loops
     }
 }
 
 /**
- * Recursively process all images in a source directory
+ * Recursively queue all images in a source directory
+ * @returns {Promise[]} - One promise per queued image
  */
-async function processSourceDirectory(sourceDirPath, buildRoot) {
+async function processSourceDirectory(sourceDirPath, paths, cache, pool, jobs = []) {
     console.log(`[SCANNING] ${sourceDirPath}`);
 
     try {
@@ -262,7 +221,7 @@ async function processSourceDirectory(sourceDirPath, buildRoot) {
             const stat = await fs.stat(fullPath);
 
             if (stat.isDirectory()) {
-                await processSourceDirectory(fullPath, buildRoot);
+                await processSourceDirectory(fullPath, paths, cache, pool, jobs);
             } else if (imagePattern.test(file)) {
                 // Skip processed variants that might be in source (shouldn't happen but just in case)
                 const baseName = path.basename(file, path.extname(file));
@@ -270,51 +229,27 @@ async function processSourceDirectory(sourceDirPath, buildRoot) {
                     continue;
                 }
 
-                await processSourceImage(fullPath, buildRoot);
+                jobs.push(processSourceImage(fullPath, paths, cache, pool));
             }
         }
     } catch (err) {
         console.error(`❌ Error scanning directory ${sourceDirPath}:`, err.message);
     }
+
+    return jobs;
 }
 
 /**
- * Main execution
+ * Creates the responsive variants of every source image, or of a single image
+ * @param {Object} options - Stage options
+ * @param {string} options.sourceDir - Source site directory (default: public_html)
+ * @param {string} options.buildDir - Build directory; variants are written to <buildDir>/public_html (default: build/temp)
+ * @param {string} options.target - Image or directory to process (default: <sourceDir>/assets/images)
+ * @returns {Promise<Object>} - { processed, skipped }
  */
-async function main() {
-    const [, , targetPath] = process.argv;
-
-    if (!targetPath) {
-        console.error('❌ Please provide a target path');
-        process.exit(1);
-    }
-
-    // Determine build root and source path
-    let buildRoot, sourcePath, buildImagePath = null;
-
-    if (targetPath.includes('public_html') && !targetPath.includes('build')) {
-        // Processing from source directory
-        sourcePath = targetPath;
-        buildRoot = 'build';
-    } else if (targetPath.includes('build')) {
-        // Convert build path to source path for backwards compatibility
-        buildRoot = targetPath.includes('build/temp')
-            ? targetPath.split('build/temp')[0] + 'build'
-            : 'build';
-
-        if (targetPath === 'build/temp') {
-            // Full directory processing
-            sourcePath = 'public_html/assets/images';
-        } else {
-            // Single file processing  
-            const relativePath = targetPath.replace(/.*build\/temp\/public_html\//, '');
-            sourcePath = path.join('public_html', relativePath);
-        }
-        buildImagePath = targetPath; // Keep the build path for timestamp comparison
-    } else {
-        console.error('❌ Invalid target path. Must be in public_html or build directory.');
-        process.exit(1);
-    }
+export async function processImages({ sourceDir = 'public_html', buildDir = 'build/temp', target } = {}) {
+    const sourcePath = target || path.join(sourceDir, 'assets/images');
+    const paths = { sourceRoot: sourceDir, siteDir: path.join(buildDir, 'public_html') };
 
     const startTime = Date.now();
     processedCount = 0;
@@ -322,34 +257,38 @@ async function main() {
 
     console.log(`🚀 Starting image processing...`);
     console.log(`📁 Source: ${sourcePath}`);
-    console.log(`🏗️  Build: ${buildRoot}`);
+    console.log(`🏗️  Build: ${buildDir}`);
+    console.log(`🧵 Workers: ${getConcurrency()}`);
 
-    try {
-        const sourceExists = await fileExists(sourcePath);
-        if (!sourceExists) {
-            console.error(`❌ Source path does not exist: ${sourcePath}`);
-            process.exit(1);
-        }
+    if (!await fileExists(sourcePath)) {
+        throw new Error(`Source path does not exist: ${sourcePath}`);
+    }
 
-        const stat = await fs.stat(sourcePath);
+    const cache = await BuildCache.load();
+    const pool = new WorkerPool();
+    const stat = await fs.stat(sourcePath);
 
+    try {
         if (stat.isDirectory()) {
-            await processSourceDirectory(sourcePath, buildRoot);
+            await Promise.all(await processSourceDirectory(sourcePath, paths, cache, pool));
         } else {
-            await processSourceImage(sourcePath, buildRoot, buildImagePath);
+            await processSourceImage(sourcePath, paths, cache, pool);
         }
-
-    } catch (error) {
-        console.error('❌ Error during image processing:', error.message);
-        process.exit(1);
+    } finally {
+        await pool.close();
     }
 
+    await cache.save();
+
     // Report results
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(1);
     const total = processedCount + skippedCount;
     const speedup = total > 0 ? Math.round((skippedCount / total) * 100) : 0;
 
+    recordBuildCount('imagesProcessed', processedCount);
+    recordBuildCount('imagesSkipped', skippedCount);
+
     console.log(`\n📊 Image processing complete:`);
     console.log(`   • ${processedCount} images processed`);
     console.log(`   • ${skippedCount} images skipped`);
@@ -357,10 +296,48 @@ async function main() {
     if (speedup > 0) {
         console.log(`   • ${speedup}% build time saved`);
     }
+
+    return { processed: processedCount, skipped: skippedCount };
 }
 
-// Run main function
-main().catch(error => {
-    console.error('❌ Fatal error:', error.message);
-    process.exit(1);
-});
+/**
+ * Main execution
+ */
+async function main() {
+    const [, , targetPath] = process.argv;
+
+    if (!targetPath) {
+        console.error('❌ Please provide a target path');
+        process.exit(1);
+    }
+
+    if (targetPath.includes('public_html') && !targetPath.includes('build')) {
+        // Processing from source directory
+        await processImages({ target: targetPath });
+    } else if (targetPath.includes('build')) {
+        // Convert build path to source path for backwards compatibility
+        const buildDir = targetPath.includes('build/temp')
+            ? targetPath.split('build/temp')[0] + 'build/temp'
+            : 'build/temp';
+
+        if (path.resolve(targetPath) === path.resolve(buildDir)) {
+            // Full directory processing
+            await processImages({ buildDir });
+        } else {
+            // Single file processing
+            const relativePath = targetPath.replace(/.*build\/temp\/public_html\//, '');
+            await processImages({ buildDir, target: path.join('public_html', relativePath) });
+        }
+    } else {
+        console.error('❌ Invalid target path. Must be in public_html or build directory.');
+        process.exit(1);
+    }
+}
+
+// Run if called directly (pool workers import this module for processImageSet)
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error('❌ Error during image processing:', error.message);
+        process.exit(1);
+    });
+}
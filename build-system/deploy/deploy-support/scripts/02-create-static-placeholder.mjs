@@ -4,6 +4,10 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { execSync } from 'child_process'; // Make sure this is imported
 import sharp from 'sharp';
+import { BuildCache } from '../build-cache.mjs';
+import { recordBuildCount, recordBuildWarning, recordFilesTouched } from '../build-events.mjs';
+import { WorkerPool } from '../worker-pool.mjs';
+import { fileExists, listFiles, recordWrite, resolveReadPath, resolveWritePath } from '../dry-run.mjs';
 
 // Define __filename and __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -14,38 +18,126 @@ function resolvePath(relativePath) {
     return path.resolve(__dirname, relativePath);
 }
 
+const VERBOSE = true; // Set to true to see detailed logs
+
+// Poster extraction settings; changing them invalidates cached posters
+const POSTER_SETTINGS = {
+    frameTime: '00:00:00.5',
+    quality: 90
+};
+
+const CACHE_STEP = 'process-videos';
+
 /**
- * Recursively find files with a specific extension in a directory
- * @param {string} dir - Directory to search in
- * @param {string} extension - File extension to look for (e.g., '.mp4')
- * @returns {Promise<string[]>} - Array of file paths
+ * Maps a video in the build directory back to its source in public_html,
+ * so cache entries follow the source file rather than the build copy
+ * @param {string} videoFile - Video path inside the build directory
+ * @param {string} buildDir - Build directory
+ * @param {string} sourceDir - Source site directory
+ * @returns {string} - Source path if it exists, otherwise the build path
  */
-async function findFiles(dir, extension) {
-    let results = [];
-
-    // Read directory contents
-    const items = fs.readdirSync(dir, { withFileTypes: true });
-
-    for (const item of items) {
-        const fullPath = path.join(dir, item.name);
-
-        if (item.isDirectory()) {
-            // If it's a directory, recursively search it
-            const subResults = await findFiles(fullPath, extension);
-            results = results.concat(subResults);
-        } else if (item.isFile() && item.name.toLowerCase().endsWith(extension)) {
-            // If it's a file with the target extension, add it to results
-            results.push(fullPath);
-        }
+function getSourceVideoPath(videoFile, buildDir, sourceDir) {
+    const relativePath = path.relative(path.resolve(process.cwd(), buildDir, 'public_html'), videoFile);
+    const sourcePath = path.resolve(process.cwd(), sourceDir, relativePath);
+    return fs.existsSync(sourcePath) ? sourcePath : videoFile;
+}
+
+/**
+ * Creates the WebP poster for one video (runs on a pool worker)
+ * Extracts a frame with ffmpeg; falls back to a generated gradient poster if that fails
+ * @param {string} videoFile - Video path inside the build directory
+ * @returns {Promise<Object>} - { webpPath, fallback, error }
+ */
+export async function createPoster(videoFile) {
+    const webpPath = videoFile.replace('.mp4', '.webp');
+    // In a dry run, the frame and poster are written to the dry-run overlay
+    const tempJpgPath = resolveWritePath(videoFile.replace('.mp4', '_temp.jpg'));
+    const videoName = path.basename(videoFile, '.mp4');
+
+    if (VERBOSE) {
+        console.log(`Processing: ${path.basename(videoFile)}`);
+        console.log(`  Creating WebP poster: ${path.basename(webpPath)}`);
     }
 
-    return results;
-}
+    try {
+        // Extract frame from video using ffmpeg
+        // Use 0.5 seconds to avoid black frames at the start
+        console.log(`  Extracting frame from video...`);
+        execSync(`ffmpeg -i "${resolveReadPath(videoFile)}" -ss ${POSTER_SETTINGS.frameTime} -vframes 1 -q:v 2 "${tempJpgPath}" -y`,
+            { stdio: VERBOSE ? 'inherit' : 'ignore' });
 
-const VERBOSE = true; // Set to true to see detailed logs
+        if (!fs.existsSync(tempJpgPath)) {
+            throw new Error("Failed to extract frame with ffmpeg");
+        }
+
+        // Convert JPG to WebP using sharp for best quality
+        console.log(`  Converting to WebP format...`);
+        await sharp(tempJpgPath)
+            .webp({ quality: POSTER_SETTINGS.quality })
+            .toFile(resolveWritePath(webpPath));
+        recordWrite(webpPath);
+
+        // Clean up temp file
+        if (fs.existsSync(tempJpgPath)) {
+            fs.unlinkSync(tempJpgPath);
+        }
+
+        console.log(`  ✅ Created real poster from video frame`);
+        return { webpPath, fallback: false };
+    } catch (ffmpegError) {
+        console.log(`  ⚠️ Could not extract frame with ffmpeg: ${ffmpegError.message}`);
+        console.log(`  ℹ️ Creating a fallback poster instead`);
 
-// Main function to create static placeholders
-async function createVideoPlaceholders(buildDir = 'build/temp') {
+        // Fallback to Sharp method if ffmpeg fails
+        try {
+            // Create a simple colored gradient with video name
+            const width = 640;
+            const height = 360;
+
+            const svgImage = Buffer.from(`
+            <svg width="${width}" height="${height}">
+                <defs>
+                    <linearGradient id="grad" x1="0%" y1="0%" x2="100%" y2="100%">
+                        <stop offset="0%" style="stop-color:#1a237e;stop-opacity:1" />
+                        <stop offset="100%" style="stop-color:#0288d1;stop-opacity:1" />
+                    </linearGradient>
+                </defs>
+                <rect width="${width}" height="${height}" fill="url(#grad)" />
+                <text x="50%" y="50%" font-family="sans-serif" font-size="24" 
+                    fill="white" text-anchor="middle" dominant-baseline="middle">
+                    ${videoName}
+                </text>
+                <text x="50%" y="${height - 20}" font-family="sans-serif" font-size="16" 
+                    fill="white" text-anchor="middle" opacity="0.7">
+                    Click to play video
+                </text>
+            </svg>`);
+
+            await sharp(svgImage)
+                .webp({ quality: 90 })
+                .toFile(resolveWritePath(webpPath));
+            recordWrite(webpPath);
+
+            console.log(`  ✅ Created fallback poster using Sharp`);
+            return { webpPath, fallback: true, error: ffmpegError.message };
+        } catch (fallbackError) {
+            console.error(`  ❌ Failed to create any poster: ${fallbackError.message}`);
+            // Last resort: Create a non-empty file
+            fs.writeFileSync(resolveWritePath(webpPath), '0');
+            recordWrite(webpPath);
+            return { webpPath, fallback: true, error: fallbackError.message };
+        }
+    }
+}
+
+/**
+ * Creates a WebP poster next to every video in the build directory
+ * @param {string} buildDir - Build directory (default: build/temp)
+ * @param {Object} options - Stage options
+ * @param {string} options.sourceDir - Source site directory, used to find cached posters (default: public_html)
+ * @returns {Promise<Object>} - { created, skipped, failed }
+ */
+export async function createVideoPlaceholders(buildDir = 'build/temp', { sourceDir = 'public_html' } = {}) {
     console.log("Creating video placeholders...");
 
     // Fix: Use absolute path resolution that correctly includes {{DEPLOY_USER}} directory
@@ -53,122 +145,93 @@ async function createVideoPlaceholders(buildDir = 'build/temp') {
 
     console.log(`Searching for videos in: ${videosDir}`);
 
+    // Find all MP4 files recursively
+    const videoFiles = listFiles(videosDir, { extensions: ['.mp4'] });
+
     // Check if directory exists
-    if (!fs.existsSync(videosDir)) {
+    if (videoFiles.length === 0 && !fs.existsSync(videosDir)) {
         console.error(`⚠️ Videos directory not found: ${videosDir}`);
-        return;
+        return { created: 0, skipped: 0, failed: 0 };
     }
 
-    // Find all MP4 files recursively
-    const videoFiles = await findFiles(videosDir, '.mp4');
-
     console.log(`Found ${videoFiles.length} MP4 video files`);
 
     if (videoFiles.length === 0) {
         console.warn("⚠️ No MP4 video files found. Check your directory structure.");
-        return;
+        return { created: 0, skipped: 0, failed: 0 };
     }
 
-    // Process each video file
+    const cache = await BuildCache.load();
+
+    // Decide which videos need a new poster
     let successCount = 0;
+    let createdCount = 0;
     let errorCount = 0;
+    const pending = [];
 
     for (const videoFile of videoFiles) {
-        try {
-            const webpPath = videoFile.replace('.mp4', '.webp');
-            const tempJpgPath = videoFile.replace('.mp4', '_temp.jpg');
-            const videoName = path.basename(videoFile, '.mp4');
-
-            if (VERBOSE) {
-                console.log(`Processing: ${path.basename(videoFile)}`);
-                console.log(`  Creating WebP poster: ${path.basename(webpPath)}`);
-            }
+        const webpPath = videoFile.replace('.mp4', '.webp');
+        const sourceVideo = getSourceVideoPath(videoFile, buildDir, sourceDir);
 
-            // Check if the WebP already exists
-            if (!fs.existsSync(webpPath) || fs.statSync(webpPath).size === 0) {
-                try {
-                    // Extract frame from video using ffmpeg
-                    // Use 0.5 seconds to avoid black frames at the start
-                    console.log(`  Extracting frame from video...`);
-                    execSync(`ffmpeg -i "${videoFile}" -ss 00:00:00.5 -vframes 1 -q:v 2 "${tempJpgPath}" -y`,
-                        { stdio: VERBOSE ? 'inherit' : 'ignore' });
-
-                    if (!fs.existsSync(tempJpgPath)) {
-                        throw new Error("Failed to extract frame with ffmpeg");
-                    }
-
-                    // Convert JPG to WebP using sharp for best quality
-                    console.log(`  Converting to WebP format...`);
-                    await sharp(tempJpgPath)
-                        .webp({ quality: 90 })
-                        .toFile(webpPath);
-
-                    // Clean up temp file
-                    if (fs.existsSync(tempJpgPath)) {
-                        fs.unlinkSync(tempJpgPath);
-                    }
-
-                    console.log(`  ✅ Created real poster from video frame`);
-                } catch (ffmpegError) {
-                    console.log(`  ⚠️ Could not extract frame with ffmpeg: ${ffmpegError.message}`);
-                    console.log(`  ℹ️ Creating a fallback poster instead`);
-
-                    // Fallback to Sharp method if ffmpeg fails
-                    try {
-                        // Create a simple colored gradient with video name
-                        const width = 640;
-                        const height = 360;
-
-                        const svgImage = Buffer.from(`
-                        <svg width="${width}" height="${height}">
-                            <defs>
-                                <linearGradient id="grad" x1="0%" y1="0%" x2="100%" y2="100%">
-                                    <stop offset="0%" style="stop-color:#1a237e;stop-opacity:1" />
-                                    <stop offset="100%" style="stop-color:#0288d1;stop-opacity:1" />
-                                </linearGradient>
-                            </defs>
-                            <rect width="${width}" height="${height}" fill="url(#grad)" />
-                            <text x="50%" y="50%" font-family="sans-serif" font-size="24" 
-                                fill="white" text-anchor="middle" dominant-baseline="middle">
-                                ${videoName}
-                            </text>
-                            <text x="50%" y="${height - 20}" font-family="sans-serif" font-size="16" 
-                                fill="white" text-anchor="middle" opacity="0.7">
-                                Click to play video
-                            </text>
-                        </svg>`);
-
-                        await sharp(svgImage)
-                            .webp({ quality: 90 })
-                            .toFile(webpPath);
-
-                        console.log(`  ✅ Created fallback poster using Sharp`);
-                    } catch (fallbackError) {
-                        console.error(`  ❌ Failed to create any poster: ${fallbackError.message}`);
-                        // Last resort: Create a non-empty file
-                        fs.writeFileSync(webpPath, '0');
-                    }
-                }
-            } else {
-                console.log(`  ✓ Poster already exists`);
-            }
+        // Posters committed next to the source video (or present without a cache entry) were made by hand; keep them
+        const sourcePoster = sourceVideo.replace('.mp4', '.webp');
+        const handMadePoster = (sourceVideo !== videoFile && fs.existsSync(sourcePoster)) ||
+            (fileExists(webpPath) && fs.statSync(resolveReadPath(webpPath)).size > 0 && !cache.has(CACHE_STEP, sourceVideo));
 
+        if (handMadePoster) {
+            console.log(`✓ Poster already exists: ${path.basename(webpPath)}`);
             successCount++;
-        } catch (error) {
-            console.error(`❌ Error processing ${videoFile}: ${error.message}`);
-            errorCount++;
+        } else if (await cache.isUpToDate(CACHE_STEP, sourceVideo, POSTER_SETTINGS)) {
+            console.log(`⏭️ Poster up to date (video unchanged): ${path.basename(webpPath)}`);
+            successCount++;
+        } else {
+            pending.push({ videoFile, sourceVideo });
         }
     }
 
+    // Extract posters in parallel
+    const pool = new WorkerPool();
+    try {
+        await Promise.all(pending.map(async ({ videoFile, sourceVideo }) => {
+            try {
+                const result = await pool.run(import.meta.url, 'createPoster', [videoFile]);
+                recordFilesTouched([result.webpPath]);
+
+                if (result.fallback) {
+                    // Fallback posters are not cached, so the next build tries ffmpeg again
+                    cache.forget(CACHE_STEP, sourceVideo);
+                    recordBuildWarning(`Used a fallback poster for ${path.basename(videoFile)}: ${result.error}`);
+                } else {
+                    await cache.record(CACHE_STEP, sourceVideo, POSTER_SETTINGS, [result.webpPath]);
+                }
+
+                createdCount++;
+                successCount++;
+            } catch (error) {
+                console.error(`❌ Error processing ${videoFile}: ${error.message}`);
+                errorCount++;
+            }
+        }));
+    } finally {
+        await pool.close();
+    }
+
+    await cache.save();
+    recordBuildCount('postersCreated', createdCount);
+    recordBuildCount('postersSkipped', successCount - createdCount);
+
     console.log("\nPlaceholder creation complete:");
     console.log(`✅ Successfully created ${successCount} video placeholders`);
     if (errorCount > 0) {
         console.log(`❌ Failed to create ${errorCount} video placeholders`);
     }
-}
 
-// Get the build directory from command line argument or use default
-const buildDir = process.argv[2] || 'build/temp';
+    return { created: createdCount, skipped: successCount - createdCount, failed: errorCount };
+}
 
-// Run the function
-createVideoPlaceholders(buildDir).catch(console.error);
+// Run if called directly (pool workers import this module for createPoster)
+if (import.meta.url === `file://${process.argv[1]}`) {
+    // Get the build directory from command line argument or use default
+    const buildDir = process.argv[2] || 'build/temp';
+    createVideoPlaceholders(buildDir).catch(console.error);
+}
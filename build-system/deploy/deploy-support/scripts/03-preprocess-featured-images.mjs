@@ -24,6 +24,22 @@ const PROJECT_ROOT = getProjectRoot();
 const SOURCE_DIR = path.join(PROJECT_ROOT, '{{DEPLOY_USER}}/public_html');
 
 import sharp from 'sharp';
+import { BuildCache } from '../build-cache.mjs';
+import { recordBuildCount, recordFilesTouched } from '../build-events.mjs';
+import { copyFile, readTextFile, recordWrite, resolveWritePath } from '../dry-run.mjs';
+
+// Everything that affects the featured image outputs; changing any of it invalidates the cache
+const FEATURED_SETTINGS = {
+    sizes: [320, 640, 960, 1200, 1800],
+    formats: ['webp', 'png'],
+    sharpen: {
+        sigma: 0.5,    // Light sharpening
+        flat: 0.8,     // Moderate for flat areas
+        jagged: 1.0    // Standard for edges
+    }
+};
+
+const CACHE_STEP = 'process-featured';
 
 const logger = {
     info: (...args) => console.log('[INFO]', ...args),
@@ -33,7 +49,7 @@ const logger = {
     debug: (...args) => console.log('[DEBUG]', ...args)
 };
 
-async function ensureBuildDirectories(buildDir) {
+async function ensureBuildDirectories(buildDir, sourceDir = SOURCE_DIR) {
     const publicHtmlDir = path.join(buildDir, 'public_html');
     const dataDir = path.join(publicHtmlDir, 'data');
 
@@ -43,13 +59,10 @@ async function ensureBuildDirectories(buildDir) {
         dataDir,
         cwd: process.cwd(),
         projectRoot: PROJECT_ROOT,
-        sourceDir: SOURCE_DIR
+        sourceDir
     });
 
-    fs.mkdirSync(dataDir, { recursive: true });
-
-    // Use the SOURCE_DIR constant for reliable path resolution
-    const sourceConfig = path.join(SOURCE_DIR, 'data/next-project.json');
+    const sourceConfig = path.join(sourceDir, 'data/next-project.json');
     const targetConfig = path.join(dataDir, 'next-project.json');
 
     logger.debug('Config paths:', {
@@ -61,7 +74,7 @@ async function ensureBuildDirectories(buildDir) {
         throw new Error(`Source config not found: ${sourceConfig}`);
     }
 
-    fs.copyFileSync(sourceConfig, targetConfig);
+    copyFile(sourceConfig, targetConfig);
     logger.info('Copied next-project.json to build directory');
 }
 
@@ -70,7 +83,7 @@ async function findFeaturedImages(buildDir) {
     logger.info('Reading next-project.json from:', configPath);
 
     try {
-        const configContent = fs.readFileSync(configPath, 'utf8');
+        const configContent = readTextFile(configPath);
         const configData = JSON.parse(configContent);
 
         // Handle object-based project structure
@@ -96,59 +109,87 @@ async function findFeaturedImages(buildDir) {
     }
 }
 
-async function processFeaturedImage(imagePath, buildDir) {
+async function processFeaturedImage(imagePath, buildDir, cache, sourceDir = SOURCE_DIR) {
     logger.info(`Processing featured image: ${imagePath}`);
-    const sizes = [320, 640, 960, 1200, 1800];
+    const { sizes, formats, sharpen } = FEATURED_SETTINGS;
 
-    // Use SOURCE_DIR for consistent path resolution
-    const inputFile = path.join(SOURCE_DIR, imagePath);
+    const inputFile = path.join(sourceDir, imagePath);
 
     console.log(`Input file: ${inputFile}`);
     console.log(`Build dir: ${buildDir}`);
 
+    if (await cache.isUpToDate(CACHE_STEP, inputFile, FEATURED_SETTINGS)) {
+        logger.info(`Skipping ${path.basename(imagePath)} (unchanged since last build)`);
+        return false;
+    }
+
     const relativePath = path.dirname(imagePath.replace(/^\//, ''));
     console.log(`Relative path: ${relativePath}`);
 
     const outputBase = path.join(buildDir, 'public_html', relativePath);
     console.log(`Output base: ${outputBase}`);
 
+    const outputs = [];
     for (const size of sizes) {
         console.log(`Processing: ${path.basename(imagePath, path.extname(imagePath))} @ ${size}px`);
 
-        for (const format of ['webp', 'png']) {
+        for (const format of formats) {
             const outputPath = path.join(
                 outputBase,
                 `${path.basename(imagePath, path.extname(imagePath))}-${size}w.${format}`
             );
             console.log(`Output ${format.toUpperCase()} Path: ${outputPath}`);
 
-            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
             console.log(`Creating ${format.toUpperCase()}: ${outputPath}`);
 
             // Process the image: resize first, then format conversion, then sharpen (optimal order)
             await sharp(inputFile)
                 .resize(size, null, { withoutEnlargement: true })
                 .toFormat(format)
-                .sharpen({
-                    sigma: 0.5,    // Light sharpening
-                    flat: 0.8,     // Moderate for flat areas
-                    jagged: 1.0    // Standard for edges
-                })
-                .toFile(outputPath);
+                .sharpen(sharpen)
+                .toFile(resolveWritePath(outputPath));
+            recordWrite(outputPath);
+            outputs.push(outputPath);
+        }
+    }
+
+    await cache.record(CACHE_STEP, inputFile, FEATURED_SETTINGS, outputs);
+    recordFilesTouched(outputs);
+    return true;
+}
+
+/**
+ * Copies next-project.json into the build and creates the responsive variants of every featured image
+ * @param {string} buildDir - Build directory (default: ./build/temp)
+ * @param {Object} options - Stage options
+ * @param {string} options.sourceDir - Source site directory (default: the project's public_html)
+ * @returns {Promise<Object>} - { processed, skipped }
+ */
+export async function preprocessFeaturedImages(buildDir = './build/temp', { sourceDir = SOURCE_DIR } = {}) {
+    await ensureBuildDirectories(buildDir, sourceDir);
+    logger.info('Processing featured images...');
+
+    const cache = await BuildCache.load();
+    const featuredImages = await findFeaturedImages(buildDir);
+    let processed = 0;
+    for (const imagePath of featuredImages) {
+        if (await processFeaturedImage(imagePath, buildDir, cache, sourceDir)) {
+            processed++;
         }
     }
+    await cache.save();
+    recordBuildCount('featuredImagesProcessed', processed);
+    recordBuildCount('featuredImagesSkipped', featuredImages.length - processed);
+    logger.success('Featured image preprocessing complete');
+
+    return { processed, skipped: featuredImages.length - processed };
 }
 
 async function main() {
     const buildDir = process.argv[2] || './build/temp';
-    logger.info('Processing featured images...');
 
     try {
-        const featuredImages = await findFeaturedImages(buildDir);
-        for (const imagePath of featuredImages) {
-            await processFeaturedImage(imagePath, buildDir);
-        }
-        logger.success('Featured image preprocessing complete');
+        await preprocessFeaturedImages(buildDir);
     } catch (error) {
         logger.error(`Error: ${error.message}`);
         process.exit(1);
@@ -156,11 +197,7 @@ async function main() {
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-    const buildDir = process.argv[2];
-    ensureBuildDirectories(buildDir).then(() => main()).catch(error => {
-        logger.error(error.message);
-        process.exit(1);
-    });
+    main();
 }
 
 export default main;
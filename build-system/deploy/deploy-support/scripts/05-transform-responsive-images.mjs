@@ -5,6 +5,7 @@
  *
  * This script transforms regular images into responsive picture elements with proper srcsets
  * No longer requires data-responsive="true" attribute - processes all suitable images
+ * The transform is one of the page transforms (see ../page-transforms.mjs)
  */
 
 // Add polyfill for ReadableStream
@@ -14,70 +15,44 @@ global.ReadableStream = ReadableStream;
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-// Fix import for glob which is CommonJS module
-import { promisify } from 'util';
-import globCallback from 'glob';
-const glob = promisify(globCallback);
 
-import * as cheerio from 'cheerio';
+import { directoryExists, fileExists } from '../dry-run.mjs';
+import { transformPages } from '../page-transforms.mjs';
 
 // Setup paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const configPath = path.resolve(__dirname, '../images/config/image-config.json');
 
-// Default build directory
-let buildDir = process.argv[2] || path.resolve(__dirname, '../../../../../build/temp');
-
-console.log('\n====== RESPONSIVE IMAGE TRANSFORMATION ======');
-console.log('📷 Transform Responsive Images');
-console.log('📁 Build directory:', buildDir);
-
-// Ensure build directory exists
-if (!fs.existsSync(buildDir)) {
-  console.error(`❌ Error: Build directory doesn't exist: ${buildDir}`);
-  process.exit(1);
-}
-
-const publicHtmlDir = path.join(buildDir, 'public_html');
-
-if (!fs.existsSync(publicHtmlDir)) {
-  console.error(`❌ Error: Public HTML directory doesn't exist: ${publicHtmlDir}`);
-  process.exit(1);
-}
+/**
+ * Reads the responsive image sizes from image-config.json
+ * @returns {Object} - { availableSizes, sizesAttribute }
+ */
+function loadImageConfig() {
+  let imageConfig;
+  try {
+    imageConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    console.log('✅ Image configuration loaded successfully');
+  } catch (error) {
+    throw new Error(`Error loading image configuration: ${error.message}`);
+  }
 
-// Read image configuration
-let imageConfig;
-try {
-  const configData = fs.readFileSync(configPath, 'utf8');
-  imageConfig = JSON.parse(configData);
-  console.log('✅ Image configuration loaded successfully');
-} catch (error) {
-  console.error('❌ Error loading image configuration:', error);
-  process.exit(1);
+  return {
+    availableSizes: imageConfig.sizes.map(size => size.width),
+    sizesAttribute: imageConfig.defaultSizesAttribute || '(max-width: 1200px) 100vw, 1200px'
+  };
 }
 
-// Load available sizes from config
-const availableSizes = imageConfig.sizes.map(size => size.width);
-const sizesAttribute = imageConfig.defaultSizesAttribute || '(max-width: 1200px) 100vw, 1200px';
-
-console.log('🔍 Searching for HTML files with images to transform...');
-
-// Helper function to check if source image and responsive variants exist
-function checkImageExists(basePath, srcExt) {
+// Helper function to check if the responsive variants of an image have been generated
+function checkImageExists(publicHtmlDir, basePath, srcExt, availableSizes) {
   // Skip SVG images
   if (srcExt.toLowerCase() === '.svg') {
     return false;
   }
 
-  // Check if the original image exists
-  const originalPath = path.join(publicHtmlDir, basePath + srcExt);
-  if (!fs.existsSync(originalPath)) {
-    return false;
-  }
-
-  // Always return true - we don't need to check for variants as they will be created later
-  return true;
+  // 01-process-images writes every size it makes, so the smallest one tells whether it ran for this image
+  const smallestVariant = path.join(publicHtmlDir, `${basePath}-${Math.min(...availableSizes)}w${srcExt}`);
+  return fileExists(smallestVariant);
 }
 
 // Helper function to check if image should be transformed
@@ -121,129 +96,119 @@ function shouldTransformImage($img) {
   return (isPortfolioImage || isContentImage);
 }
 
-// Process HTML files
-(async () => {
-  try {
-    const startTime = Date.now();
-    console.log('🕒 Starting HTML transformation at:', new Date().toLocaleTimeString());
-
-    // Find all HTML files
-    const files = await glob('**/*.html', { cwd: publicHtmlDir });
-
-    console.log(`🔎 Found ${files.length} HTML files to process`);
-    let totalTransformed = 0;
-    let filesWithChanges = 0;
-    let skippedImages = 0;
-
-    // Process each HTML file
-    for (const file of files) {
-      const filePath = path.join(publicHtmlDir, file);
-
-      try {
-        // First, check if there are video source elements that need protection
-        let content = fs.readFileSync(filePath, 'utf8');
-
-        // Find and temporarily mark video source elements with explicit closing tags
-        // to preserve them during Cheerio parsing
-        const videoSourceTagsWithClosing = /<source[^>]*>[\s\S]*?<\/source>/g;
-        const markedContent = content.replace(videoSourceTagsWithClosing, match => {
-          return match.replace('</source>', '<!--PRESERVE_SOURCE_CLOSING_TAG-->');
-        });
-
-        // Now load the HTML with Cheerio
-        const $ = cheerio.load(markedContent);
-        let fileChanged = false;
-        let fileTransformCount = 0;
-
-        // Find all images and process them if they meet our criteria
-        $('img').each((i, img) => {
-          const $img = $(img);
-
-          // Skip if this image shouldn't be transformed
-          if (!shouldTransformImage($img)) {
-            return;
-          }
-
-          const src = $img.attr('src');
-
-          // Extract base path without extension
-          const srcExt = path.extname(src);
-          const basePath = src.substring(0, src.length - srcExt.length);
-
-          // Check if the responsive variants exist, skip if they don't
-          if (!checkImageExists(basePath, srcExt)) {
-            console.log(`  ⚠️ Skipping ${src}: responsive variants not found`);
-            skippedImages++;
-            return;
-          }
-
-          // Create source elements for WebP and fallback
-          const webpSrcset = availableSizes
-            .map(size => `${basePath}-${size}w.webp ${size}w`)
-            .join(', ');
-
-          const originalSrcset = availableSizes
-            .map(size => `${basePath}-${size}w${srcExt} ${size}w`)
-            .join(', ');
-
-          // Create picture element
-          const $picture = $('<picture></picture>');
-          const $webpSource = $('<source></source>')
-            .attr('srcset', webpSrcset)
-            .attr('type', 'image/webp');
-
-          // Add original properties to the image
-          $img.attr('srcset', originalSrcset);
-          $img.attr('sizes', sizesAttribute);
-
-          // Add loading="lazy" if not present
-          if (!$img.attr('loading')) {
-            $img.attr('loading', 'lazy');
-          }
-
-          // Remove data-responsive if present
-          $img.removeAttr('data-responsive');
-
-          // Replace the image with picture element containing the source and original image
-          $img.wrap($picture);
-          $img.before($webpSource);
-
-          totalTransformed++;
-          fileTransformCount++;
-          fileChanged = true;
-
-          console.log(`  📝 Transformed image: ${src} in ${file}`);
-        });
-
-        // Save the file if changes were made
-        if (fileChanged) {
-          // Get modified HTML
-          let modifiedHtml = $.html();
-
-          // Restore the explicit closing tags for source elements in videos
-          modifiedHtml = modifiedHtml.replace(/<!--PRESERVE_SOURCE_CLOSING_TAG-->/g, '</source>');
-
-          fs.writeFileSync(filePath, modifiedHtml);
-          filesWithChanges++;
-          console.log(`  ✅ Updated ${file} with ${fileTransformCount} responsive images`);
+/**
+ * Creates the responsive images page transform (see ../page-transforms.mjs)
+ * Content images are wrapped in <picture> elements with WebP and original format
+ * srcsets; images whose variants have not been generated (quick builds,
+ * --skip-images) are left as they are.
+ * @param {Object} options - Transform options (none)
+ * @param {Object} site - { publicHtmlDir }
+ * @returns {Object} - Page transform
+ */
+export function createResponsiveImagesTransform(options, { publicHtmlDir }) {
+  const { availableSizes, sizesAttribute } = loadImageConfig();
+
+  return {
+    transform({ $, relativePath }) {
+      let transformed = 0;
+      let skipped = 0;
+
+      // Find all images and process them if they meet our criteria
+      $('img').each((i, img) => {
+        const $img = $(img);
+
+        // Skip if this image shouldn't be transformed
+        if (!shouldTransformImage($img)) {
+          return;
         }
-      } catch (error) {
-        console.error(`❌ Error processing ${file}:`, error);
+
+        const src = $img.attr('src');
+
+        // Extract base path without extension
+        const srcExt = path.extname(src);
+        const basePath = src.substring(0, src.length - srcExt.length);
+
+        // Check if the responsive variants exist, skip if they don't
+        if (!checkImageExists(publicHtmlDir, basePath, srcExt, availableSizes)) {
+          skipped++;
+          return;
+        }
+
+        // Create source elements for WebP and fallback
+        const webpSrcset = availableSizes
+          .map(size => `${basePath}-${size}w.webp ${size}w`)
+          .join(', ');
+
+        const originalSrcset = availableSizes
+          .map(size => `${basePath}-${size}w${srcExt} ${size}w`)
+          .join(', ');
+
+        // Create picture element
+        const $picture = $('<picture></picture>');
+        const $webpSource = $('<source></source>')
+          .attr('srcset', webpSrcset)
+          .attr('type', 'image/webp');
+
+        // Add original properties to the image
+        $img.attr('srcset', originalSrcset);
+        $img.attr('sizes', sizesAttribute);
+
+        // Add loading="lazy" if not present
+        if (!$img.attr('loading')) {
+          $img.attr('loading', 'lazy');
+        }
+
+        // Remove data-responsive if present
+        $img.removeAttr('data-responsive');
+
+        // Replace the image with picture element containing the source and original image
+        $img.wrap($picture);
+        $img.before($webpSource);
+
+        transformed++;
+      });
+
+      if (skipped > 0) {
+        console.log(`  ⚠️ Skipped ${skipped} images in ${relativePath}: responsive variants not found`);
       }
+      return transformed;
     }
+  };
+}
 
-    const endTime = Date.now();
-    const duration = ((endTime - startTime) / 1000).toFixed(2);
+/**
+ * Wraps the content images of every HTML file in the build in responsive <picture> elements
+ * The build runs this transform in the transform-pages step together with the others.
+ * @param {string} buildDir - Build directory (default: build/temp)
+ * @returns {Promise<Object>} - { transformed, filesChanged }
+ */
+export async function transformResponsiveImages(buildDir = path.resolve(__dirname, '../../../../../build/temp')) {
+  console.log('\n====== RESPONSIVE IMAGE TRANSFORMATION ======');
+  console.log('📷 Transform Responsive Images');
+  console.log('📁 Build directory:', buildDir);
+
+  // Ensure build directory exists
+  if (!directoryExists(buildDir)) {
+    throw new Error(`Build directory doesn't exist: ${buildDir}`);
+  }
 
-    console.log('\n====== RESPONSIVE TRANSFORMATION COMPLETE ======');
-    console.log(`✅ Transformed ${totalTransformed} responsive images in ${filesWithChanges} files`);
-    console.log(`⚠️ Skipped ${skippedImages} images (no responsive variants found)`);
-    console.log(`⏱️ Process completed in ${duration} seconds`);
-    console.log('📝 HTML files now contain responsive <picture> elements with multiple sources');
-    console.log('⚠️ NOTE: These HTML changes require validation to ensure proper tag structure');
-    console.log('======================================================\n');
-  } catch (error) {
-    console.error('❌ Error during HTML processing:', error);
-    process.exit(1);
+  if (!directoryExists(path.join(buildDir, 'public_html'))) {
+    throw new Error(`Public HTML directory doesn't exist: ${path.join(buildDir, 'public_html')}`);
   }
-})();
+
+  const { transforms } = await transformPages(buildDir, { transforms: ['responsive-images'] });
+  const { changes, pages } = transforms['responsive-images'];
+
+  console.log(`✅ Transformed ${changes} responsive images in ${pages} files`);
+  console.log('======================================================\n');
+
+  return { transformed: changes, filesChanged: pages };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  transformResponsiveImages(process.argv[2]).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -6,16 +6,58 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import * as cheerio from 'cheerio';
+import { recordBuildCount, recordBuildWarning, recordFilesTouched } from '../build-events.mjs';
+import { copyFile, directoryExists, fileExists, readTextFile, writeTextFile } from '../dry-run.mjs';
+import { loadPortfolioConfig, getCompany } from '../portfolio-config.mjs';
+import { sortPortfolioItems, orderNextProjectChain } from '../portfolio-sort.mjs';
+import { renderCard, loadCardTemplates, CARD_IMAGE } from '../card-renderer.mjs';
+import { html, rawHtml, escapeHtml, fillTemplate, decodeHtmlEntities } from '../html-template.mjs';
+import { TagDictionary, createTagSlug } from '../tag-dictionary.mjs';
+import { findRelatedProjects } from '../related-projects.mjs';
+import { renderTagIndexGroup } from '../tag-index.mjs';
+import { readProjectMetadata, stripProjectFrontMatter, resolveProjectStatus, writeDraftsManifest } from '../project-metadata.mjs';
+import { transformPages } from '../page-transforms.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Tag Category Configuration - Single source of truth for display labels
-const TAG_CATEGORIES = {
-  TagCategory1: "My Role:",
-  TagCategory2: "Industry & Platform:",
-  TagCategory3: "Approach & Deliverables:"
-};
+// Portfolio config (companies, tag category labels, tag dictionary, author) - loaded by buildPortfolio
+let PORTFOLIO_CONFIG = null;
+let TAG_CATEGORIES = null;
+let TAG_DICTIONARY = null;
+
+/**
+ * Makes a loaded portfolio config available to the page generators
+ * @param {Object} config - Validated portfolio config (see portfolio-config.mjs)
+ */
+function applyPortfolioConfig(config) {
+  PORTFOLIO_CONFIG = config;
+  TAG_CATEGORIES = config.tagCategories;
+  TAG_DICTIONARY = new TagDictionary(config.tags);
+}
+
+/**
+ * Resolves parsed tags to their canonical tags (see tag-dictionary.mjs)
+ * Forbidden tags are dropped and tags that merge into the same canonical tag are kept once.
+ * @param {Array} tags - Tag objects as written in the project
+ * @param {string} source - Project file, for the unknown tag report
+ * @returns {Array} - Canonical tag objects
+ */
+function resolveTags(tags, source) {
+  const resolved = new Map();
+  for (const tag of tags) {
+    // Company tags come from the portfolio config and are canonical already
+    const canonical = tag.category === 'Company' ? tag : TAG_DICTIONARY.resolve(tag.name, tag.category, source);
+    if (!canonical) {
+      console.log(`  ⏭️ Dropping forbidden tag "${tag.name}"`);
+      continue;
+    }
+    if (!resolved.has(canonical.slug)) {
+      resolved.set(canonical.slug, canonical);
+    }
+  }
+  return [...resolved.values()];
+}
 
 // Adding validation functions that were previously in validate.mjs
 /**
@@ -90,61 +132,60 @@ function validateHtml(html, filePath) {
 }
 
 /**
- * Fixes common HTML issues
- * @param {string} html - HTML content to fix
- * @returns {string} - Fixed HTML content
+ * Creates the feature scripts page transform (see ../page-transforms.mjs)
+ * Fixes common HTML issues and adds the carousel and zoomable image scripts to
+ * the pages that use them. Missing charset and viewport meta tags are added by
+ * the head transform.
+ * @returns {Object} - Page transform
  */
-function fixHtml(html) {
-  // Remove duplicate doctypes
-  const firstDoctype = html.match(/<!doctype[^>]*>/i)?.[0] || '<!doctype html>';
-  html = html.replace(/<!doctype[^>]*>/gi, '');
-  html = firstDoctype + html;
-
-  const $ = cheerio.load(html);
-
-  // Ensure charset is first in head
-  if ($('meta[charset]').length === 0) {
-    $('head').prepend('<meta charset="UTF-8" />');
-  }
-
-  // Add viewport if missing
-  if ($('meta[name="viewport"]').length === 0) {
-    $('meta[charset]').after('<meta name="viewport" content="width=device-width, initial-scale=1.0" />');
-  }
-
-  // Fix script paths
-  $('script').each((i, elem) => {
-    const src = $(elem).attr('src');
-    if (src && !src.startsWith('/')) {
-      $(elem).attr('src', '/' + src.replace(/^\/+/, ''));
-    }
-  });
-
-  // Ensure next-project container exists
-  if ($('.next-project-container').length === 0) {
-    $('main').append('<div class="next-project-container"></div>');
-  }
+function createFeatureScriptsTransform() {
+  return {
+    prepare(html) {
+      // Remove project front matter (see project-metadata.mjs)
+      html = stripProjectFrontMatter(html);
+
+      // Remove duplicate doctypes
+      const firstDoctype = html.match(/<!doctype[^>]*>/i)?.[0] || '<!doctype html>';
+      return firstDoctype + html.replace(/<!doctype[^>]*>/gi, '');
+    },
+
+    transform({ $ }) {
+      let changes = 0;
+
+      // Fix script paths
+      $('script').each((i, elem) => {
+        const src = $(elem).attr('src');
+        if (src && !src.startsWith('/')) {
+          $(elem).attr('src', '/' + src.replace(/^\/+/, ''));
+          changes++;
+        }
+      });
 
-  // Inject required scripts only if carousel or zoomable image is present
-  // Also inject zoomable-image.js if there are <picture><img> elements (even if .zoomable-image is not present)
-  const needsCarousel = $('.carousel, .carousel-source').length > 0;
-  let needsZoomable = $('.zoomable-image').length > 0;
-  if (!needsZoomable && $('picture img').length > 0) {
-    needsZoomable = true;
-  }
-  if (needsCarousel || needsZoomable) {
-    // Remove any existing duplicate script tags for these features
-    $('script[src="/js/zoomable-image.js"]').remove();
-    $('script[src="/js/carousel.js"]').remove();
-    // Inject scripts before </body>
-    $('body').append(`
+      // Inject required scripts only if carousel or zoomable image is present
+      // Also inject zoomable-image.js if there are <picture><img> elements (even if .zoomable-image is not present)
+      // Card images link to their project and are never zoomable
+      const needsCarousel = $('.carousel, .carousel-source').length > 0;
+      let needsZoomable = $('.zoomable-image').length > 0;
+      if (!needsZoomable && $('picture img').filter((i, img) => $(img).closest('.card').length === 0).length > 0) {
+        needsZoomable = true;
+      }
+      const featureScripts = [needsZoomable && '/js/zoomable-image.js', needsCarousel && '/js/carousel.js'].filter(Boolean);
+      if (featureScripts.some(src => $(`script[src="${src}"]`).length === 0)) {
+        // Remove any existing duplicate script tags for these features
+        $('script[src="/js/zoomable-image.js"]').remove();
+        $('script[src="/js/carousel.js"]').remove();
+        // Inject scripts before </body>
+        $('body').append(`
       <!-- Feature scripts -->
       ${needsZoomable ? '<script src="/js/zoomable-image.js" defer></script>' : ''}
       ${needsCarousel ? '<script src="/js/carousel.js" defer></script>' : ''}
     `);
-  }
+        changes++;
+      }
 
-  return $.html();
+      return changes;
+    }
+  };
 }
 
 /**
@@ -153,21 +194,24 @@ function fixHtml(html) {
  * @returns {Promise<string>} - Cleaned HTML content
  */
 async function cleanHtml(filePath) {
-  const html = await fs.promises.readFile(filePath, 'utf8');
+  const html = readTextFile(filePath);
 
   // Remove duplicate doctypes
   const cleanedHtml = html.replace(/(<!DOCTYPE[^>]+>[\s\n]*)+/gi, '$1');
 
-  await fs.promises.writeFile(filePath, cleanedHtml);
+  writeTextFile(filePath, cleanedHtml);
   return cleanedHtml;
 }
 
 // Configuration - fix paths for build directory
-let BUILD_DIR = process.argv[2] || path.join(dirname(__filename), '../../../../../build/temp');
+let BUILD_DIR = path.join(dirname(__filename), '../../../../../build/temp');
 let PORTFOLIO_DIR = path.join(BUILD_DIR, 'public_html/portfolio');
 let OUTPUT_FILE = path.join(BUILD_DIR, 'public_html/data/portfolio-items.json');
 let PUBLIC_HTML_DIR = path.join(BUILD_DIR, 'public_html');
 
+// Tags of the built but unlisted projects (draft, unlisted, scheduled), in the build directory
+const UNPUBLISHED_TAGS_FILE = 'unpublished-tags.json';
+
 // Function to update global paths when buildDir changes
 function updateGlobalPaths(buildDir) {
   BUILD_DIR = buildDir;
@@ -218,7 +262,7 @@ function parseAllTagsFromHtml(html, filePath) {
       let match;
 
       while ((match = allTagsPattern.exec(html)) !== null) {
-        const tagName = match[1].trim();
+        const tagName = decodeHtmlEntities(match[1].trim());
         if (tagName) {
           allTags.push({
             name: tagName,
@@ -229,7 +273,7 @@ function parseAllTagsFromHtml(html, filePath) {
 
       if (allTags.length > 0) {
         console.log(`  ✓ Found ${allTags.length} existing clickable tags in ${filePath}`);
-        return allTags;
+        return resolveTags(allTags, filePath);
       }
     }
 
@@ -271,27 +315,50 @@ function parseAllTagsFromHtml(html, filePath) {
     // Extract company name from file path and add as tag
     const companyMatch = filePath.match(/portfolio\/([^\/]+)\//);
     if (companyMatch) {
-      const companyName = companyMatch[1];
-      // Convert company name to proper case
-      const formattedCompany = companyName.charAt(0).toUpperCase() + companyName.slice(1);
-      allTags.push({
-        name: formattedCompany,
-        slug: createTagSlug(formattedCompany),
-        category: 'Company'
-      });
+      allTags.push(createCompanyTag(companyMatch[1]));
     }
 
     if (allTags.length === 0) {
       console.log(`No tag information found in ${filePath}`);
     }
 
-    return allTags;
+    return resolveTags(allTags, filePath);
   } catch (err) {
     console.warn(`Error parsing tags from ${filePath}:`, err.message);
     return [];
   }
 }
 
+/**
+ * Creates the company tag of a project
+ * @param {string} companySlug - Company directory name
+ * @returns {Object} - Tag object using the display name from the portfolio config
+ */
+function createCompanyTag(companySlug) {
+  const name = getCompany(PORTFOLIO_CONFIG, companySlug).name;
+  return {
+    name,
+    slug: createTagSlug(name),
+    category: 'Company'
+  };
+}
+
+/**
+ * Creates tag objects from the tags declared in project metadata
+ * @param {Object} tagsByCategory - Category -> tag names (see project-metadata.mjs)
+ * @param {string} companySlug - Company directory name
+ * @param {string} source - Metadata file, for the unknown tag report
+ * @returns {Array} - Array of canonical tag objects, including the company tag
+ */
+function createTagsFromMetadata(tagsByCategory, companySlug, source) {
+  const tags = Object.entries(tagsByCategory).flatMap(([category, names]) => names.map(name => ({
+    name,
+    slug: createTagSlug(name),
+    category
+  })));
+  return resolveTags([...tags, createCompanyTag(companySlug)], source);
+}
+
 /**
  * Parses individual tag text into tag objects
  * @param {string} tagText - Comma-separated tag text
@@ -301,8 +368,8 @@ function parseAllTagsFromHtml(html, filePath) {
  */
 function parseTagText(tagText, filePath, category = 'Role') {
   try {
-    // First normalize the text by removing newlines and extra whitespace
-    const normalizedText = tagText
+    // First normalize the text by decoding entities and removing newlines and extra whitespace
+    const normalizedText = decodeHtmlEntities(tagText)
       .replace(/\n/g, ' ')           // Replace newlines with spaces
       .replace(/\s+/g, ' ')          // Replace multiple spaces with single space
       .trim();                       // Trim leading/trailing whitespace
@@ -364,120 +431,98 @@ function parseTagText(tagText, filePath, category = 'Role') {
 }
 
 /**
- * Creates a URL-friendly slug from a tag name
- * @param {string} tagName - Tag name to convert
- * @returns {string} - URL-friendly slug
+ * Injects clickable tags into a portfolio page for all categories (TagCategory1, TagCategory2, TagCategory3)
+ * The tags after each "<strong>TagCategoryN:</strong>" label are replaced with
+ * links to the tag pages of the project's resolved tags - the same tags its
+ * cards and tag pages list - and the labels become the configured display
+ * labels. Categories the page has no label for get a line of their own.
+ * Tags without a tag page (only used by unlisted projects) are shown unlinked.
+ * @param {Function} $ - Parsed page (cheerio)
+ * @param {Array} tags - Canonical tag objects of the project (see resolveTags)
+ * @param {Set<string>} tagPageSlugs - Slugs of the tags that have a tag page
+ * @returns {number} - Number of changes
  */
-function createTagSlug(tagName) {
-  return tagName
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '-') // Replace spaces with hyphens
-    .replace(/-+/g, '-') // Replace multiple hyphens with single
-    .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
-}
+function injectTagsIntoPage($, tags, tagPageSlugs) {
+  const categoryNames = ['TagCategory1', 'TagCategory2', 'TagCategory3'];
+  const displayLabels = categoryNames.map(categoryName => TAG_CATEGORIES[categoryName]);
+  let changes = 0;
 
-/**
- * Injects clickable tags into portfolio HTML for all categories (TagCategory1, TagCategory2, TagCategory3)
- * @param {string} html - HTML content
- * @param {Array} tags - Array of tag objects
- * @returns {string} - HTML with tags injected
- */
-function injectTagsIntoHtml(html, tags) {
-  if (!tags || tags.length === 0) {
-    return html;
-  }
-
-  // Check if ALL tag categories are already injected (all should have clickable tags)
-  const hasTagCategory1ClickableTags = new RegExp(`<strong>${TAG_CATEGORIES.TagCategory1.replace(':', '\\:')}</strong>\\s*<a[^>]*class="portfolio-tag"`, 'i').test(html);
-  const hasTagCategory2ClickableTags = new RegExp(`<strong>${TAG_CATEGORIES.TagCategory2.replace(':', '\\:').replace('&', '\\&')}</strong>\\s*<a[^>]*class="portfolio-tag"`, 'i').test(html);
-  const hasTagCategory3ClickableTags = new RegExp(`<strong>${TAG_CATEGORIES.TagCategory3.replace(':', '\\:').replace('&', '\\&')}</strong>\\s*<a[^>]*class="portfolio-tag"`, 'i').test(html);
-
-  if (hasTagCategory1ClickableTags && hasTagCategory2ClickableTags && hasTagCategory3ClickableTags) {
-    // All tags already injected, no need to re-inject
-    return html;
+  // Linked already (the transform ran on this page before)
+  if ($('a.portfolio-tag').length > 0 || $('strong').toArray().some(strong => displayLabels.includes($(strong).text().trim()))) {
+    return 0;
   }
 
-  let updatedHtml = html;
-
-  // Create a map of tag names to tag objects for quick lookup
-  const tagMap = new Map();
-  tags.forEach(tag => {
-    tagMap.set(tag.name.toLowerCase(), tag);
-  });
-
-  // Helper function to replace tags in a category
-  const replaceCategoryTags = (categoryName) => {
-    const pattern = new RegExp(`(<strong>${categoryName}:<\\/strong>\\s*)([^<]+)`, 'i');
-    const match = updatedHtml.match(pattern);
-
-    if (match) {
-      const tagText = match[2].trim();
-      // Split by comma and process each tag
-      const tagNames = tagText.split(',')
-        .map(name => name.trim())
-        .filter(name => name.length > 0); // Remove empty strings
-
-      const clickableTagsHtml = tagNames.map(tagName => {
-        const normalizedName = tagName.toLowerCase();
-        const tagObj = tagMap.get(normalizedName);
-
-        if (tagObj) {
-          return `<a href="/portfolio/tags/${tagObj.slug}/" class="portfolio-tag">${tagObj.name}</a>`;
-        } else {
-          // If tag not found in map, create a basic slug for it
-          const slug = tagName.toLowerCase()
-            .replace(/[^a-z0-9\s-]/g, '')
-            .replace(/\s+/g, '-')
-            .replace(/-+/g, '-')
-            .replace(/^-|-$/g, '');
-          return `<a href="/portfolio/tags/${slug}/" class="portfolio-tag">${tagName}</a>`;
-        }
-      }).join(' ');
-
-      updatedHtml = updatedHtml.replace(pattern, `$1${clickableTagsHtml}`);
+  let $previousParagraph = null;
+  for (const categoryName of categoryNames) {
+    const $labels = $('strong').filter((i, strong) => $(strong).text().trim() === `${categoryName}:`);
+    const clickableTagsHtml = tags
+      .filter(tag => tag.category === categoryName)
+      .map(tag => tagPageSlugs.has(tag.slug)
+        ? html`<a href="/portfolio/tags/${tag.slug}/" class="portfolio-tag">${tag.name}</a>`
+        : html`<span class="portfolio-tag">${tag.name}</span>`)
+      .join(' ');
+
+    if ($labels.length === 0) {
+      if (!clickableTagsHtml) {
+        continue;
+      }
+      // Tags declared in project metadata for a category the page does not show
+      const $paragraph = $(`<p>${html`<strong>${TAG_CATEGORIES[categoryName]}</strong>`} ${clickableTagsHtml}</p>`);
+      if ($previousParagraph) {
+        $previousParagraph.after($paragraph);
+      } else if ($('.header--descriptions').length > 0) {
+        $('.header--descriptions').first().prepend($paragraph);
+      } else if ($('h1').length > 0) {
+        $('h1').first().after($paragraph);
+      } else {
+        continue;
+      }
+      $previousParagraph = $paragraph;
+      changes++;
+      continue;
     }
-  };
 
-  // Process each category
-  replaceCategoryTags('TagCategory1');
-  replaceCategoryTags('TagCategory2');
-  replaceCategoryTags('TagCategory3');
+    // Replace the tags written after the first label; a category without tags is removed
+    const $label = $labels.first();
+    const tagTextNode = $labels.get(0).next;
+    const $paragraph = $label.closest('p');
+    if (tagTextNode && tagTextNode.type === 'text') {
+      $(tagTextNode).replaceWith(clickableTagsHtml && `${tagTextNode.data.match(/^\s*/)[0]}${clickableTagsHtml}`);
+    } else if (clickableTagsHtml) {
+      $label.after(` ${clickableTagsHtml}`);
+    }
+    if (!clickableTagsHtml) {
+      $label.remove();
+      if ($paragraph.length > 0 && !$paragraph.text().trim() && $paragraph.children().length === 0) {
+        $paragraph.remove();
+      }
+    } else if ($paragraph.length > 0) {
+      $previousParagraph = $paragraph;
+    }
 
-  // Replace generic category labels with display labels
-  updatedHtml = updatedHtml
-    .replace(/<strong>TagCategory1:<\/strong>/g, `<strong>${TAG_CATEGORIES.TagCategory1}</strong>`)
-    .replace(/<strong>TagCategory2:<\/strong>/g, `<strong>${TAG_CATEGORIES.TagCategory2}</strong>`)
-    .replace(/<strong>TagCategory3:<\/strong>/g, `<strong>${TAG_CATEGORIES.TagCategory3}</strong>`);
+    // Replace generic category labels with display labels
+    $labels.each((i, strong) => {
+      $(strong).html(escapeHtml(TAG_CATEGORIES[categoryName]));
+    });
+    changes += $labels.length;
+  }
 
   // Reduce spacing between tag categories by changing structure
   // Convert multiple paragraph structure to single paragraph with line breaks
-  // Look for all three tag categories in sequence, allowing for other HTML elements in between
-  const tagCategory1Pattern = new RegExp(`(<p[^>]*>\\s*<strong>${TAG_CATEGORIES.TagCategory1.replace(':', '\\:')}[\\s\\S]*?<\\/p>)`, 'i');
-  const tagCategory2Pattern = new RegExp(`(<p[^>]*>\\s*<strong>${TAG_CATEGORIES.TagCategory2.replace(':', '\\:').replace('&', '\\&')}[\\s\\S]*?<\\/p>)`, 'i');
-  const tagCategory3Pattern = new RegExp(`(<p[^>]*>\\s*<strong>${TAG_CATEGORIES.TagCategory3.replace(':', '\\:').replace('&', '\\&')}[\\s\\S]*?<\\/p>)`, 'i');
-
-  const tagCategory1Match = updatedHtml.match(tagCategory1Pattern);
-  const tagCategory2Match = updatedHtml.match(tagCategory2Pattern);
-  const tagCategory3Match = updatedHtml.match(tagCategory3Pattern);
-
-  if (tagCategory1Match && tagCategory2Match && tagCategory3Match) {
-    // Extract the content without the <p> tags
-    const tagCategory1Content = tagCategory1Match[1].replace(/<\/?p[^>]*>/g, '');
-    const tagCategory2Content = tagCategory2Match[1].replace(/<\/?p[^>]*>/g, '');
-    const tagCategory3Content = tagCategory3Match[1].replace(/<\/?p[^>]*>/g, '');
-
-    // Create consolidated content
-    const consolidatedContent = `<p>${tagCategory1Content}<br />${tagCategory2Content}<br />${tagCategory3Content}</p>`;
+  const categoryParagraphs = categoryNames.map(categoryName => $('p').filter((i, paragraph) => {
+    const $first = $(paragraph).contents().filter((j, node) => node.type !== 'text' || node.data.trim() !== '').first();
+    return $first.is('strong') && $first.text().trim() === TAG_CATEGORIES[categoryName];
+  }).get(0));
 
+  if (categoryParagraphs.every(Boolean) && new Set(categoryParagraphs).size === categoryParagraphs.length) {
     // Replace all three separate paragraphs with the consolidated one
-    updatedHtml = updatedHtml
-      .replace(tagCategory1Pattern, consolidatedContent)
-      .replace(tagCategory2Pattern, '')
-      .replace(tagCategory3Pattern, '');
+    const consolidatedContent = categoryParagraphs.map(paragraph => $(paragraph).html()).join('<br />');
+    $(categoryParagraphs[0]).replaceWith(`<p>${consolidatedContent}</p>`);
+    categoryParagraphs.slice(1).forEach(paragraph => $(paragraph).remove());
+    changes++;
   }
 
-  return updatedHtml;
+  return changes;
 }
 
 // Validate portfolio page structure
@@ -546,7 +591,7 @@ function extractMetadata(html, filePath, skipValidation = false) {
     }
 
     // Clean up h1 content (remove any HTML tags and trim)
-    let title = h1Match[1].replace(/<[^>]+>/g, '').trim();
+    let title = decodeHtmlEntities(h1Match[1].replace(/<[^>]+>/g, '').trim());
 
     // Extract company and project from path
     const pathParts = relativePath.split('/').filter(Boolean);
@@ -559,7 +604,7 @@ function extractMetadata(html, filePath, skipValidation = false) {
     return {
       path: relativePath,
       title: title,
-      description: descMatch[1].trim(),
+      description: decodeHtmlEntities(descMatch[1].trim()),
       company: company.toLowerCase(),
       imageBase: `/assets/images/portfolio/${company}/${project}/featured--cover`,
       tags: tags
@@ -599,7 +644,7 @@ function readHeadingsFromHtml(htmlContent) {
 async function updateHtmlContent(filePath, searchPattern, replacement) {
   try {
     // Read file content
-    const content = await fs.promises.readFile(filePath, 'utf8');
+    const content = readTextFile(filePath);
 
     // Check if pattern exists
     if (!content.match(searchPattern)) {
@@ -611,7 +656,7 @@ async function updateHtmlContent(filePath, searchPattern, replacement) {
     const updatedContent = content.replace(searchPattern, replacement);
 
     // Write updated content back to file
-    await fs.promises.writeFile(filePath, updatedContent, 'utf8');
+    writeTextFile(filePath, updatedContent);
 
     return true;
   } catch (error) {
@@ -627,13 +672,11 @@ async function updateHtmlContent(filePath, searchPattern, replacement) {
  * @param {number[]} sizes - Sizes to check (e.g., [320, 640, 960, 1200, 1800])
  * @returns {Promise<boolean>} - True if all required files exist
  */
-async function verifyResponsiveImages(imagePath, formats = ['png', 'webp'], sizes = [320, 640, 960, 1200, 1800]) {
+async function verifyResponsiveImages(imagePath, formats = ['png', 'webp'], sizes = CARD_IMAGE.sizes) {
   try {
     // Check if base file exists
     const baseFilePath = `${imagePath}.png`;
-    try {
-      await fs.promises.access(path.join(PUBLIC_HTML_DIR, baseFilePath));
-    } catch {
+    if (!fileExists(path.join(PUBLIC_HTML_DIR, baseFilePath))) {
       console.warn(`Base image not found: ${baseFilePath}`);
       return false;
     }
@@ -642,9 +685,7 @@ async function verifyResponsiveImages(imagePath, formats = ['png', 'webp'], size
     for (const size of sizes) {
       for (const format of formats) {
         const filePath = `${imagePath}-${size}w.${format}`;
-        try {
-          await fs.promises.access(path.join(PUBLIC_HTML_DIR, filePath));
-        } catch {
+        if (!fileExists(path.join(PUBLIC_HTML_DIR, filePath))) {
           console.warn(`Responsive image not found: ${filePath}`);
           return false;
         }
@@ -658,6 +699,45 @@ async function verifyResponsiveImages(imagePath, formats = ['png', 'webp'], size
   }
 }
 
+// Progressive enhancement for the index filter bar, copied into the built site
+const FILTER_SCRIPT_SOURCE = path.join(__dirname, '../client/portfolio-filter.js');
+const FILTER_SCRIPT_URL = '/js/portfolio-filter.js';
+
+/**
+ * Renders the tag filter bar of the portfolio index
+ * Each chip links to its static tag page, so the bar works without JavaScript;
+ * portfolio-filter.js turns the chips into toggles that filter the cards in place.
+ * @param {Array} portfolioData - Listed portfolio items
+ * @returns {string} - Filter bar HTML, empty when no project has tags
+ */
+function renderPortfolioFilters(portfolioData) {
+  const groups = [...Object.keys(TAG_CATEGORIES), 'Company'].map(category => {
+    const tagsBySlug = new Map();
+    for (const item of portfolioData) {
+      for (const tag of item.tags || []) {
+        if (tag.category === category && !tagsBySlug.has(tag.slug)) {
+          tagsBySlug.set(tag.slug, tag);
+        }
+      }
+    }
+    const tags = [...tagsBySlug.values()].sort((a, b) => a.name.localeCompare(b.name));
+    return { category, label: TAG_CATEGORIES[category] || category, tags };
+  }).filter(group => group.tags.length > 0);
+
+  if (groups.length === 0) {
+    return '';
+  }
+
+  return html`<nav class="portfolio-filters" aria-label="Filter projects by tag">
+          <button class="filter-btn filter-btn--all" type="button" data-filter="all" hidden>All projects</button>${groups.map(group => html`
+          <div class="portfolio-filters--group" role="group" aria-labelledby="portfolio-filters--${group.category}">
+            <span class="portfolio-filters--label" id="portfolio-filters--${group.category}">${group.label}</span>
+            ${group.tags.map(tag => html`<a class="filter-btn" href="/portfolio/tags/${tag.slug}/" data-filter="${tag.slug}" data-category="${group.category}">${tag.name}</a>`)}
+          </div>`)}
+          <p class="portfolio-filters--empty" hidden>No projects match the selected tags.</p>
+        </nav>`.toString();
+}
+
 /**
  * Generates static HTML for the portfolio index page
  * @param {Array} portfolioData - Array of portfolio items data
@@ -671,22 +751,10 @@ async function generatePortfolioIndexPage(portfolioData) {
     const indexPath = path.join(PUBLIC_HTML_DIR, 'portfolio/index.html');
 
     // Read the index.html template
-    let indexHtml = await fs.promises.readFile(indexPath, 'utf8');
+    let indexHtml = readTextFile(indexPath);
 
-    // Sort portfolio data by company first, then alphabetically within each company
-    const sortedPortfolioData = [...portfolioData].sort((a, b) => {
-      // First sort by company (MikMak first, then LogMeIn, then DataXu)
-      const companyOrder = { 'mikmak': 0, 'logmein': 1, 'dataxu': 2 };
-      const aCompanyOrder = companyOrder[a.company.toLowerCase()] ?? 999;
-      const bCompanyOrder = companyOrder[b.company.toLowerCase()] ?? 999;
-
-      if (aCompanyOrder !== bCompanyOrder) {
-        return aCompanyOrder - bCompanyOrder;
-      }
-
-      // Within the same company, sort alphabetically by title
-      return a.title.localeCompare(b.title);
-    });
+    // Sort portfolio data with the configured index strategy (see portfolio-sort.mjs)
+    const sortedPortfolioData = sortPortfolioItems(portfolioData, PORTFOLIO_CONFIG.sorting.index, PORTFOLIO_CONFIG);
 
     // Generate HTML for all portfolio cards
     const cardsHtml = await Promise.all(sortedPortfolioData.map(async section => {
@@ -696,48 +764,7 @@ async function generatePortfolioIndexPage(portfolioData) {
         console.warn(`Missing responsive images for ${section.path}. Using base image as fallback.`);
       }
 
-      // Generate tags HTML (show up to 5 tags from all categories in order)
-      let tagsHtml = '';
-      if (section.tags && section.tags.length > 0) {
-        // Sort tags by category order: TagCategory1, TagCategory2, TagCategory3
-        const categoryOrder = { TagCategory1: 1, TagCategory2: 2, TagCategory3: 3 };
-        const orderedTags = section.tags.slice().sort((a, b) => {
-          return (categoryOrder[a.category] || 99) - (categoryOrder[b.category] || 99);
-        });
-        const displayTags = orderedTags.slice(0, 5);
-        const moreCount = orderedTags.length > 5 ? orderedTags.length - 5 : 0;
-        const moreIndicator = moreCount > 0 ? `<span class="portfolio-tag portfolio-tag--more">+${moreCount} more</span>` : '';
-        tagsHtml = `
-            <div class="card--tags">
-              ${displayTags.map(tag => `<span class="portfolio-tag">${tag.name}</span>`).join('')}${moreIndicator}
-            </div>`;
-      }
-
-      return `
-        <a class="card" href="${section.path}">
-          <div class="card--details">
-            <h2>${section.title}</h2>
-            <div class="card--company-logo">
-              <img src="/assets/images/portfolio/company-logo--${section.company}.svg" alt="${section.company} logo">
-            </div>${tagsHtml}
-          </div>
-          <picture>
-            <source
-              srcset="${section.imageBase}-320w.webp 320w, ${section.imageBase}-640w.webp 640w, ${section.imageBase}-960w.webp 960w, ${section.imageBase}-1200w.webp 1200w, ${section.imageBase}-1800w.webp 1800w"
-              type="image/webp"
-            />
-            <img
-              src="${section.imageBase}.png"
-              alt="${section.description || ''}"
-              width="1200"
-              height="648"
-              loading="lazy"
-              srcset="${section.imageBase}-320w.png 320w, ${section.imageBase}-640w.png 640w, ${section.imageBase}-960w.png 960w, ${section.imageBase}-1200w.png 1200w, ${section.imageBase}-1800w.png 1800w"
-              sizes="(max-width: 1200px) 100vw, 1200px"
-            />
-          </picture>
-        </a>
-      `;
+      return renderCard(section, 'index', PORTFOLIO_CONFIG);
     }));
 
     // Replace the cards container content (use comment marker if available)
@@ -758,6 +785,20 @@ async function generatePortfolioIndexPage(portfolioData) {
       return false;
     }
 
+    // Add the tag filter bar above the cards (at the build insert comment if there is one)
+    const filtersHtml = renderPortfolioFilters(sortedPortfolioData);
+    if (filtersHtml && !indexHtml.includes('class="portfolio-filters"')) {
+      const filtersPlaceholder = '<!-- BUILD_INSERT id="portfolio-filters" -->';
+      indexHtml = indexHtml.includes(filtersPlaceholder)
+        ? indexHtml.replace(filtersPlaceholder, () => filtersHtml)
+        : indexHtml.replace('<div class="cards staggered-animation">', match => `${filtersHtml}\n        ${match}`);
+
+      const filterScriptPath = path.join(PUBLIC_HTML_DIR, FILTER_SCRIPT_URL);
+      copyFile(FILTER_SCRIPT_SOURCE, filterScriptPath);
+      recordFilesTouched([filterScriptPath]);
+      indexHtml = indexHtml.replace('</body>', () => `  <script src="${FILTER_SCRIPT_URL}?v={{VERSION}}" defer></script>\n</body>`);
+    }
+
     // Remove the script tag for portfolio-cards.js
     indexHtml = indexHtml.replace(
       /<script src="\/js\/portfolio-cards\.js[^>]*><\/script>/,
@@ -765,7 +806,8 @@ async function generatePortfolioIndexPage(portfolioData) {
     );
 
     // Write the modified file
-    await fs.promises.writeFile(indexPath, indexHtml, 'utf8');
+    writeTextFile(indexPath, indexHtml);
+    recordFilesTouched([indexPath]);
     console.log('✓ Portfolio index page generated successfully');
     return true;
   } catch (error) {
@@ -806,7 +848,9 @@ async function generateNextProjectSections(nextProjectMap) {
 
       try {
         // Check if file exists
-        await fs.promises.access(filePath);
+        if (!fileExists(filePath)) {
+          throw new Error(`File not found: ${filePath}`);
+        }
 
         // Get the next project data
         const nextProject = nextProjectMap[pagePath];
@@ -817,82 +861,14 @@ async function generateNextProjectSections(nextProjectMap) {
           console.warn(`Missing responsive images for next project: ${nextProject.path}. Will use base image as fallback.`);
         }
 
-        // Define available sizes for responsive images
-        const availableSizes = [320, 640, 960, 1200];
-
-        // Create srcset strings
-        const webpSrcset = availableSizes
-          .map(size => `${nextProject.imageBase}-${size}w.webp ${size}w`)
-          .join(', ');
-
-        const pngSrcset = availableSizes
-          .map(size => `${nextProject.imageBase}-${size}w.png ${size}w`)
-          .join(', ');
-
-        // Generate tags HTML for next project (same logic as main cards)
-        let nextProjectTagsHtml = '';
-        if (nextProject.tags && nextProject.tags.length > 0) {
-          // Estimate character width per line (adjust based on your card width and font size)
-          const avgCharsPerLine = 30; // Increased for smaller font size
-          const maxLines = 2; // Maximum lines of tags we want
-          const maxChars = avgCharsPerLine * maxLines;
-
-          const displayTags = [];
-          let currentChars = 0;
-
-          for (const tag of nextProject.tags) {
-            const tagLength = tag.name.length + 2; // +2 for spacing/padding
-            if (currentChars + tagLength <= maxChars) {
-              displayTags.push(tag);
-              currentChars += tagLength;
-            } else {
-              break;
-            }
-          }
-
-          // Calculate remaining tags specifically for "more" indicator
-          const moreCount = nextProject.tags.length > displayTags.length ? nextProject.tags.length - displayTags.length : 0;
-          const moreIndicator = moreCount > 0 ? `<span class="portfolio-tag portfolio-tag--more">+${moreCount} more</span>` : '';
+        const nextProjectHTML = renderCard(nextProject, 'next-project', PORTFOLIO_CONFIG);
 
-          nextProjectTagsHtml = `
-                <div class="card--tags">
-                  ${displayTags.map(tag => `<span class="portfolio-tag">${tag.name}</span>`).join('')}${moreIndicator}
-                </div>`;
+        // Ensure next-project container exists
+        const projectHtml = readTextFile(filePath);
+        if (!projectHtml.includes('<div class="next-project-container">') && projectHtml.includes('</main>')) {
+          writeTextFile(filePath, projectHtml.replace('</main>', () => '<div class="next-project-container"></div>\n</main>'));
         }
 
-        // Generate the next project card HTML
-        const nextProjectHTML = `
-          <div class="cards">
-            <a class="card" href="${nextProject.path}">
-              <div class="card--details">
-                <p><strong>Up Next</strong></p>
-                <h2>${nextProject.title}</h2>
-                <div class="card--company-logo">
-                  <img src="/assets/images/portfolio/company-logo--${nextProject.company}.svg" alt="${nextProject.company} logo">
-                </div>${nextProjectTagsHtml}
-              </div>
-              <picture>
-                <source
-                  srcset="${webpSrcset}"
-                  type="image/webp"
-                  onerror="this.onerror=null; this.srcset=''; this.parentNode.style.display='none';"
-                />
-                <img
-                  id="featured--image_preview"
-                  src="${nextProject.imageBase}.png"
-                  alt="Preview of ${nextProject.title}"
-                  loading="lazy"
-                  width="1880"
-                  height="1000"
-                  srcset="${pngSrcset}"
-                  sizes="(max-width: 1200px) 100vw, 1200px"
-                  onerror="this.onerror=null; this.srcset=''; this.src='/assets/images/placeholder-project.png';"
-                />
-              </picture>
-            </a>
-          </div>
-        `;
-
         // Replace the next project container content
         const updated = await updateHtmlContent(
           filePath,
@@ -905,12 +881,13 @@ async function generateNextProjectSections(nextProjectMap) {
 
         if (updated) {
           // Also remove the script tag for next-project.js
-          let pageHtml = await fs.promises.readFile(filePath, 'utf8');
+          let pageHtml = readTextFile(filePath);
           pageHtml = pageHtml.replace(
             /<script src="\/js\/next-project\.js[^>]*><\/script>/,
             '<!-- Script removed: next-project is now static -->'
           );
-          await fs.promises.writeFile(filePath, pageHtml, 'utf8');
+          writeTextFile(filePath, pageHtml);
+          recordFilesTouched([filePath]);
 
           console.log(`✓ Next project section generated for ${pagePath}`);
           successful++;
@@ -932,15 +909,61 @@ async function generateNextProjectSections(nextProjectMap) {
   }
 }
 
+const RELATED_PLACEHOLDER = '<!-- BUILD_INSERT id="related" -->';
+
+/**
+ * Generates the "Related work" section of every portfolio page
+ * Pages without the related build insert comment are left alone; when a project
+ * has no related projects the comment is removed.
+ * @param {Array} portfolioData - Listed portfolio items
+ * @param {Object} nextProjectMap - Mapping of current pages to next project data (never repeated as related)
+ * @returns {number} - Number of pages that got a related section
+ */
+function generateRelatedSections(portfolioData, nextProjectMap) {
+  const { count, weights } = PORTFOLIO_CONFIG.related;
+  const candidates = sortPortfolioItems(portfolioData, PORTFOLIO_CONFIG.sorting.index, PORTFOLIO_CONFIG);
+  let generated = 0;
+
+  for (const item of portfolioData) {
+    const pagePath = path.join(PUBLIC_HTML_DIR, item.path, 'index.html');
+    if (!fileExists(pagePath)) {
+      continue;
+    }
+    const pageHtml = readTextFile(pagePath);
+    if (!pageHtml.includes(RELATED_PLACEHOLDER)) {
+      continue;
+    }
+
+    const nextProjectPath = nextProjectMap[item.path]?.path;
+    const related = findRelatedProjects(item, candidates, { count, weights, exclude: nextProjectPath ? [nextProjectPath] : [] });
+    const sectionHtml = related.length === 0 ? '' : html`<section class="related-projects" aria-labelledby="related-projects--heading">
+          <h2 id="related-projects--heading">Related work</h2>
+          <div class="cards cards--compact">
+            ${related.map(project => rawHtml(renderCard(project, 'compact', PORTFOLIO_CONFIG)))}
+          </div>
+        </section>`.toString();
+
+    writeTextFile(pagePath, pageHtml.replace(RELATED_PLACEHOLDER, () => sectionHtml));
+    recordFilesTouched([pagePath]);
+    if (related.length > 0) {
+      console.log(`✓ Related work for ${item.path}: ${related.map(project => project.path).join(', ')}`);
+      generated++;
+    }
+  }
+
+  console.log(`✓ Related sections generated: ${generated}`);
+  return generated;
+}
+
 // === CAROUSEL TRANSFORMATION LOGIC ===
 /**
  * Transforms simplified .carousel-source markup into full production carousel HTML
- * @param {string} html - HTML content
- * @returns {string} - HTML with carousels transformed
+ * @param {Function} $ - Parsed page (cheerio)
+ * @returns {number} - Number of carousels transformed
  */
-function transformCarouselsInHtml(html) {
-  const $ = cheerio.load(html, { decodeEntities: false });
-  $('.carousel-source').each(function () {
+function transformCarouselsInPage($) {
+  const $carousels = $('.carousel-source');
+  $carousels.each(function () {
     const $carousel = $(this);
     const ariaLabel = $carousel.attr('aria-label') || '';
     const slides = [];
@@ -989,120 +1012,81 @@ function transformCarouselsInHtml(html) {
     `;
     $carousel.replaceWith(carouselHtml);
   });
-  return $.html();
+  return $carousels.length;
+}
+
+/**
+ * Creates the carousels page transform (see ../page-transforms.mjs)
+ * @returns {Object} - Page transform
+ */
+function createCarouselsTransform() {
+  return {
+    transform: ({ $ }) => transformCarouselsInPage($)
+  };
 }
 
 // === INTEGRATE CAROUSEL TRANSFORMATION INTO BUILD ===
+/**
+ * Transforms the carousels of all HTML files in a directory
+ * The build runs this transform in the transform-pages step together with the others.
+ * @param {string} dir - Directory to process
+ * @returns {Promise<number>} - Number of files with carousels
+ */
 async function transformCarouselsInAllHtmlFiles(dir) {
-  const exts = ['.html'];
-  const files = [];
-  function walk(currentDir) {
-    for (const entry of fs.readdirSync(currentDir)) {
-      const fullPath = path.join(currentDir, entry);
-      if (fs.statSync(fullPath).isDirectory()) {
-        walk(fullPath);
-      } else if (exts.includes(path.extname(fullPath))) {
-        files.push(fullPath);
-      }
-    }
-  }
-  walk(dir);
-  for (const file of files) {
-    let html = await fs.promises.readFile(file, 'utf8');
-    if (html.includes('carousel-source')) {
-      const transformed = transformCarouselsInHtml(html);
-      await fs.promises.writeFile(file, transformed, 'utf8');
-      console.log(`✓ Carousel transformed in ${file}`);
-    }
-  }
+  const { transforms } = await transformPages(dir, { transforms: ['carousels'] });
+  console.log(`✓ Carousels transformed in ${transforms.carousels.pages} files`);
+  return transforms.carousels.pages;
 }
 
+// === TAG INJECTION LOGIC ===
 /**
- * Applies fixHtml to all HTML files in a directory
- * @param {string} dir - Directory to process
+ * Creates the tags page transform (see ../page-transforms.mjs)
+ * Links each listed project page to the tag pages of its tags in
+ * data/portfolio-items.json, which buildPortfolio writes, so the page shows
+ * the tags its cards and tag pages list. Draft, unlisted and scheduled pages
+ * get their tags from UNPUBLISHED_TAGS_FILE in the build directory.
+ * @param {Object} options - Transform options (none)
+ * @param {Object} site - { buildDir, publicHtmlDir }
+ * @returns {Promise<Object|null>} - Page transform, or null before the portfolio has been built
  */
-async function fixHtmlInAllFiles(dir) {
-  const exts = ['.html'];
-  const files = [];
-  function walk(currentDir) {
-    for (const entry of fs.readdirSync(currentDir)) {
-      const fullPath = path.join(currentDir, entry);
-      if (fs.statSync(fullPath).isDirectory()) {
-        walk(fullPath);
-      } else if (exts.includes(path.extname(fullPath))) {
-        files.push(fullPath);
-      }
-    }
+async function createTagsTransform(options, { buildDir, publicHtmlDir }) {
+  const portfolioItemsFile = path.join(publicHtmlDir, 'data/portfolio-items.json');
+  if (!fileExists(portfolioItemsFile)) {
+    return null;
   }
-  walk(dir);
-
-  let scriptsInjected = 0;
-  for (const file of files) {
-    let html = await fs.promises.readFile(file, 'utf8');
-    const fixedHtml = fixHtml(html);
-    if (fixedHtml !== html) {
-      await fs.promises.writeFile(file, fixedHtml, 'utf8');
-      console.log(`✓ Scripts injected in ${path.relative(dir, file)}`);
-      scriptsInjected++;
-    }
+  if (!TAG_DICTIONARY) {
+    applyPortfolioConfig(await loadPortfolioConfig());
   }
 
-  console.log(`✓ Feature scripts injected in ${scriptsInjected} files`);
+  const portfolioItems = JSON.parse(readTextFile(portfolioItemsFile));
+  const unpublishedTagsFile = path.join(buildDir, UNPUBLISHED_TAGS_FILE);
+  const projectTags = [
+    ...portfolioItems.map(item => [item.path, item.tags || []]),
+    ...(fileExists(unpublishedTagsFile) ? Object.entries(JSON.parse(readTextFile(unpublishedTagsFile))) : [])
+  ];
+
+  // Project paths are relative to public_html (e.g., "/portfolio/company/project/")
+  const tagsByPage = new Map(projectTags
+    .map(([projectPath, tags]) => [path.join(projectPath.substring(1), projectPath.endsWith('/') ? 'index.html' : ''), tags]));
+  // Tag pages are generated for the tags of the listed projects (see generateTagPages)
+  const tagPageSlugs = new Set(portfolioItems.flatMap(item => (item.tags || []).map(tag => tag.slug)));
+
+  return {
+    transform: ({ $, relativePath }) => tagsByPage.has(relativePath) ? injectTagsIntoPage($, tagsByPage.get(relativePath), tagPageSlugs) : 0
+  };
 }
 
-// === TAG INJECTION LOGIC ===
 /**
  * Injects clickable tags into all portfolio HTML files
- * @param {Array} portfolioData - Array of portfolio items with tags
+ * The build runs this transform in the transform-pages step together with the others.
+ * @param {string} buildDir - Build directory with the built portfolio data (default: the last built one)
  * @returns {Promise<number>} - Number of files processed
  */
-async function injectTagsInAllHtmlFiles(portfolioData) {
-  try {
-    console.log('Injecting clickable tags into portfolio pages...');
-
-    let filesProcessed = 0;
-
-    for (const item of portfolioData) {
-      if (!item.tags || item.tags.length === 0) {
-        continue;
-      }
-
-      // Find the file path based on the URL path
-      // item.path is relative to public_html (e.g., "/portfolio/company/project/")
-      const filePath = path.join(
-        PUBLIC_HTML_DIR,
-        item.path.endsWith('/')
-          ? `${item.path.substring(1)}index.html`
-          : item.path.substring(1)
-      );
-
-      try {
-        // Check if file exists
-        await fs.promises.access(filePath);
-
-        // Read the file
-        let html = await fs.promises.readFile(filePath, 'utf8');
-
-        // Inject tags
-        const updatedHtml = injectTagsIntoHtml(html, item.tags);
-
-        if (updatedHtml !== html) {
-          await fs.promises.writeFile(filePath, updatedHtml, 'utf8');
-          console.log(`✓ Tags injected in ${item.path}`);
-          filesProcessed++;
-        }
-      } catch (error) {
-        console.warn(`Could not process tags for ${item.path}:`, error.message);
-      }
-    }
-
-    console.log(`✓ Tags injected in ${filesProcessed} portfolio pages`);
-    return filesProcessed;
-
-  } catch (err) {
-    console.error('Error injecting tags:', err.message);
-    return 0;
-  }
+async function injectTagsInAllHtmlFiles(buildDir = BUILD_DIR) {
+  console.log('Injecting clickable tags into portfolio pages...');
+  const { transforms } = await transformPages(buildDir, { transforms: ['tags'] });
+  console.log(`✓ Tags injected in ${transforms.tags.pages} portfolio pages`);
+  return transforms.tags.pages;
 }
 
 // === TAG PAGE GENERATION ===
@@ -1121,10 +1105,12 @@ async function generateTagPages(portfolioData) {
     for (const item of portfolioData) {
       if (item.tags && item.tags.length > 0) {
         for (const tag of item.tags) {
+          // Item tags are canonical (see resolveTags), so aliases share one page
           if (!tagMap.has(tag.slug)) {
             tagMap.set(tag.slug, {
               name: tag.name,
               slug: tag.slug,
+              category: tag.category,
               items: []
             });
           }
@@ -1138,15 +1124,15 @@ async function generateTagPages(portfolioData) {
     let template;
 
     try {
-      template = await fs.promises.readFile(templatePath, 'utf8');
+      template = readTextFile(templatePath);
     } catch (error) {
       // If template doesn't exist, create a basic one
       console.warn('Tag template not found, creating basic template...');
       template = `<!doctype html>
 <html lang="en">
 <head>
-  <meta name="description" content="Explore Dan Reis's UX design portfolio items tagged with {{TAG_NAME}}." />
-  <title>Product Design Portfolio | {{TAG_NAME}} | Dan Reis</title>
+  <meta name="description" content="Explore {{AUTHOR_NAME}}'s UX design portfolio items tagged with {{TAG_NAME}}." />
+  <title>Product Design Portfolio | {{TAG_NAME}} | {{AUTHOR_NAME}}</title>
   <!-- BUILD_INSERT id="head" -->
   <link rel="stylesheet" href="/styles/page-portfolio.css?v={{VERSION}}" />
 </head>
@@ -1154,8 +1140,9 @@ async function generateTagPages(portfolioData) {
   <!-- HEADER SECTION: Navigation and Title -->
   <div class="wrapper">
     <!-- BUILD_INSERT id="nav" -->
+    <!-- BUILD_INSERT id="breadcrumbs" -->
     <header role="banner">
-      <h1>{{TAG_CATEGORY}}: {{TAG_NAME}}</h1>
+      <h1 data-breadcrumb="{{TAG_NAME}}">{{TAG_CATEGORY}}: {{TAG_NAME}}</h1>
       <a href="/portfolio/tags/" class="tag-index-link">[All tags]</a>
     </header>
   </div>
@@ -1178,23 +1165,8 @@ async function generateTagPages(portfolioData) {
     for (const [slug, tagData] of tagMap) {
       const tagDir = path.join(PUBLIC_HTML_DIR, 'portfolio', 'tags', slug);
 
-      // Create directory if it doesn't exist
-      await fs.promises.mkdir(tagDir, { recursive: true });
-
-      // Sort tag page items by company order (same as main portfolio)
-      const companyOrder = { 'mikmak': 0, 'logmein': 1, 'dataxu': 2 };
-      const sortedItems = [...tagData.items].sort((a, b) => {
-        // First sort by company (MikMak first, then LogMeIn, then DataXu)
-        const aCompanyOrder = companyOrder[a.company.toLowerCase()] ?? 999;
-        const bCompanyOrder = companyOrder[b.company.toLowerCase()] ?? 999;
-
-        if (aCompanyOrder !== bCompanyOrder) {
-          return aCompanyOrder - bCompanyOrder;
-        }
-
-        // Within the same company, sort alphabetically by title
-        return a.title.localeCompare(b.title);
-      });
+      // Sort tag page items with the configured tag page strategy
+      const sortedItems = sortPortfolioItems(tagData.items, PORTFOLIO_CONFIG.sorting.tagPages, PORTFOLIO_CONFIG);
 
       // Generate HTML for portfolio cards
       const cardsHtml = await Promise.all(sortedItems.map(async item => {
@@ -1204,75 +1176,22 @@ async function generateTagPages(portfolioData) {
           console.warn(`Missing responsive images for ${item.path}. Using base image as fallback.`);
         }
 
-        // Generate tags HTML (limit based on estimated line count for consistent heights)
-        let tagsHtml = '';
-        if (item.tags && item.tags.length > 0) {
-          // Estimate character width per line (adjust based on your card width and font size)
-          const avgCharsPerLine = 30; // Increased for smaller font size
-          const maxLines = 2; // Maximum lines of tags we want
-          const maxChars = avgCharsPerLine * maxLines;
-
-          const displayTags = [];
-          let currentChars = 0;
-
-          for (const tag of item.tags) {
-            const tagLength = tag.name.length + 2; // +2 for spacing/padding
-            if (currentChars + tagLength <= maxChars) {
-              displayTags.push(tag);
-              currentChars += tagLength;
-            } else {
-              break;
-            }
-          }
-
-          // Calculate remaining tags specifically for "more" indicator
-          const moreCount = item.tags.length > displayTags.length ? item.tags.length - displayTags.length : 0;
-          const moreIndicator = moreCount > 0 ? `<span class="portfolio-tag portfolio-tag--more">+${moreCount} more</span>` : '';
-
-          tagsHtml = `
-            <div class="card--tags">
-              ${displayTags.map(tag => `<span class="portfolio-tag">${tag.name}</span>`).join('')}${moreIndicator}
-            </div>`;
-        }
-
-        return `
-        <a class="card" href="${item.path}">
-          <div class="card--details">
-            <h2>${item.title}</h2>
-            <div class="card--company-logo">
-              <img src="/assets/images/portfolio/company-logo--${item.company}.svg" alt="${item.company} logo">
-            </div>${tagsHtml}
-          </div>
-          <picture>
-            <source
-              srcset="${item.imageBase}-320w.webp 320w, ${item.imageBase}-640w.webp 640w, ${item.imageBase}-960w.webp 960w, ${item.imageBase}-1200w.webp 1200w, ${item.imageBase}-1800w.webp 1800w"
-              type="image/webp"
-            />
-            <img
-              src="${item.imageBase}.png"
-              alt="${item.description || ''}"
-              width="1200"
-              height="648"
-              loading="lazy"
-              srcset="${item.imageBase}-320w.png 320w, ${item.imageBase}-640w.png 640w, ${item.imageBase}-960w.png 960w, ${item.imageBase}-1200w.png 1200w, ${item.imageBase}-1800w.png 1800w"
-              sizes="(max-width: 1200px) 100vw, 1200px"
-            />
-          </picture>
-        </a>
-      `;
+        return renderCard(item, 'tag', PORTFOLIO_CONFIG);
       }));
 
       // Replace template placeholders
       const tagCategory = tagData.category || 'TagCategory1'; // Use the tag's existing category
       const displayCategory = TAG_CATEGORIES[tagCategory] || tagCategory; // Fallback to category if not found
-      let tagPageHtml = template
-        .replace(/{{TAG_NAME}}/g, tagData.name)
-        .replace(/{{TAG_CATEGORY}}/g, displayCategory)
-        .replace(/          <!-- Portfolio cards for this tag will be dynamically inserted here -->/, cardsHtml.join('\n          '));
+      let tagPageHtml = fillTemplate(template, {
+        TAG_NAME: tagData.name,
+        AUTHOR_NAME: PORTFOLIO_CONFIG.author,
+        TAG_CATEGORY: displayCategory
+      }).replace(/          <!-- Portfolio cards for this tag will be dynamically inserted here -->/, () => cardsHtml.join('\n          '));
 
       // Write the tag page
       const tagPagePath = path.join(tagDir, 'index.html');
-      await fs.promises.writeFile(tagPagePath, tagPageHtml, 'utf8');
+      writeTextFile(tagPagePath, tagPageHtml);
+      recordFilesTouched([tagPagePath]);
 
       console.log(`✓ Generated tag page for "${tagData.name}" at ${tagPagePath}`);
       generatedPages++;
@@ -1316,7 +1235,7 @@ async function generateTagIndexPage(portfolioData) {
       }
     }
 
-    // Group tags by category and sort alphabetically within each category
+    // Group tags by category; the tag index settings decide the order within each group
     const tagsByCategory = {
       TagCategory1: [],
       TagCategory2: [],
@@ -1330,18 +1249,30 @@ async function generateTagIndexPage(portfolioData) {
       }
     });
 
-    // Sort tags within each category alphabetically
-    Object.keys(tagsByCategory).forEach(category => {
-      tagsByCategory[category].sort((a, b) => a.name.localeCompare(b.name));
-    });
+    // Cloud weights are scaled across the whole page so groups can be compared
+    const counts = Array.from(tagMap.values()).map(tag => tag.count);
+    const countRange = { min: Math.min(...counts), max: Math.max(...counts) };
+
+    const tagGroups = [
+      { category: 'Company', heading: 'Company Tags', intro: 'Projects organized by company and client work.' },
+      { category: 'TagCategory1', heading: TAG_CATEGORIES.TagCategory1 },
+      { category: 'TagCategory2', heading: TAG_CATEGORIES.TagCategory2 },
+      { category: 'TagCategory3', heading: TAG_CATEGORIES.TagCategory3 }
+    ];
+    const renderTagGroup = ({ category, heading, intro }) => html`<!-- SECTION: ${category} Tags -->
+                <section class="solution">
+                    <h2>${heading}</h2>${intro ? html`
+                    <p>${intro}</p>` : ''}
+                    ${renderTagIndexGroup(tagsByCategory[category], PORTFOLIO_CONFIG.tagIndex, countRange)}
+                </section>`;
 
     // Create the tag index HTML using portfolio page template structure
-    const tagIndexHtml = `<!doctype html>
+    const tagIndexHtml = html`<!doctype html>
 <html lang="en">
 
 <head>
-    <meta name="description" content="Browse Dan Reis's UX design portfolio by tags and skills including UX Design, Prototyping, User Research, and more." />
-    <title>Portfolio Tags & Skills | Dan Reis</title>
+    <meta name="description" content="Browse ${PORTFOLIO_CONFIG.author}'s UX design portfolio by tags and skills including UX Design, Prototyping, User Research, and more." />
+    <title>Portfolio Tags & Skills | ${PORTFOLIO_CONFIG.author}</title>
     <!-- BUILD_INSERT id="head" -->
     <link rel="stylesheet" href="/styles/page-portfolio.css?v={{VERSION}}" />
 </head>
@@ -1350,69 +1281,30 @@ async function generateTagIndexPage(portfolioData) {
     <!-- HEADER SECTION: Navigation and Title -->
     <div class="wrapper">
         <!-- BUILD_INSERT id="nav" -->
+        <!-- BUILD_INSERT id="breadcrumbs" -->
         <!-- Header -->
         <header role="banner">
-            <h1>Portfolio Tags & Skills</h1>
+            <h1 data-breadcrumb="Tags">Portfolio Tags & Skills</h1>
         </header>
     </div>
     <!-- MAIN CONTENT -->
     <main role="main" id="main-content">
         <div class="wrapper">
             <div class="content-wrapper">
-                <!-- SECTION: Company Tags -->
-                <section class="solution">
-                    <h2>Company Tags</h2>
-                    <p>Projects organized by company and client work.</p>
-                    <ul class="tag-list">
-                        ${tagsByCategory.Company.map(tag =>
-      `<li><a href="/portfolio/tags/${tag.slug}/">${tag.name}</a> <span class="tag-count">(${tag.count} project${tag.count !== 1 ? 's' : ''})</span></li>`
-    ).join('\n                        ')}
-                    </ul>
-                </section>
-
-                <!-- SECTION: TagCategory1 Tags -->
-                <section class="solution">
-                    <h2>${TAG_CATEGORIES.TagCategory1}</h2>
-                    <ul class="tag-list">
-                        ${tagsByCategory.TagCategory1.map(tag =>
-      `<li><a href="/portfolio/tags/${tag.slug}/">${tag.name}</a> <span class="tag-count">(${tag.count} project${tag.count !== 1 ? 's' : ''})</span></li>`
-    ).join('\n                        ')}
-                    </ul>
-                </section>
-
-                <!-- SECTION: TagCategory2 Tags -->
-                <section class="solution">
-                    <h2>${TAG_CATEGORIES.TagCategory2}</h2>
-                    <ul class="tag-list">
-                        ${tagsByCategory.TagCategory2.map(tag =>
-      `<li><a href="/portfolio/tags/${tag.slug}/">${tag.name}</a> <span class="tag-count">(${tag.count} project${tag.count !== 1 ? 's' : ''})</span></li>`
-    ).join('\n                        ')}
-                    </ul>
-                </section>
-
-                <!-- SECTION: TagCategory3 Tags -->
-                <section class="solution">
-                    <h2>${TAG_CATEGORIES.TagCategory3}</h2>
-                    <ul class="tag-list">
-                        ${tagsByCategory.TagCategory3.map(tag =>
-      `<li><a href="/portfolio/tags/${tag.slug}/">${tag.name}</a> <span class="tag-count">(${tag.count} project${tag.count !== 1 ? 's' : ''})</span></li>`
-    ).join('\n                        ')}
-                    </ul>
-                </section>
+                ${rawHtml(tagGroups.map(renderTagGroup).join('\n\n                '))}
             </div>
         </div>
     </main>
     <!-- BUILD_INSERT id="footer" -->
 </body>
 
-</html>`;
+</html>`.toString();
 
     // Write the tag index page
     const tagIndexDir = path.join(PUBLIC_HTML_DIR, 'portfolio', 'tags');
-    await fs.promises.mkdir(tagIndexDir, { recursive: true });
-
     const tagIndexPath = path.join(tagIndexDir, 'index.html');
-    await fs.promises.writeFile(tagIndexPath, tagIndexHtml, 'utf8');
+    writeTextFile(tagIndexPath, tagIndexHtml);
+    recordFilesTouched([tagIndexPath]);
 
     console.log(`✓ Generated tag index page with ${Object.values(tagsByCategory).flat().length} tags organized by category at ${tagIndexPath}`);
     return true;
@@ -1427,26 +1319,32 @@ async function generateTagIndexPage(portfolioData) {
 /**
  * Main function that orchestrates all portfolio processing steps
  * @param {string} buildDir - Build directory path (defaults to './build/temp')
+ * @param {Object} options - Stage options
+ * @param {string} options.sourceDir - Source site the portfolio metadata is read from (defaults to './public_html')
+ * @returns {Promise<Object>} - Counts of the processed projects and generated pages
  */
-async function main(buildDir = './build/temp') {
+async function buildPortfolio(buildDir = './build/temp', { sourceDir = './public_html' } = {}) {
   console.log('\n📁 Starting portfolio build process...');
 
   // Update global paths to use the correct buildDir
   updateGlobalPaths(buildDir);
+  applyPortfolioConfig(await loadPortfolioConfig());
+  // Fail before any page is generated if a card variant is missing
+  loadCardTemplates();
 
   try {
     const portfolioDir = path.join(buildDir, 'public_html', 'portfolio');
 
-    if (!fs.existsSync(portfolioDir)) {
-      console.error(`Portfolio directory not found: ${portfolioDir}`);
-      process.exit(1);
+    if (!directoryExists(portfolioDir)) {
+      throw new Error(`Portfolio directory not found: ${portfolioDir}`);
     }
 
     console.log('✓ Portfolio directory found');    // Step 1: Collect and validate portfolio data
     console.log('\n1. 📊 Collecting portfolio data...');
     const portfolioData = [];
+    const unpublishedProjects = [];
 
-    const sourcePortfolioDir = './public_html/portfolio';
+    const sourcePortfolioDir = path.join(sourceDir, 'portfolio');
     const files = fs.readdirSync(sourcePortfolioDir, { withFileTypes: true });
 
     for (const dirent of files) {
@@ -1459,29 +1357,58 @@ async function main(buildDir = './build/temp') {
             const sourceIndexPath = path.join(sourceCompanyDir, projectDirent.name, 'index.html');
 
             if (fs.existsSync(sourceIndexPath)) {
-              try {
-                const html = await fs.promises.readFile(sourceIndexPath, 'utf8');
-                // Extract tags from source HTML
-                const tags = parseAllTagsFromHtml(html, sourceIndexPath);
+              const html = readTextFile(sourceIndexPath);
+
+              // Declared metadata (project.json or front matter) - invalid metadata fails the build
+              const declared = readProjectMetadata(path.join(sourceCompanyDir, projectDirent.name), html);
+              if (declared) {
+                console.log(`  ✓ Using project metadata from ${path.basename(declared.source)} for ${projectDirent.name}`);
+              }
 
+              // Extract tags from source HTML unless they are declared
+              const tags = declared?.tags
+                ? createTagsFromMetadata(declared.tags, dirent.name, declared.source)
+                : parseAllTagsFromHtml(html, sourceIndexPath);
+
+              // Drafts, unlisted and not yet scheduled projects are built but never listed
+              const status = resolveProjectStatus(declared);
+              if (status !== 'published') {
+                console.log(`  ⏭️ Not listing ${declared.status} project: ${dirent.name}/${projectDirent.name}`);
+                unpublishedProjects.push({
+                  company: dirent.name,
+                  project: projectDirent.name,
+                  path: `/portfolio/${dirent.name}/${projectDirent.name}/`,
+                  status,
+                  declaredStatus: declared.status,
+                  publishDate: declared.publishDate,
+                  tags
+                });
+                continue;
+              }
+
+              try {
                 // Build metadata manually for data collection
                 const relativePath = `/portfolio/${dirent.name}/${projectDirent.name}/`;
 
-                // Extract basic metadata from HTML
+                // Extract basic metadata from HTML where it is not declared
                 const h1Match = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/);
                 const descMatch = html.match(/<meta\s+name="description"\s+content="([^"]+)"/);
+                // Scraped text is entity-encoded, declared metadata is plain text
+                const title = declared?.title || (h1Match && decodeHtmlEntities(h1Match[1].replace(/<[^>]+>/g, '').trim()));
+                const description = declared?.summary || (descMatch && decodeHtmlEntities(descMatch[1].trim()));
 
-                if (h1Match && descMatch) {
-                  const title = h1Match[1].replace(/<[^>]+>/g, '').trim();
-                  const description = descMatch[1].trim();
-
+                if (title && description) {
                   const metadata = {
                     path: relativePath,
                     title: title,
                     description: description,
                     company: dirent.name.toLowerCase(),
                     imageBase: `/assets/images/portfolio/${dirent.name}/${projectDirent.name}/featured--cover`,
-                    tags: tags
+                    tags: tags,
+                    date: declared?.date,
+                    role: declared?.role,
+                    featured: declared?.featured || false,
+                    weight: declared?.weight
                   };
 
                   portfolioData.push(metadata);
@@ -1497,51 +1424,115 @@ async function main(buildDir = './build/temp') {
 
     console.log(`✓ Collected metadata for ${portfolioData.length} portfolio projects`);
 
+    // Mark unpublished pages and record the drafts, which releases leave out
+    markUnpublishedPages(unpublishedProjects);
+    writeDraftsManifest(buildDir, unpublishedProjects.filter(project => project.status === 'draft'));
+
     // Write portfolio data (including tags) to JSON for downstream use
-    await fs.promises.writeFile(OUTPUT_FILE, JSON.stringify(portfolioData, null, 2), 'utf8');
+    writeTextFile(OUTPUT_FILE, JSON.stringify(portfolioData, null, 2));
+    recordFilesTouched([OUTPUT_FILE]);
     console.log(`✓ Wrote portfolio data with tags to ${OUTPUT_FILE}`);
 
-    // Step 2: Transform carousel markup
-    console.log('\n2. 🎠 Transforming carousel markup...');
-    await transformCarouselsInAllHtmlFiles(path.join(buildDir, 'public_html'));
-
-    // Step 2.5: Fix HTML by injecting required scripts (carousel.js, zoomable-image.js)
-    console.log('\n2.5 🔧 Injecting required feature scripts...');
-    await fixHtmlInAllFiles(path.join(buildDir, 'public_html'));
+    // Tags of the pages built but not listed, for the tags transform; kept out of public_html
+    const unpublishedTagsFile = path.join(buildDir, UNPUBLISHED_TAGS_FILE);
+    writeTextFile(unpublishedTagsFile, JSON.stringify(Object.fromEntries(unpublishedProjects.map(project => [project.path, project.tags])), null, 2));
+    recordFilesTouched([unpublishedTagsFile]);
 
-    // Step 3: Inject tags into portfolio pages
-    console.log('\n3. 🏷️ Injecting tags into portfolio pages...');
-    const taggedFiles = await injectTagsInAllHtmlFiles(portfolioData);
+    // Carousels, feature scripts and clickable tags are page transforms, which the
+    // transform-pages step runs on every page after this build (see ../page-transforms.mjs)
 
-    // Step 4: Generate portfolio index page
-    console.log('\n4. 📄 Generating portfolio index page...');
-    await generatePortfolioIndexPage(portfolioData);
+    // Step 2: Generate portfolio index page
+    console.log('\n2. 📄 Generating portfolio index page...');
+    const indexGenerated = await generatePortfolioIndexPage(portfolioData);
 
-    // Step 5: Generate tag pages
-    console.log('\n5. 🏷️ Generating tag pages...');
+    // Step 3: Generate tag pages
+    console.log('\n3. 🏷️ Generating tag pages...');
     const tagPagesGenerated = await generateTagPages(portfolioData);
 
-    // Step 6: Generate next-project sections
-    console.log('\n6. ➡️ Generating next-project sections...');
+    // Step 4: Generate next-project sections
+    console.log('\n4. ➡️ Generating next-project sections...');
     const nextProjectMap = createNextProjectMap(portfolioData);
     const nextProjectsGenerated = await generateNextProjectSections(nextProjectMap);
 
-    // Step 7: Generate tag index page
-    console.log('\n7. 🏷️ Generating tag index page...');
-    await generateTagIndexPage(portfolioData);
+    // Step 4.5: Generate related work sections
+    console.log('\n4.5 🔗 Generating related work sections...');
+    const relatedSectionsGenerated = generateRelatedSections(portfolioData, nextProjectMap);
+
+    // Step 5: Generate tag index page
+    console.log('\n5. 🏷️ Generating tag index page...');
+    const tagIndexGenerated = await generateTagIndexPage(portfolioData);
+
+    // Counts for the build report
+    recordBuildCount('portfolioProjects', portfolioData.length);
+    recordBuildCount('pagesGenerated', tagPagesGenerated + (indexGenerated ? 1 : 0) + (tagIndexGenerated ? 1 : 0));
+    recordBuildCount('tagsCreated', tagPagesGenerated);
+    recordBuildCount('nextProjectSections', nextProjectsGenerated);
+    recordBuildCount('relatedSections', relatedSectionsGenerated);
+
+    // Tags missing from the tag dictionary of the portfolio config
+    const unknownTags = TAG_DICTIONARY.getUnknownTags();
+    if (unknownTags.length > 0) {
+      console.warn(`\n⚠️ ${unknownTags.length} tags are not in the tag dictionary (add them to "tags" in the portfolio config, as a tag or an alias):`);
+      for (const tag of unknownTags) {
+        const sources = tag.sources.map(source => path.relative(process.cwd(), source)).join(', ');
+        console.warn(`   - "${tag.name}" in ${sources}`);
+        recordBuildWarning(`Tag "${tag.name}" is not in the tag dictionary (${sources})`);
+      }
+    }
+    recordBuildCount('unknownTags', unknownTags.length);
 
     // Summary
     console.log('\n✅ Portfolio build process complete!');
     console.log(`   - Portfolio projects processed: ${portfolioData.length}`);
-    console.log(`   - Tags injected in pages: ${taggedFiles}`);
     console.log(`   - Tag pages generated: ${tagPagesGenerated}`);
     console.log(`   - Next-project sections generated: ${nextProjectsGenerated}`);
+    console.log(`   - Related work sections generated: ${relatedSectionsGenerated}`);
 
+    return {
+      projects: portfolioData.length,
+      tagPages: tagPagesGenerated,
+      nextProjectSections: nextProjectsGenerated,
+      relatedSections: relatedSectionsGenerated
+    };
   } catch (error) {
     console.error('\n❌ Portfolio build failed:', error.message);
     console.error(error.stack);
-    process.exit(1);
+    throw error;
+  }
+}
+
+/**
+ * Adds noindex and status meta tags to draft and unlisted project pages
+ * The preview server shows a banner on pages marked as draft or scheduled.
+ * @param {Array<Object>} unpublishedProjects - { path, status, declaredStatus, publishDate, tags } per project
+ * @returns {number} - Number of pages marked
+ */
+function markUnpublishedPages(unpublishedProjects) {
+  let marked = 0;
+
+  for (const project of unpublishedProjects) {
+    const pagePath = path.join(PUBLIC_HTML_DIR, project.path, 'index.html');
+    if (!fileExists(pagePath)) {
+      continue;
+    }
+
+    const pageHtml = readTextFile(pagePath);
+    if (pageHtml.includes('<meta name="portfolio-status"')) {
+      continue;
+    }
+
+    const publishDate = project.declaredStatus === 'scheduled' && html` data-publish-date="${project.publishDate}"`;
+    const metaTags = html`  <meta name="robots" content="noindex" />\n` +
+      html`  <meta name="portfolio-status" content="${project.declaredStatus}"${publishDate} />\n`;
+    writeTextFile(pagePath, pageHtml.replace('</head>', () => `${metaTags}</head>`));
+    recordFilesTouched([pagePath]);
+    marked++;
+  }
+
+  if (marked > 0) {
+    console.log(`✓ Marked ${marked} draft or unlisted pages as noindex`);
   }
+  return marked;
 }
 
 /**
@@ -1550,20 +1541,8 @@ async function main(buildDir = './build/temp') {
  * @returns {Object} - Mapping of current project paths to next project data
  */
 function createNextProjectMap(portfolioData) {
-  // Sort portfolio data using the same logic as the portfolio index page
-  const sortedPortfolioData = [...portfolioData].sort((a, b) => {
-    // First sort by company (MikMak first, then LogMeIn, then DataXu)
-    const companyOrder = { 'mikmak': 0, 'logmein': 1, 'dataxu': 2 };
-    const aCompanyOrder = companyOrder[a.company.toLowerCase()] ?? 999;
-    const bCompanyOrder = companyOrder[b.company.toLowerCase()] ?? 999;
-
-    if (aCompanyOrder !== bCompanyOrder) {
-      return aCompanyOrder - bCompanyOrder;
-    }
-
-    // Within the same company, sort alphabetically by title
-    return a.title.localeCompare(b.title);
-  });
+  // Order the chain with the configured strategy, or the curated project list
+  const sortedPortfolioData = orderNextProjectChain(portfolioData, PORTFOLIO_CONFIG);
 
   const nextProjectMap = {};
 
@@ -1573,10 +1552,13 @@ function createNextProjectMap(portfolioData) {
 
     nextProjectMap[currentProject.path] = {
       title: nextProject.title,
+      description: nextProject.description,
       path: nextProject.path,
       imageBase: nextProject.imageBase,
       company: nextProject.company,
-      tags: nextProject.tags
+      role: nextProject.role,
+      tags: nextProject.tags,
+      featured: nextProject.featured
     };
   }
 
@@ -1586,10 +1568,10 @@ function createNextProjectMap(portfolioData) {
 // Execute if this script is run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const buildDir = process.argv[2] || './build/temp';
-  main(buildDir).catch(error => {
+  buildPortfolio(buildDir).catch(error => {
     console.error('Build failed:', error.message);
     process.exit(1);
   });
 }
 
-export { main as default, extractMetadata, generatePortfolioIndexPage, generateTagPages, generateNextProjectSections, transformCarouselsInAllHtmlFiles, injectTagsInAllHtmlFiles };
+export { buildPortfolio as default, buildPortfolio, extractMetadata, generatePortfolioIndexPage, generateTagPages, generateNextProjectSections, transformCarouselsInAllHtmlFiles, injectTagsInAllHtmlFiles, createCarouselsTransform, createFeatureScriptsTransform, createTagsTransform };
@@ -8,7 +8,8 @@
  * Local development server for previewing changes:
  * - Serves processed images
  * - Provides interactive deployment controls
- * - Supports hot reloading
+ * - Supports live reloading when started by the watcher (see ../../watch.mjs)
+ * - Shows a banner on draft and scheduled project pages, which are never deployed
  */
 
 import express from 'express';
@@ -20,6 +21,7 @@ import fs from 'fs';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import http from 'http';
+import { LIVE_RELOAD_ENDPOINT, injectLiveReloadClient, createLiveReloadHandler } from '../utils/live-reload.mjs';
 
 const execAsync = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
@@ -28,7 +30,7 @@ const __dirname = dirname(__filename);
 // Default and alternate ports
 const DEFAULT_PORT = parseInt(process.env.PORT || 3001);
 const ALTERNATE_PORTS = [3002, 3003, 3004, 3005, 3006]; // Try these ports if default is in use
-const BUILD_DIR = process.argv[2] || '.';
+const DEFAULT_BUILD_DIR = '.';
 
 // Add logger
 const logger = {
@@ -80,7 +82,7 @@ async function findAvailablePort() {
 }
 
 // Check Express version
-async function checkDependencies() {
+async function checkDependencies(buildDirArg = DEFAULT_BUILD_DIR) {
     try {
         // Check for express using dynamic import
         try {
@@ -93,7 +95,7 @@ async function checkDependencies() {
         }
 
         // Check if the build directory exists and has content
-        const buildDir = path.resolve(process.cwd(), BUILD_DIR);
+        const buildDir = path.resolve(process.cwd(), buildDirArg);
         if (!fs.existsSync(buildDir)) {
             logger.error(`Build directory not found: ${buildDir}`);
             logger.info('Run "npm run deploy:copy" first to create the build directory');
@@ -122,10 +124,52 @@ async function checkDependencies() {
     }
 }
 
-function startServer(buildDir) {
+/**
+ * Finds the HTML file a request path resolves to, following the static server's rules
+ * @param {string} publicDir - Directory being served
+ * @param {string} requestPath - Request path
+ * @returns {string|null} - HTML file path, or null for non-HTML requests
+ */
+function resolveHtmlFile(publicDir, requestPath) {
+    const filePath = path.join(publicDir, decodeURIComponent(requestPath));
+    if (!filePath.startsWith(publicDir)) {
+        return null;
+    }
+
+    const candidates = [filePath, `${filePath}.html`, path.join(filePath, 'index.html')];
+    return candidates.find(candidate => candidate.endsWith('.html') &&
+        fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Adds a banner to draft and scheduled project pages (marked by 06-build-portfolio.mjs)
+ * @param {string} html - Page HTML
+ * @returns {string}
+ */
+function injectDraftBanner(html) {
+    const statusMatch = html.match(/<meta name="portfolio-status" content="(draft|scheduled)"(?: data-publish-date="([^"]+)")?/);
+    if (!statusMatch) {
+        return html;
+    }
+
+    const message = statusMatch[1] === 'scheduled'
+        ? `Scheduled: this project is published by the first build on or after ${statusMatch[2]}`
+        : 'Draft: this project is not listed anywhere and is left out of deploys';
+    const banner = `<div class="draft-banner" role="status" style="position:sticky;top:0;z-index:1000;padding:0.75rem 1rem;background:#fff3cd;color:#664d03;border-bottom:1px solid #ffe69c;font:600 14px/1.4 system-ui,sans-serif;text-align:center">${message}</div>`;
+    return html.replace(/<body[^>]*>/i, bodyTag => `${bodyTag}\n${banner}`);
+}
+
+/**
+ * Starts the preview server
+ * @param {string} buildDir - Build directory containing public_html
+ * @param {Object} options - Server options
+ * @param {EventEmitter} options.liveReload - Emits 'reload' to refresh open tabs; enables watch mode controls
+ * @returns {Promise<boolean>} - Whether to proceed with deployment
+ */
+function startServer(buildDir, { liveReload = null } = {}) {
     return new Promise(async (resolve, reject) => {
         // Validate dependencies and build directory
-        const dependenciesOk = await checkDependencies();
+        const dependenciesOk = await checkDependencies(buildDir);
         if (!dependenciesOk) {
             logger.error('Preview server cannot start due to missing dependencies or files');
             return resolve(false);
@@ -159,6 +203,21 @@ function startServer(buildDir) {
         console.log(`[INFO] Serving assets from: ${publicDir}/assets`);
         console.log(`[INFO] Serving video assets from: ${publicDir}/assets/videos`);
 
+        // Live reload: event stream plus client script injected into served HTML
+        if (liveReload) {
+            app.get(LIVE_RELOAD_ENDPOINT, createLiveReloadHandler(liveReload));
+        }
+
+        // Served HTML gets the draft banner and, in watch mode, the live reload client
+        app.use((req, res, next) => {
+            const htmlFile = req.method === 'GET' ? resolveHtmlFile(path.resolve(publicDir), req.path) : null;
+            if (!htmlFile) {
+                return next();
+            }
+            const html = injectDraftBanner(fs.readFileSync(htmlFile, 'utf8'));
+            res.type('html').send(liveReload ? injectLiveReloadClient(html) : html);
+        });
+
         // Serve static files with proper MIME types
         app.use(express.static(publicDir, {
             extensions: ['html'],
@@ -199,8 +258,12 @@ function startServer(buildDir) {
         const server = app.listen(port, async () => {
             console.log(`\n\x1b[1;36mStarting preview server on port ${port}...\x1b[0m`);
             console.log('\x1b[1mControls:\x1b[0m');
-            console.log('\x1b[0;32m[Y]\x1b[0m Proceed with deployment');
-            console.log('\x1b[0;31m[Q]\x1b[0m or \x1b[0;31m[N]\x1b[0m Cancel deployment\n');
+            if (liveReload) {
+                console.log('\x1b[0;31m[Q]\x1b[0m Stop watching\n');
+            } else {
+                console.log('\x1b[0;32m[Y]\x1b[0m Proceed with deployment');
+                console.log('\x1b[0;31m[Q]\x1b[0m or \x1b[0;31m[N]\x1b[0m Cancel deployment\n');
+            }
 
             try {
                 await open(`http://localhost:${port}`);
@@ -216,7 +279,14 @@ function startServer(buildDir) {
         process.stdin.setEncoding('utf8');
 
         process.stdin.on('data', (key) => {
-            if (key === 'y' || key === 'Y') {
+            if (liveReload && (key === 'q' || key === 'Q' || key === '\u0003')) {
+                console.log('\n\x1b[0;31m✗ Stopped watching\x1b[0m');
+                server.close();
+                process.stdin.setRawMode(false);
+                resolve(false);
+            } else if (liveReload) {
+                return;
+            } else if (key === 'y' || key === 'Y') {
                 console.log('\n\x1b[0;32m✓ Proceeding with deployment\x1b[0m');
                 server.close();
                 process.stdin.setRawMode(false);
@@ -233,7 +303,7 @@ function startServer(buildDir) {
 
 // Update the main execution
 if (import.meta.url.endsWith(process.argv[1])) {
-    startServer(BUILD_DIR).then((proceed) => {
+    startServer(process.argv[2] || DEFAULT_BUILD_DIR).then((proceed) => {
         if (proceed) {
             logger.info('Deployment started...');
             process.exit(0);
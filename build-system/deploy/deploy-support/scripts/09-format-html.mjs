@@ -0,0 +1,72 @@
+/**
+ * 09-format-html.mjs
+ *
+ * Final formatting pass over the HTML in the build output:
+ * 1. Formats every HTML file with Prettier
+ * 2. Restores the blank line between the timestamp comment and the DOCTYPE,
+ *    and puts DOCTYPE, <html> and <head> back on their own lines
+ * 3. Removes any watch mode live reload client that found its way into a page
+ *
+ * Files are read and written through the dry-run helpers, so --dry-run reports
+ * the formatting changes instead of applying them.
+ *
+ * Usage:
+ * node 09-format-html.mjs <build-directory>
+ */
+
+import path from 'path';
+import * as prettier from 'prettier';
+import { stripLiveReloadClient } from '../utils/live-reload.mjs';
+import { listFiles, readTextFile, writeTextFile } from '../dry-run.mjs';
+
+// Same options as `prettier --write --no-config`; css whitespace sensitivity preserves blank lines around comments and doctype
+const PRETTIER_OPTIONS = {
+    parser: 'html',
+    htmlWhitespaceSensitivity: 'css',
+    printWidth: 100,
+    tabWidth: 2
+};
+
+/**
+ * Formats the HTML files of a build
+ * @param {string} buildDir - Build directory (default: build/temp)
+ * @returns {Promise<number>} - Number of files that changed
+ */
+export async function formatHtmlFiles(buildDir = 'build/temp') {
+    const htmlDir = path.join(buildDir, 'public_html');
+    let formatted = 0;
+    try {
+        // Format every HTML file with Prettier, then post-process it to ensure a blank line
+        // between timestamp comment and DOCTYPE and properly format DOCTYPE and html tag
+        const htmlFiles = listFiles(htmlDir, { extensions: ['.html'] });
+        for (const filePath of htmlFiles) {
+            const original = readTextFile(filePath);
+            let content = stripLiveReloadClient(await prettier.format(original, PRETTIER_OPTIONS));
+
+            // Find timestamp comment followed by possibly compressed DOCTYPE and html tag
+            const timestampRegex = /(<!-- Last updated:.*? -->)(<!-- -->)?(\s*)(<!(DOCTYPE|doctype) html>)(<html lang="en">)(<head>)/i;
+
+            if (timestampRegex.test(content)) {
+                // Replace with properly formatted structure
+                content = content.replace(timestampRegex, '$1\n$4\n<html lang="en">\n\n<head>');
+            }
+
+            if (content !== original) {
+                writeTextFile(filePath, content);
+                formatted++;
+            }
+        }
+
+        console.log('✓ Formatted all HTML files in build output');
+    } catch (err) {
+        console.error('Error formatting HTML files:', err.message);
+    }
+    return formatted;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    formatHtmlFiles(process.argv[2]);
+}
+
+export default formatHtmlFiles;
@@ -0,0 +1,214 @@
+/**
+ * 10-generate-sitemap.mjs
+ *
+ * Writes sitemap.xml and robots.txt into the build output, after the head,
+ * nav and footer have been injected:
+ * 1. Lists every HTML page of the build, leaving out 404.html, draft projects
+ *    (drafts.json), pages marked noindex (drafts and unlisted projects) and
+ *    paths disallowed in robots.txt
+ * 2. Dates each page by its content hash: a page keeps its lastmod until its
+ *    content changes. Pages seen for the first time take the date of their last
+ *    commit in git, or today when the source is new or has uncommitted changes
+ * 3. Writes robots.txt from the `robots` section of the portfolio config,
+ *    pointing crawlers at the sitemap
+ *
+ * The content hashes ignore the build timestamp comments and ?v= cache busters,
+ * which change on every build. They are kept in build/sitemap-lastmod.json.
+ *
+ * Usage:
+ * node 10-generate-sitemap.mjs <build-directory>
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { fileExists, listFiles, readTextFile, writeTextFile } from '../dry-run.mjs';
+import { recordBuildCount, recordFilesTouched } from '../build-events.mjs';
+import { loadPortfolioConfig } from '../portfolio-config.mjs';
+import { readReleaseExclusions } from '../project-metadata.mjs';
+import { escapeHtml } from '../html-template.mjs';
+
+const DEFAULT_BUILD_DIR = 'build/temp';
+export const SITEMAP_LASTMOD_FILE = path.resolve('build/sitemap-lastmod.json');
+const EXCLUDED_PAGES = ['404.html'];
+
+/**
+ * Turns a page path into its site URL path
+ * @param {string} relativePath - Page path relative to public_html
+ * @returns {string} - e.g. /portfolio/mikmak/alpha/ for portfolio/mikmak/alpha/index.html
+ */
+export function getPageUrlPath(relativePath) {
+    const urlPath = `/${relativePath.split(path.sep).join('/')}`;
+    return urlPath.endsWith('/index.html') ? urlPath.slice(0, -'index.html'.length) : urlPath;
+}
+
+/**
+ * Whether a page asks not to be indexed (<meta name="robots" content="noindex">)
+ * @param {string} pageHtml - Page HTML
+ * @returns {boolean}
+ */
+function isNoindex(pageHtml) {
+    return (pageHtml.match(/<meta\b[^>]*>/gi) || []).some(tag =>
+        /\bname=["']robots["']/i.test(tag) && /\bcontent=["'][^"']*\bnoindex\b/i.test(tag));
+}
+
+/**
+ * Hashes the page content that matters for lastmod
+ * @param {string} pageHtml - Page HTML
+ * @returns {string} - Hex digest
+ */
+function hashPageContent(pageHtml) {
+    const content = pageHtml
+        .replace(/<!-- Last updated:.*?-->/g, '')
+        .replace(/\?v=[^"'\s)&]+/g, '');
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Date of the last commit of a source file
+ * @param {string} sourcePath - Source file path
+ * @returns {string|null} - YYYY-MM-DD, or null when the file is untracked, modified or git is unavailable
+ */
+function getGitLastModified(sourcePath) {
+    const git = args => execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    try {
+        if (git(['status', '--porcelain', '--', sourcePath])) {
+            return null;
+        }
+        return git(['log', '-1', '--format=%cs', '--', sourcePath]) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the robots.txt rules of the portfolio config
+ * @param {Object} config - Portfolio config
+ * @returns {Object} - { allow, disallow } path lists
+ */
+function getRobotsRules(config) {
+    return {
+        allow: config.robots?.allow || [],
+        disallow: config.robots?.disallow || []
+    };
+}
+
+/**
+ * Whether robots.txt keeps crawlers away from a URL path
+ * The longest matching rule wins, as crawlers apply them.
+ * @param {string} urlPath - Site URL path
+ * @param {Object} rules - { allow, disallow } path lists
+ * @returns {boolean}
+ */
+function isDisallowed(urlPath, { allow, disallow }) {
+    const longestMatch = paths => Math.max(-1, ...paths.filter(rule => urlPath.startsWith(rule)).map(rule => rule.length));
+    return longestMatch(disallow) > longestMatch(allow);
+}
+
+/**
+ * Creates the robots.txt content
+ * @param {Object} rules - { allow, disallow } path lists
+ * @param {string} sitemapUrl - Absolute sitemap URL
+ * @returns {string}
+ */
+export function createRobotsTxt({ allow, disallow }, sitemapUrl) {
+    const lines = [
+        'User-agent: *',
+        ...allow.map(rule => `Allow: ${rule}`),
+        ...(disallow.length > 0 ? disallow.map(rule => `Disallow: ${rule}`) : ['Disallow:']),
+        '',
+        `Sitemap: ${sitemapUrl}`
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Creates the sitemap.xml content
+ * @param {Array<Object>} entries - { loc, lastmod } per page
+ * @returns {string}
+ */
+export function createSitemapXml(entries) {
+    const urls = entries.map(({ loc, lastmod }) =>
+        `  <url>\n    <loc>${escapeHtml(loc)}</loc>\n    <lastmod>${lastmod}</lastmod>\n  </url>`);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Generates sitemap.xml and robots.txt for a build
+ * @param {string} buildDir - Build directory (default: build/temp)
+ * @param {Object} options - Generation options
+ * @param {string} options.sourceDir - Source site, used for the git dates of new pages (default: public_html)
+ * @param {string} options.lastmodFile - Content hash record (default: build/sitemap-lastmod.json)
+ * @param {Date} options.now - Build time
+ * @returns {Promise<number>} - Number of pages in the sitemap
+ */
+export async function generateSitemap(buildDir = DEFAULT_BUILD_DIR, {
+    sourceDir = 'public_html',
+    lastmodFile = SITEMAP_LASTMOD_FILE,
+    now = new Date()
+} = {}) {
+    const config = await loadPortfolioConfig();
+    const siteUrl = config.siteUrl.replace(/\/+$/, '');
+    const publicHtmlDir = path.join(buildDir, 'public_html');
+    const robotsRules = getRobotsRules(config);
+    const draftPrefixes = readReleaseExclusions(buildDir);
+    const pad = number => String(number).padStart(2, '0');
+    const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+
+    const previous = fileExists(lastmodFile) ? JSON.parse(readTextFile(lastmodFile)) : {};
+    const record = {};
+    const entries = [];
+    let excluded = 0;
+
+    for (const filePath of listFiles(publicHtmlDir, { extensions: ['.html'] })) {
+        const relativePath = path.relative(publicHtmlDir, filePath);
+        const urlPath = getPageUrlPath(relativePath);
+        const pageHtml = readTextFile(filePath);
+
+        if (EXCLUDED_PAGES.includes(relativePath) ||
+            draftPrefixes.some(prefix => relativePath.split(path.sep).join('/').startsWith(prefix)) ||
+            isNoindex(pageHtml) ||
+            isDisallowed(urlPath, robotsRules)) {
+            excluded++;
+            continue;
+        }
+
+        const hash = hashPageContent(pageHtml);
+        const known = previous[urlPath];
+        const lastmod = known?.hash === hash
+            ? known.lastmod
+            : (!known && getGitLastModified(path.join(sourceDir, relativePath))) || today;
+
+        record[urlPath] = { hash, lastmod };
+        entries.push({ loc: `${siteUrl}${urlPath}`, lastmod });
+    }
+
+    entries.sort((a, b) => a.loc.localeCompare(b.loc));
+
+    const sitemapPath = path.join(publicHtmlDir, 'sitemap.xml');
+    const robotsPath = path.join(publicHtmlDir, 'robots.txt');
+    writeTextFile(sitemapPath, createSitemapXml(entries));
+    writeTextFile(robotsPath, createRobotsTxt(robotsRules, `${siteUrl}/sitemap.xml`));
+    writeTextFile(lastmodFile, JSON.stringify(record, null, 2));
+    recordFilesTouched([sitemapPath, robotsPath]);
+    recordBuildCount('sitemapPages', entries.length);
+
+    console.log(`✓ Wrote sitemap.xml with ${entries.length} pages (${excluded} left out) and robots.txt`);
+    return entries.length;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    generateSitemap(process.argv[2]).catch(error => {
+        console.error(`Error generating sitemap: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export default generateSitemap;
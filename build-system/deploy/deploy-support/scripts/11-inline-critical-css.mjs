@@ -0,0 +1,120 @@
+/**
+ * 11-inline-critical-css.mjs
+ *
+ * Inlines the critical CSS of each page template into the head and loads the
+ * stylesheets without blocking rendering, after the page transforms have
+ * added the stylesheet links and the stylesheets have been minified:
+ * 1. Finds the rules each page needs above the fold, on the worker pool
+ *    (see ../critical-css.mjs)
+ * 2. Combines them per page template (home, portfolio, project, tag-index,
+ *    tag, page) into one minified block of critical CSS
+ * 3. Checks each block against the `criticalCss.budget` of the portfolio
+ *    config: over budget is a build warning, or fails the build before any
+ *    page is changed with `overBudget: "fail"`
+ * 4. Inlines the block of its template into every page and turns the local
+ *    stylesheets into preloads that apply once loaded (the critical-css page
+ *    transform)
+ *
+ * Usage:
+ * node 11-inline-critical-css.mjs <build-directory>
+ */
+
+import path from 'path';
+import { directoryExists, listFiles } from '../dry-run.mjs';
+import { recordBuildCount, recordBuildWarning } from '../build-events.mjs';
+import { loadPortfolioConfig } from '../portfolio-config.mjs';
+import { mapInWorkerPool } from '../worker-pool.mjs';
+import { renderCriticalCss } from '../critical-css.mjs';
+import { transformPages } from '../page-transforms.mjs';
+
+const DEFAULT_BUILD_DIR = 'build/temp';
+const CRITICAL_CSS_MODULE = new URL('../critical-css.mjs', import.meta.url).href;
+
+/**
+ * Formats a byte count for the log
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Inlines the critical CSS of every page of a build
+ * The critical CSS of a template always comes from all of its pages; `files`
+ * only limits the pages it is inlined into (watch mode passes the edited pages).
+ * @param {string} buildDir - Build directory (default: build/temp)
+ * @param {Object} options - Inline options
+ * @param {string[]} options.files - Pages to inline into (default: every HTML page of the build)
+ * @returns {Promise<Object>} - { templates, pages } with { pages, bytes } per template and the number of pages changed
+ */
+export async function inlineCriticalCss(buildDir = DEFAULT_BUILD_DIR, { files: pages = null } = {}) {
+    const { criticalCss: settings } = await loadPortfolioConfig();
+    const publicHtmlDir = path.join(buildDir, 'public_html');
+    if (!directoryExists(publicHtmlDir)) {
+        throw new Error(`public_html directory not found: ${publicHtmlDir}`);
+    }
+
+    const files = listFiles(publicHtmlDir, { extensions: ['.html'] });
+    console.log(`🎨 Finding the critical CSS of ${files.length} pages (fold: ${settings.fold})`);
+    const pageRules = await mapInWorkerPool(CRITICAL_CSS_MODULE, 'findCriticalRules',
+        files.map(file => [file, publicHtmlDir, settings.fold]));
+
+    // Stylesheets per template in page order, with the rules any page of the template needs
+    const templates = new Map();
+    for (const { template, stylesheets } of pageRules) {
+        const entry = templates.get(template) || { pages: 0, stylesheets: new Map() };
+        entry.pages++;
+        for (const { sitePath, file, rules } of stylesheets) {
+            const stylesheet = entry.stylesheets.get(file) || { sitePath, file, rules: new Set() };
+            rules.forEach(index => stylesheet.rules.add(index));
+            entry.stylesheets.set(file, stylesheet);
+        }
+        templates.set(template, entry);
+    }
+
+    const css = {};
+    const summary = {};
+    const overBudget = [];
+    for (const [template, { pages, stylesheets }] of [...templates].sort(([a], [b]) => a.localeCompare(b))) {
+        const criticalCss = renderCriticalCss([...stylesheets.values()]);
+        const bytes = Buffer.byteLength(criticalCss, 'utf8');
+        summary[template] = { pages, bytes };
+        if (!criticalCss) {
+            continue;
+        }
+
+        css[template] = criticalCss;
+        const sources = [...stylesheets.values()].map(stylesheet => path.basename(stylesheet.sitePath)).join(', ');
+        console.log(`  ✓ ${template}: ${formatSize(bytes)} from ${sources} (${pages} pages)`);
+        if (bytes > settings.budget) {
+            overBudget.push(`${template}: ${formatSize(bytes)} of critical CSS is over the budget of ${formatSize(settings.budget)}`);
+        }
+    }
+
+    if (overBudget.length > 0) {
+        if (settings.overBudget === 'fail') {
+            throw new Error(`Critical CSS over budget (criticalCss.budget):\n${overBudget.map(problem => `  - ${problem}`).join('\n')}`);
+        }
+        for (const warning of overBudget) {
+            console.warn(`  ⚠️ ${warning}`);
+            recordBuildWarning(warning);
+        }
+    }
+
+    const { transforms } = await transformPages(buildDir, { transforms: ['critical-css'], options: { 'critical-css': { css } }, files: pages });
+    recordBuildCount('criticalCssPages', transforms['critical-css'].pages);
+
+    console.log(`🎨 Critical CSS inlined (${transforms['critical-css'].pages} pages changed)`);
+    return { templates: summary, pages: transforms['critical-css'].pages };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    inlineCriticalCss(process.argv[2]).catch(error => {
+        console.error(`Error inlining critical CSS: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export default inlineCriticalCss;
@@ -0,0 +1,83 @@
+/**
+ * Build Stages
+ *
+ * In-process handlers for the pipeline steps, keyed by step id. The npm
+ * scripts run the same functions through their command line entry points; the
+ * Node API (../index.mjs) passes these handlers to runPipeline, so a build
+ * started from a script needs no child processes apart from the file formatting
+ * shell script.
+ *
+ * Each handler receives the pipeline context ({ mode, buildDir, sourceDir, argv, dryRun })
+ * and the step definition, and throws when the step fails.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawn } from 'child_process';
+import { cleanBuildDirKeepingCachedOutputs } from './build-cache.mjs';
+import { validateHtml } from './scripts/00-validate-html.mjs';
+import { processImages } from './scripts/01-process-images.mjs';
+import { createVideoPlaceholders } from './scripts/02-create-static-placeholder.mjs';
+import { preprocessFeaturedImages } from './scripts/03-preprocess-featured-images.mjs';
+import { buildPortfolio } from './scripts/06-build-portfolio.mjs';
+import { formatHtmlFiles } from './scripts/09-format-html.mjs';
+import { generateSitemap } from './scripts/10-generate-sitemap.mjs';
+import { inlineCriticalCss } from './scripts/11-inline-critical-css.mjs';
+import { transformPages } from './page-transforms.mjs';
+import { copySourceTree } from './utils/copy-source.mjs';
+import { auditSite } from './utils/audit-site.mjs';
+import { compareAudits } from './utils/compare-audits.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const FORMAT_FILES_SCRIPT = path.join(__dirname, 'scripts/04-format-files.sh');
+
+/**
+ * Validates a directory and throws if any HTML file has issues
+ * @param {string} dir - Directory to validate
+ * @param {Object} options - validateHtml options
+ */
+async function validateOrThrow(dir, options) {
+    const results = await validateHtml(dir, options);
+    if (!results.allValid) {
+        throw new Error(`HTML validation failed for ${dir} (${results.filesWithIssues} files with issues)`);
+    }
+}
+
+/**
+ * Runs a shell script, resolving when it exits successfully
+ * @param {string} script - Script path
+ * @param {string[]} args - Script arguments
+ * @returns {Promise<void>}
+ */
+function runShellScript(script, args) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn('bash', [script, ...args], { stdio: 'inherit' });
+        proc.on('close', code => code === 0
+            ? resolve()
+            : reject(new Error(`${path.basename(script)} failed with exit code ${code}`)));
+        proc.on('error', reject);
+    });
+}
+
+export const PIPELINE_STAGES = {
+    'validate-source': ({ sourceDir }) => validateOrThrow(sourceDir, { sourceDir, updateTimestamps: true }),
+    'clean-build-dir': ({ buildDir }) => cleanBuildDirKeepingCachedOutputs(buildDir),
+    'copy-source': ({ sourceDir, buildDir }) => copySourceTree(sourceDir, path.join(buildDir, 'public_html')),
+    'process-images': ({ sourceDir, buildDir }) => processImages({ sourceDir, buildDir }),
+    'process-videos': ({ sourceDir, buildDir }) => createVideoPlaceholders(buildDir, { sourceDir }),
+    'process-featured': ({ sourceDir, buildDir }) => preprocessFeaturedImages(buildDir, { sourceDir }),
+    'format-files': ({ buildDir }) => runShellScript(FORMAT_FILES_SCRIPT, [path.join(buildDir, 'public_html')]),
+    'validate-html': ({ sourceDir, buildDir }) => validateOrThrow(path.join(buildDir, 'public_html'), { sourceDir, updateTimestamps: false }),
+    'build-portfolio': ({ sourceDir, buildDir }) => buildPortfolio(buildDir, { sourceDir }),
+    'transform-pages': ({ buildDir }) => transformPages(buildDir),
+    'inline-critical-css': ({ buildDir }) => inlineCriticalCss(buildDir),
+    'generate-sitemap': ({ sourceDir, buildDir }) => generateSitemap(buildDir, { sourceDir }),
+    'audit-site': ({ buildDir }) => auditSite(path.join(buildDir, 'public_html')),
+    'compare-audits': (context, step) => {
+        const lastArg = (step.args || []).find(arg => arg.startsWith('--last='));
+        return compareAudits({ last: lastArg ? parseInt(lastArg.slice('--last='.length), 10) : 1 });
+    },
+    'format-html': ({ buildDir }) => formatHtmlFiles(buildDir)
+};
@@ -0,0 +1,85 @@
+/**
+ * Tag Dictionary
+ *
+ * Canonicalizes the tags of portfolio projects. The `tags` section of the
+ * portfolio config maps each canonical tag (its display name) to optional
+ * aliases, a tag category, or a ban:
+ *
+ *   "tags": {
+ *     "UX Research": { "aliases": ["User Research", "UX research (qual)"], "category": "TagCategory3" },
+ *     "SaaS": {},
+ *     "Misc": { "forbidden": true }
+ *   }
+ *
+ * Tags are matched by slug, so casing and punctuation differences are merged
+ * as well: "saas" and "SAAS" both become "SaaS". Aliases share the tag page of
+ * their canonical tag, a category overrides the one the tag was written under,
+ * and forbidden tags are dropped from the project pages and every listing.
+ *
+ * Without a `tags` section every tag is kept as written. With one, tags that
+ * are not in it are kept too, but reported as unknown at the end of the build.
+ */
+
+/**
+ * Creates a URL-friendly slug from a tag name
+ * @param {string} tagName - The tag name to convert
+ * @returns {string} - The slug (lowercase, hyphens instead of spaces, no special characters)
+ */
+export function createTagSlug(tagName) {
+    return tagName
+        .toLowerCase()
+        .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
+        .replace(/\s+/g, '-') // Replace spaces with hyphens
+        .replace(/-+/g, '-') // Replace multiple hyphens with single
+        .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
+}
+
+export class TagDictionary {
+    /**
+     * @param {Object|undefined} entries - `tags` section of the portfolio config (validated)
+     */
+    constructor(entries) {
+        this.enabled = Boolean(entries);
+        this.entriesBySlug = new Map();
+        this.unknownTags = new Map();
+
+        for (const [name, entry] of Object.entries(entries || {})) {
+            const canonical = { name, slug: createTagSlug(name), category: entry.category, forbidden: Boolean(entry.forbidden) };
+            for (const alias of [name, ...(entry.aliases || [])]) {
+                this.entriesBySlug.set(createTagSlug(alias), canonical);
+            }
+        }
+    }
+
+    /**
+     * Resolves a tag as written in a project to its canonical tag
+     * @param {string} name - Tag name as written
+     * @param {string} category - Tag category it was written under
+     * @param {string} source - Project file, recorded for the unknown tag report (omit to skip the report)
+     * @returns {Object|null} - { name, slug, category }, or null for a forbidden tag
+     */
+    resolve(name, category, source = null) {
+        const entry = this.entriesBySlug.get(createTagSlug(name));
+        if (!entry) {
+            if (this.enabled && source) {
+                const sources = this.unknownTags.get(name) || new Set();
+                this.unknownTags.set(name, sources.add(source));
+            }
+            return { name, slug: createTagSlug(name), category };
+        }
+        if (entry.forbidden) {
+            return null;
+        }
+        return { name: entry.name, slug: entry.slug, category: entry.category || category };
+    }
+
+    /**
+     * Tags that were resolved but are not in the dictionary
+     * @returns {Array<Object>} - { name, sources } per unknown tag, sorted by name
+     */
+    getUnknownTags() {
+        return [...this.unknownTags.entries()]
+            .map(([name, sources]) => ({ name, sources: [...sources] }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
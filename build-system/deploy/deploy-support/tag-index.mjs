@@ -0,0 +1,86 @@
+/**
+ * Tag Index Layout
+ *
+ * Renders the tag groups of the tag index page (/portfolio/tags/). The
+ * `tagIndex` section of the portfolio config picks how tags are shown:
+ *
+ * - sort: `alphabetical` (default) or `popular` (most projects first, then by name)
+ * - layout: `list` (default) or `cloud`, where each tag gets a weight class
+ *   from tag-cloud--weight-1 to tag-cloud--weight-5 by its project count
+ * - collapseSingleUse: tags used by a single project go into a "more"
+ *   disclosure below the others (default: false)
+ */
+
+import { html, rawHtml } from './html-template.mjs';
+
+export const TAG_INDEX_SORTS = ['alphabetical', 'popular'];
+export const TAG_INDEX_LAYOUTS = ['list', 'cloud'];
+export const CLOUD_WEIGHTS = 5;
+
+export const DEFAULT_TAG_INDEX_SETTINGS = {
+    sort: 'alphabetical',
+    layout: 'list',
+    collapseSingleUse: false
+};
+
+/**
+ * Sorts the tags of a group
+ * @param {Array<Object>} tags - { name, slug, count } per tag
+ * @param {string} sort - One of TAG_INDEX_SORTS
+ * @returns {Array<Object>} - New sorted array
+ */
+export function sortTagIndexEntries(tags, sort) {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const compare = sort === 'popular' ? (a, b) => b.count - a.count || byName(a, b) : byName;
+    return [...tags].sort(compare);
+}
+
+/**
+ * Works out the cloud weight of a tag, scaled between the least and most used tags of the page
+ * @param {number} count - Projects using the tag
+ * @param {Object} range - { min, max } project counts across the page
+ * @returns {number} - 1 to CLOUD_WEIGHTS
+ */
+export function getCloudWeight(count, { min, max }) {
+    if (max === min) {
+        return Math.ceil(CLOUD_WEIGHTS / 2);
+    }
+    return 1 + Math.round(((count - min) / (max - min)) * (CLOUD_WEIGHTS - 1));
+}
+
+/**
+ * Renders one tag group of the tag index
+ * @param {Array<Object>} tags - { name, slug, count } per tag
+ * @param {Object} settings - Tag index settings (see DEFAULT_TAG_INDEX_SETTINGS)
+ * @param {Object} range - { min, max } project counts across the page, for the cloud weights
+ * @returns {RawHtml} - Tag list markup
+ */
+export function renderTagIndexGroup(tags, settings, range) {
+    const sorted = sortTagIndexEntries(tags, settings.sort);
+    const isCloud = settings.layout === 'cloud';
+    const listClass = isCloud ? 'tag-list tag-cloud' : 'tag-list';
+
+    const renderItem = tag => {
+        const itemClass = isCloud ? `tag-cloud--weight-${getCloudWeight(tag.count, range)}` : false;
+        return html`<li${itemClass && html` class="${itemClass}"`} data-count="${tag.count}"><a href="/portfolio/tags/${tag.slug}/">${tag.name}</a> <span class="tag-count">(${tag.count} project${tag.count !== 1 ? 's' : ''})</span></li>`;
+    };
+    const renderList = (items, indent = '                        ') => rawHtml(items.map(renderItem).join(`\n${indent}`));
+
+    // Collapsing only helps when some tags stay visible
+    const singleUse = sorted.filter(tag => tag.count === 1);
+    if (!settings.collapseSingleUse || singleUse.length === 0 || singleUse.length === sorted.length) {
+        return html`<ul class="${listClass}">
+                        ${renderList(sorted)}
+                    </ul>`;
+    }
+
+    return html`<ul class="${listClass}">
+                        ${renderList(sorted.filter(tag => tag.count > 1))}
+                    </ul>
+                    <details class="tag-list--more">
+                        <summary>${singleUse.length} more</summary>
+                        <ul class="${listClass}">
+                            ${renderList(singleUse, '                            ')}
+                        </ul>
+                    </details>`;
+}
@@ -11,6 +11,8 @@
  * 
  * Usage: node audit-site.mjs [directory]
  * Example: node audit-site.mjs build/temp/public_html
+ *
+ * Or import auditSite(directory) to run it from a script.
  */
 
 import fs from 'fs';
@@ -52,24 +54,32 @@ let baselineData = null;
 // Baseline configuration file
 const BASELINE_CONFIG_PATH = path.join(__dirname, '../../../../logs/audit/baseline-audits.json');
 
-// Main stats object to store all collected data
-const siteStats = {
-    images: {
-        total: 0,
-        byType: {}
-    },
-    videos: {
-        total: 0,
-        byType: {},
-        totalSize: 0
-    },
-    text: {
-        totalWords: 0,
-        totalCharacters: 0
-    },
-    pages: [],
-    pageCategories: {}
-};
+/**
+ * Creates an empty stats object
+ * @returns {object} Stats for a new audit
+ */
+function createSiteStats() {
+    return {
+        images: {
+            total: 0,
+            byType: {}
+        },
+        videos: {
+            total: 0,
+            byType: {},
+            totalSize: 0
+        },
+        text: {
+            totalWords: 0,
+            totalCharacters: 0
+        },
+        pages: [],
+        pageCategories: {}
+    };
+}
+
+// Main stats object to store all collected data (reset by every audit)
+let siteStats = createSiteStats();
 
 /**
  * Load baseline configuration
@@ -548,14 +558,17 @@ function generateReport() {
 }
 
 /**
- * Main entry point
+ * Audits a built site and saves the report to dev/logs/audit
+ * @param {string} targetDir - Directory to audit (default: build/temp/public_html)
+ * @param {object} options - Audit options
+ * @param {string} options.reportDir - Directory the report is saved to (default: dev/logs/audit)
+ * @returns {Promise<object>} - { reportPath, stats }
  */
-function main() {
+export async function auditSite(targetDir = 'build/temp/public_html', { reportDir = path.join(process.cwd(), 'dev', 'logs', 'audit') } = {}) {
     console.log(`${colors.bright}Site Audit Tool${colors.reset}`);
 
-    // Get directory from command line args or use default
-    const args = process.argv.slice(2);
-    const targetDir = args[0] || 'build/temp/public_html';
+    siteStats = createSiteStats();
+    baselineData = null;
 
     // Resolve absolute path
     const absolutePath = path.isAbsolute(targetDir)
@@ -566,8 +579,7 @@ function main() {
 
     // Validate directory exists
     if (!fs.existsSync(absolutePath)) {
-        console.error(`Error: Directory "${absolutePath}" does not exist.`);
-        process.exit(1);
+        throw new Error(`Directory "${absolutePath}" does not exist.`);
     }
 
     // Load baseline data for comparison
@@ -580,9 +592,6 @@ function main() {
     const report = generateReport();
     console.log(report);
 
-    // Save report to file
-    const reportDir = path.join(process.cwd(), 'dev', 'logs', 'audit');
-
     // Create reports directory if it doesn't exist
     if (!fs.existsSync(reportDir)) {
         fs.mkdirSync(reportDir, { recursive: true });
@@ -600,7 +609,14 @@ function main() {
     fs.writeFileSync(reportPath, plainReport);
 
     console.log(`\nReport saved to: ${reportPath}`);
+
+    return { reportPath, stats: siteStats };
 }
 
-// Run the main function
-main();
\ No newline at end of file
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    auditSite(process.argv[2]).catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
\ No newline at end of file
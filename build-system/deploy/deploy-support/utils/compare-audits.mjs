@@ -534,7 +534,6 @@ function generateComparisonTable(metricsArray) {
  */
 function main() {
     const args = process.argv.slice(2);
-    let auditFiles = [];
     let lastCount = 1; // Default to just compare the latest audit (changed from 3)
 
     // Check for --list-baselines flag
@@ -577,18 +576,34 @@ function main() {
 
     // Check for explicit file paths
     const filePaths = args.filter(arg => !arg.startsWith('--'));
-    if (filePaths.length > 0) {
-        auditFiles = filePaths.filter(file => fs.existsSync(file));
+
+    compareAudits({ files: filePaths, last: lastCount }).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+/**
+ * Prints a comparison table of site audit reports
+ * @param {Object} options - Comparison options
+ * @param {string[]} options.files - Audit files to compare (default: the latest audits plus baselines)
+ * @param {number} options.last - Number of recent audits to compare when no files are given
+ * @param {string} options.logsDir - Directory with the audit reports
+ * @returns {Promise<Array>} - Parsed metrics, oldest first
+ */
+export async function compareAudits({ files = [], last = 1, logsDir = DEFAULT_LOGS_DIR } = {}) {
+    let auditFiles = [];
+
+    if (files.length > 0) {
+        auditFiles = files.filter(file => fs.existsSync(file));
         if (auditFiles.length === 0) {
-            console.error('No valid audit files found.');
-            process.exit(1);
+            throw new Error('No valid audit files found.');
         }
     } else {
         // Get the audit files (including baselines)
-        auditFiles = getAuditLogFiles(DEFAULT_LOGS_DIR, true, lastCount);
+        auditFiles = getAuditLogFiles(logsDir, true, last);
         if (auditFiles.length === 0) {
-            console.error(`No audit files found in ${DEFAULT_LOGS_DIR}`);
-            process.exit(1);
+            throw new Error(`No audit files found in ${logsDir}`);
         }
     }
 
@@ -619,7 +634,11 @@ function main() {
     } else {
         console.log(`\nCompared ${metrics.length} audit report${metrics.length === 1 ? '' : 's'}.`);
     }
+
+    return metrics;
 }
 
-// Run the main function
-main();
\ No newline at end of file
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
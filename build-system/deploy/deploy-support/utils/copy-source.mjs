@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Copy Source
+ *
+ * Copies the source site into the build directory (the copy-source pipeline
+ * step). Goes through the dry-run helpers, so a dry run reports the files
+ * that would be added or changed instead of copying them.
+ *
+ * Usage: node copy-source.mjs [source] [destination]
+ * Example: node copy-source.mjs public_html build/temp/public_html
+ */
+
+import path from 'path';
+import { copyFile, listFiles } from '../dry-run.mjs';
+
+/**
+ * Copies every file of a directory tree
+ * @param {string} sourceDir - Directory to copy
+ * @param {string} destinationDir - Target directory
+ * @returns {string[]} - Destination paths
+ */
+export function copySourceTree(sourceDir, destinationDir) {
+    return listFiles(sourceDir).map(file => {
+        const destination = path.join(destinationDir, path.relative(sourceDir, file));
+        copyFile(file, destination);
+        return destination;
+    });
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const sourceDir = process.argv[2] || 'public_html';
+    const destinationDir = process.argv[3] || 'build/temp/public_html';
+
+    try {
+        const copied = copySourceTree(sourceDir, destinationDir);
+        console.log(`✅ Copied ${copied.length} files from ${sourceDir} to ${destinationDir}`);
+    } catch (error) {
+        console.error(`❌ Failed to copy ${sourceDir}: ${error.message}`);
+        process.exit(1);
+    }
+}
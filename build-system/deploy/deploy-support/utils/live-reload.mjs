@@ -0,0 +1,72 @@
+/**
+ * Live Reload Helpers
+ *
+ * Used by the preview server in watch mode (npm run preview:watch):
+ * - Serves a Server-Sent Events stream that tells open tabs to reload
+ * - Injects the client script into HTML responses as they are served
+ * - Strips the client script again, so it can never reach a production build
+ *
+ * The script is only added to responses, never written to build/temp.
+ */
+
+export const LIVE_RELOAD_ENDPOINT = '/__live-reload';
+
+const CLIENT_START = '<!-- LIVE_RELOAD_START -->';
+const CLIENT_END = '<!-- LIVE_RELOAD_END -->';
+
+const clientScript = `${CLIENT_START}
+<script>
+  (function () {
+    var source = new EventSource('${LIVE_RELOAD_ENDPOINT}');
+    source.addEventListener('reload', function () {
+      window.location.reload();
+    });
+  })();
+</script>
+${CLIENT_END}`;
+
+/**
+ * Adds the live reload client script before </body> (or at the end of the document)
+ * @param {string} html - HTML content
+ * @returns {string} - HTML with the client script
+ */
+export function injectLiveReloadClient(html) {
+    if (html.includes(CLIENT_START)) {
+        return html;
+    }
+    const bodyEnd = html.lastIndexOf('</body>');
+    if (bodyEnd === -1) {
+        return html + clientScript;
+    }
+    return html.slice(0, bodyEnd) + clientScript + '\n' + html.slice(bodyEnd);
+}
+
+/**
+ * Removes the live reload client script
+ * @param {string} html - HTML content
+ * @returns {string} - HTML without the client script
+ */
+export function stripLiveReloadClient(html) {
+    const pattern = new RegExp(`${CLIENT_START}[\\s\\S]*?${CLIENT_END}\\n?`, 'g');
+    return html.replace(pattern, '');
+}
+
+/**
+ * Creates the Express handler for the reload event stream
+ * @param {EventEmitter} emitter - Emits 'reload' whenever the build output changed
+ * @returns {Function} - Express route handler
+ */
+export function createLiveReloadHandler(emitter) {
+    return (req, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write('\n');
+
+        const onReload = () => res.write('event: reload\ndata: {}\n\n');
+        emitter.on('reload', onReload);
+        req.on('close', () => emitter.off('reload', onReload));
+    };
+}
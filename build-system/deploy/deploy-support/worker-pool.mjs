@@ -0,0 +1,172 @@
+/**
+ * Worker Pool
+ *
+ * Runs CPU-bound build jobs (image variants, video posters, HTML transforms)
+ * on worker threads. A job names a module and one of its exports; the worker
+ * imports the module and calls the export with the given arguments, so job
+ * functions must be exported and take/return plain (cloneable) values.
+ *
+ * Concurrency defaults to one less than the number of CPUs and can be set
+ * with --concurrency=<n> on the build entry points or the BUILD_CONCURRENCY
+ * environment variable (which step scripts inherit).
+ *
+ * Usage:
+ *   const results = await mapInWorkerPool(import.meta.url, 'processFile', files.map(file => [file]));
+ */
+
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { getCurrentBuildStep } from './build-events.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const WORKER_SCRIPT = path.join(__dirname, 'pool-worker.mjs');
+
+/**
+ * Returns the configured number of parallel jobs
+ * @returns {number} - At least 1
+ */
+export function getConcurrency() {
+    const configured = parseInt(process.env.BUILD_CONCURRENCY, 10);
+    if (configured > 0) {
+        return configured;
+    }
+    const cpus = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.max(1, cpus - 1);
+}
+
+/**
+ * Applies a --concurrency=<n> command line flag to BUILD_CONCURRENCY so child steps inherit it
+ * @param {string[]} argv - Command line arguments
+ */
+export function applyConcurrencyFlag(argv = process.argv) {
+    const flag = argv.find(arg => arg.startsWith('--concurrency='));
+    if (flag) {
+        process.env.BUILD_CONCURRENCY = flag.slice('--concurrency='.length);
+    }
+}
+
+export class WorkerPool {
+    constructor({ size = getConcurrency() } = {}) {
+        this.size = size;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.jobs = new Map();
+        this.nextId = 0;
+    }
+
+    /**
+     * Queues a job
+     * @param {string} moduleUrl - Module URL or path exporting the job function
+     * @param {string} exportName - Name of the exported function
+     * @param {Array} args - Arguments for the function
+     * @returns {Promise<*>} - The function's return value
+     */
+    run(moduleUrl, exportName, args = []) {
+        return new Promise((resolve, reject) => {
+            const modulePath = moduleUrl.startsWith('file:') ? fileURLToPath(moduleUrl) : path.resolve(moduleUrl);
+            this.queue.push({ id: this.nextId++, modulePath, exportName, args, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            if (this.idle.length === 0 && this.workers.length < this.size) {
+                this.idle.push(this.createWorker());
+            }
+            const worker = this.idle.pop();
+            if (!worker) {
+                return;
+            }
+
+            const job = this.queue.shift();
+            worker.currentJob = job;
+            this.jobs.set(job.id, job);
+            worker.postMessage({ id: job.id, modulePath: job.modulePath, exportName: job.exportName, args: job.args });
+        }
+    }
+
+    createWorker() {
+        // Jobs report events for the step that started the pool
+        const worker = new Worker(WORKER_SCRIPT, { env: { ...process.env, BUILD_STEP: getCurrentBuildStep() || '' } });
+
+        worker.on('message', ({ id, result, error }) => {
+            const job = this.jobs.get(id);
+            this.jobs.delete(id);
+            worker.currentJob = null;
+            this.idle.push(worker);
+
+            if (error) {
+                const jobError = new Error(error.message);
+                jobError.stack = error.stack;
+                job.reject(jobError);
+            } else {
+                job.resolve(result);
+            }
+            this.dispatch();
+        });
+
+        // A crashed worker fails its job and is replaced on the next dispatch
+        worker.on('error', (error) => {
+            this.removeWorker(worker);
+            if (worker.currentJob) {
+                this.jobs.delete(worker.currentJob.id);
+                worker.currentJob.reject(error);
+            }
+            this.dispatch();
+        });
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+    removeWorker(worker) {
+        this.workers = this.workers.filter(candidate => candidate !== worker);
+        this.idle = this.idle.filter(candidate => candidate !== worker);
+    }
+
+    /**
+     * Stops all workers; jobs still queued or running are rejected
+     */
+    async close() {
+        const error = new Error('Worker pool closed');
+        [...this.jobs.values(), ...this.queue].forEach(job => job.reject(error));
+        this.jobs.clear();
+        this.queue = [];
+        await Promise.all(this.workers.map(worker => worker.terminate()));
+        this.workers = [];
+        this.idle = [];
+    }
+}
+
+/**
+ * Runs one job per argument list on a temporary pool and waits for all of them
+ * @param {string} moduleUrl - Module URL or path exporting the job function
+ * @param {string} exportName - Name of the exported function
+ * @param {Array<Array>} argsList - Arguments for each job
+ * @param {Object} options - Pool options ({ size })
+ * @returns {Promise<Array>} - Results in the same order as argsList
+ */
+export async function mapInWorkerPool(moduleUrl, exportName, argsList, options = {}) {
+    if (argsList.length === 0) {
+        return [];
+    }
+
+    const pool = new WorkerPool({ ...options, size: Math.min(options.size || getConcurrency(), argsList.length) });
+    try {
+        // Let every job finish before reporting the first failure
+        const outcomes = await Promise.allSettled(argsList.map(args => pool.run(moduleUrl, exportName, args)));
+        const failure = outcomes.find(outcome => outcome.status === 'rejected');
+        if (failure) {
+            throw failure.reason;
+        }
+        return outcomes.map(outcome => outcome.value);
+    } finally {
+        await pool.close();
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Portfolio Build System - Node API
+ *
+ * Library entry point for scripting custom builds and testing the build
+ * stages. Importing this module has no side effects: nothing is read, written
+ * or logged until one of its functions is called. build.mjs and swift-build.mjs
+ * remain the command line entry points; they add log files, console output and
+ * release directories on top of the same pipeline.
+ *
+ * Every step runs in-process (see deploy-support/stages.mjs), except file
+ * formatting, which is a shell script. Relative paths are resolved against the
+ * working directory, which should be the project root (it is also where
+ * portfolio.config.json is read from). Dry runs and event logs
+ * use process-wide state, so run one build at a time per process.
+ *
+ * Usage:
+ *   import { build, validate, audit } from './dev/scripts/deploy/index.mjs';
+ *
+ *   const report = await build({ mode: 'quick', outDir: 'build/test' });
+ *   const { allValid } = await validate({ dir: 'build/test/public_html' });
+ *   const { reportPath } = await audit({ dir: 'build/test/public_html' });
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runPipeline } from './deploy-support/pipeline.mjs';
+import { PIPELINE_STAGES } from './deploy-support/stages.mjs';
+import { createRelease } from './deploy-support/releases.mjs';
+import { startDryRun, finishDryRun } from './deploy-support/dry-run.mjs';
+import { startBuildEventLog, finishBuildEventLog, emitBuildEvent } from './deploy-support/build-events.mjs';
+import { loadPortfolioConfig } from './deploy-support/portfolio-config.mjs';
+import { readReleaseExclusions } from './deploy-support/project-metadata.mjs';
+import { validateHtml } from './deploy-support/scripts/00-validate-html.mjs';
+import { auditSite } from './deploy-support/utils/audit-site.mjs';
+
+export { PIPELINE_MODES, PIPELINE_STEPS, getPipelineSteps } from './deploy-support/pipeline.mjs';
+export { PIPELINE_STAGES } from './deploy-support/stages.mjs';
+export { loadPortfolioConfig, validatePortfolioConfig, findPortfolioConfig } from './deploy-support/portfolio-config.mjs';
+export { cleanBuildDirKeepingCachedOutputs } from './deploy-support/build-cache.mjs';
+export { validateHtml } from './deploy-support/scripts/00-validate-html.mjs';
+export { processImages } from './deploy-support/scripts/01-process-images.mjs';
+export { createVideoPlaceholders } from './deploy-support/scripts/02-create-static-placeholder.mjs';
+export { preprocessFeaturedImages } from './deploy-support/scripts/03-preprocess-featured-images.mjs';
+export { transformResponsiveImages } from './deploy-support/scripts/05-transform-responsive-images.mjs';
+export { buildPortfolio } from './deploy-support/scripts/06-build-portfolio.mjs';
+export { formatHtmlFiles } from './deploy-support/scripts/09-format-html.mjs';
+export { generateSitemap } from './deploy-support/scripts/10-generate-sitemap.mjs';
+export { inlineCriticalCss } from './deploy-support/scripts/11-inline-critical-css.mjs';
+export { injectHeadContent } from './deploy-support/head-templates/inject-head.mjs';
+export { injectNavigation } from './deploy-support/head-templates/inject-nav.mjs';
+export { injectFooter } from './deploy-support/head-templates/inject-footer.mjs';
+export { injectPartials } from './deploy-support/head-templates/inject-partials.mjs';
+export { injectAccessibility } from './deploy-support/head-templates/inject-accessibility.mjs';
+export { PAGE_TRANSFORMS, transformPages } from './deploy-support/page-transforms.mjs';
+export { copySourceTree } from './deploy-support/utils/copy-source.mjs';
+export { auditSite } from './deploy-support/utils/audit-site.mjs';
+export { compareAudits } from './deploy-support/utils/compare-audits.mjs';
+
+/**
+ * Creates the YYYYMMDD-HHMM timestamp used for release ids
+ * @returns {string}
+ */
+function createMachineTimestamp() {
+    const dateObj = new Date();
+    return dateObj.toISOString().slice(0, 10).replace(/-/g, '') + '-' +
+        dateObj.toTimeString().slice(0, 5).replace(':', '');
+}
+
+/**
+ * Runs the build pipeline in-process
+ * @param {Object} options - Build options
+ * @param {string} options.mode - One of PIPELINE_MODES (default: full)
+ * @param {string} options.sourceDir - Source site directory (default: public_html)
+ * @param {string} options.outDir - Build directory; the site is built into <outDir>/public_html (default: build/temp)
+ * @param {boolean} options.dryRun - Report planned changes instead of writing them (see dry-run.mjs)
+ * @param {string[]} options.only - Run just these step ids
+ * @param {string[]} options.flags - Command line style skip flags (e.g. ['--skip-images'])
+ * @param {number} options.concurrency - Maximum number of parallel steps and worker threads
+ * @param {string} options.releasesDir - Freeze the result into a release in this directory (default: no release)
+ * @param {string} options.eventLog - Keep the JSON-lines event log at this path (default: a temporary file)
+ * @param {string} options.reportPath - Also write the build report to this path
+ * @returns {Promise<Object>} - Build report (see build-events.mjs); on failure the error carries it as `report`
+ */
+export async function build({
+    mode = 'full',
+    sourceDir = 'public_html',
+    outDir = 'build/temp',
+    dryRun = false,
+    only = null,
+    flags = [],
+    concurrency,
+    releasesDir = null,
+    eventLog = null,
+    reportPath = null
+} = {}) {
+    const machineTimestamp = createMachineTimestamp();
+    const eventLogPath = eventLog || path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-build-')), 'events.jsonl');
+    const previousConcurrency = process.env.BUILD_CONCURRENCY;
+
+    if (concurrency) {
+        // Worker pools read the concurrency from the environment
+        process.env.BUILD_CONCURRENCY = String(concurrency);
+    }
+    if (dryRun) {
+        startDryRun();
+    }
+    startBuildEventLog(eventLogPath, { mode, machineTimestamp, dryRun });
+
+    try {
+        // Fail fast on a missing or invalid portfolio config
+        await loadPortfolioConfig();
+
+        if (!dryRun) {
+            fs.mkdirSync(outDir, { recursive: true });
+        }
+
+        await runPipeline(mode, {
+            stages: PIPELINE_STAGES,
+            buildDir: outDir,
+            sourceDir,
+            argv: flags,
+            only,
+            concurrency
+        });
+
+        if (releasesDir && !dryRun) {
+            const release = await createRelease(path.join(outDir, 'public_html'), machineTimestamp, { mode }, releasesDir, readReleaseExclusions(outDir));
+            emitBuildEvent('release', { id: release.id });
+        }
+
+        return finishBuildEventLog(reportPath, 'success');
+    } catch (error) {
+        error.report = finishBuildEventLog(reportPath, 'failed');
+        throw error;
+    } finally {
+        finishDryRun();
+        if (concurrency) {
+            if (previousConcurrency === undefined) {
+                delete process.env.BUILD_CONCURRENCY;
+            } else {
+                process.env.BUILD_CONCURRENCY = previousConcurrency;
+            }
+        }
+        if (!eventLog) {
+            fs.rmSync(path.dirname(eventLogPath), { recursive: true, force: true });
+        }
+    }
+}
+
+/**
+ * Validates the HTML files of a directory
+ * Unlike `npm run validate:source`, timestamps and CSS versions are only updated when asked for.
+ * @param {Object} options - Validation options
+ * @param {string} options.dir - Directory to validate (default: public_html)
+ * @param {string} options.sourceDir - Source site whose portfolio asset folders are ensured (default: public_html)
+ * @param {boolean} options.updateTimestamps - Update timestamps after a successful validation
+ * @param {boolean} options.verbose - Log every file
+ * @returns {Promise<Object>} - { allValid, totalFiles, filesPassed, filesWithIssues, results, ... }
+ */
+export async function validate({ dir = 'public_html', sourceDir = 'public_html', updateTimestamps = false, verbose = false } = {}) {
+    return validateHtml(dir, { sourceDir, updateTimestamps, verbose });
+}
+
+/**
+ * Audits a built site and saves the report to dev/logs/audit
+ * @param {Object} options - Audit options
+ * @param {string} options.dir - Built site to audit (default: build/temp/public_html)
+ * @param {string} options.reportDir - Directory the report is saved to (default: dev/logs/audit)
+ * @returns {Promise<Object>} - { reportPath, stats }
+ */
+export async function audit({ dir = 'build/temp/public_html', reportDir } = {}) {
+    return auditSite(dir, reportDir ? { reportDir } : {});
+}
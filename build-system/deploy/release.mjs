@@ -0,0 +1,112 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawn } from 'child_process';
+import {
+    listReleases,
+    getCurrentRelease,
+    getRollbackTarget,
+    setCurrentRelease,
+    diffReleases
+} from './deploy-support/releases.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const RELEASES_DIR = path.join(__dirname, '../../../build/releases');
+const DEPLOY_SCRIPT = path.join(__dirname, 'simple-deploy.sh');
+
+const USAGE = `Usage:
+  node release.mjs list                          List releases (* marks the current one)
+  node release.mjs diff [from] [to] [--patch]    Compare two releases (default: previous → current)
+  node release.mjs rollback [id] [--deploy]      Make an earlier release current (default: the one current replaced)
+                                                 --deploy uploads it right away; --dry-run is passed on to the deploy`;
+
+/**
+ * Prints all releases
+ */
+function listCommand() {
+    const releases = listReleases(RELEASES_DIR);
+    if (releases.length === 0) {
+        console.log('No releases yet - run a build first');
+        return;
+    }
+
+    console.log(`📦 ${releases.length} releases in ${RELEASES_DIR}`);
+    for (const release of releases) {
+        const marker = release.current ? '*' : ' ';
+        console.log(`${marker} ${release.id}  ${release.mode || ''}  ${release.fileCount} files  ${release.createdAt}`);
+    }
+}
+
+/**
+ * Prints the differences between two releases
+ * @param {string[]} ids - Optional [from, to] release ids
+ * @param {boolean} patch - Include HTML diffs
+ */
+async function diffCommand(ids, patch) {
+    const to = ids[1] || getCurrentRelease(RELEASES_DIR);
+    const from = ids[0] || getRollbackTarget(null, RELEASES_DIR);
+    const { added, removed, changed, patch: patchText } = await diffReleases(from, to, { patch, releasesDir: RELEASES_DIR });
+
+    console.log(`🔍 ${from} → ${to}: ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+    added.forEach(file => console.log(`  + ${file}`));
+    removed.forEach(file => console.log(`  - ${file}`));
+    changed.forEach(file => console.log(`  ~ ${file}`));
+    if (patchText) {
+        console.log(`\n${patchText}`);
+    }
+}
+
+/**
+ * Makes an earlier release current and optionally deploys it
+ * @param {string|undefined} id - Release id (defaults to the release before the current one)
+ * @param {boolean} deploy - Run the deploy script afterwards
+ * @param {string[]} deployArgs - Flags passed on to the deploy script
+ */
+async function rollbackCommand(id, deploy, deployArgs) {
+    const previous = getCurrentRelease(RELEASES_DIR);
+    const target = getRollbackTarget(id, RELEASES_DIR);
+
+    setCurrentRelease(target, RELEASES_DIR);
+    console.log(`⏪ Current release: ${previous} → ${target}`);
+
+    if (!deploy) {
+        console.log('Run "npm run deploy" to upload it');
+        return;
+    }
+
+    await new Promise((resolve, reject) => {
+        const proc = spawn('bash', [DEPLOY_SCRIPT, ...deployArgs], { stdio: 'inherit' });
+        proc.on('close', code => code === 0 ? resolve() : reject(new Error(`Deploy failed with exit code ${code}`)));
+        proc.on('error', reject);
+    });
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const flags = rest.filter(arg => arg.startsWith('--'));
+    const ids = rest.filter(arg => !arg.startsWith('--'));
+
+    switch (command) {
+        case 'list':
+            listCommand();
+            break;
+        case 'diff':
+            await diffCommand(ids, flags.includes('--patch'));
+            break;
+        case 'rollback':
+            await rollbackCommand(ids[0], flags.includes('--deploy'), flags.filter(flag => flag !== '--deploy'));
+            break;
+        default:
+            console.log(USAGE);
+            process.exit(command ? 1 : 0);
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -8,7 +8,11 @@
 REMOTE_USER="{{DEPLOY_USER}}"
 REMOTE_HOST="{{DEPLOY_HOST}}"
 REMOTE_PORT="{{DEPLOY_PORT}}"
-BUILD_DIR="{{PROJECT_ROOT}}/build/temp/public_html"
+# Deploy the current release (see release.mjs); builds made before releases existed fall back to build/temp
+BUILD_DIR="{{PROJECT_ROOT}}/build/releases/current/public_html"
+if [ ! -d "$BUILD_DIR" ]; then
+    BUILD_DIR="{{PROJECT_ROOT}}/build/temp/public_html"
+fi
 REMOTE_PATH="{{DEPLOY_PATH}}"
 SSH_KEY="{{SSH_KEY_PATH}}"
 MAX_RETRIES=3
@@ -19,6 +23,7 @@ if [ ! -d "$BUILD_DIR" ]; then
     echo "Error: Build directory not found: $BUILD_DIR"
     exit 1
 fi
+echo "Deploying: $(cd "$BUILD_DIR/.." && pwd -P)"
 
 # Process command line arguments
 for arg in "$@"; do
@@ -67,6 +72,7 @@ cat > "$FILTER_FILE" << EOF
 - /.cache/***
 - /dev/***
 - /**/package*.json
+- /portfolio/**/project.json
 - /**/gulpfile.js
 + /**/
 + /**
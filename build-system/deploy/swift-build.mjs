@@ -0,0 +1,119 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { runPipeline } from './deploy-support/pipeline.mjs';
+import { createRelease } from './deploy-support/releases.mjs';
+import { applyConcurrencyFlag, getConcurrency } from './deploy-support/worker-pool.mjs';
+import { startBuildEventLog, finishBuildEventLog, emitBuildEvent, printBuildWarnings } from './deploy-support/build-events.mjs';
+import { cleanBuildDirKeepingCachedOutputs } from './deploy-support/build-cache.mjs';
+import { loadPortfolioConfig, findPortfolioConfig } from './deploy-support/portfolio-config.mjs';
+import { readReleaseExclusions } from './deploy-support/project-metadata.mjs';
+import { startBuildLog } from './deploy-support/build-log.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// --concurrency=<n> limits parallel steps and worker threads (step scripts inherit it)
+applyConcurrencyFlag(process.argv);
+const BUILD_DIR = path.join(__dirname, '../../../build/temp');
+const RELEASES_DIR = path.join(__dirname, '../../../build/releases');
+const LOGS_DIR = path.join(__dirname, '../../../dev/logs/build');
+
+// Create timestamp for log file
+const timestamp = new Date().toISOString().replace(/[T:]/g, '-').slice(0, 19);
+const logFileName = `swift-build-${timestamp}.log`;
+const logFilePath = path.join(LOGS_DIR, logFileName);
+const eventLogPath = logFilePath.replace(/\.log$/, '.jsonl');
+const reportPath = path.join(LOGS_DIR, 'build-report.json');
+
+// Create formatted timestamps for various uses
+const dateObj = new Date();
+const machineTimestamp = dateObj.toISOString().slice(0, 10).replace(/-/g, '') + '-' +
+    dateObj.toTimeString().slice(0, 5).replace(':', '');
+const humanReadableDate = dateObj.toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+});
+const humanReadableTime = dateObj.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+});
+const humanReadableTimestamp = `${humanReadableDate} at ${humanReadableTime}`;
+
+// Export timestamps for other scripts to use
+export const buildTimestamps = {
+    machineTimestamp,  // Format: YYYYMMDD-HHMM (e.g., 20250413-1430)
+    humanReadableTimestamp // Format: "Sunday, April 13, 2025 at 2:30 PM"
+};
+
+// Log the console and step output, archiving older logs
+const buildLog = startBuildLog(LOGS_DIR, logFilePath, 'swift-build-');
+
+async function swiftBuild() {
+    console.log(`=============================================`);
+    console.log(`SWIFT BUILD PROCESS STARTED: ${new Date().toLocaleString()}`);
+    console.log(`(Full build pipeline, reusing cached processed assets)`);
+    console.log(`=============================================`);
+    console.log(`Log file: ${logFilePath}`);
+    console.log(`Event log: ${eventLogPath}`);
+    console.log(`Machine timestamp: ${machineTimestamp}`);
+    console.log(`Human-readable timestamp: ${humanReadableTimestamp}`);
+    console.log(`Concurrency: ${getConcurrency()}`);
+
+    startBuildEventLog(eventLogPath, { mode: 'swift', machineTimestamp });
+
+    try {
+        // System check
+        console.log('\n🔍 Checking Node.js version and environment');
+        console.log(`Node version: ${process.version}`);
+        console.log(`Working directory: ${process.cwd()}`);
+
+        // Fail fast on an invalid portfolio config
+        await loadPortfolioConfig();
+        console.log(`Portfolio config: ${findPortfolioConfig() || 'built-in defaults'}`);
+
+        // Run the swift mode of the shared pipeline definition
+        await runPipeline('swift', {
+            runScript: buildLog.runBuildStep,
+            buildDir: BUILD_DIR,
+            tasks: {
+                'clean-build-dir': () => cleanBuildDirKeepingCachedOutputs(BUILD_DIR)
+            }
+        });
+
+        // Freeze the result into a release; deploy uploads the current release
+        const release = await createRelease(path.join(BUILD_DIR, 'public_html'), machineTimestamp, { mode: 'swift' }, RELEASES_DIR, readReleaseExclusions(BUILD_DIR));
+        emitBuildEvent('release', { id: release.id });
+        console.log(`\n📦 Release ${release.id}: ${release.fileCount} files (${release.linkedCount} unchanged since the previous release)`);
+        if (release.excludedCount > 0) {
+            console.log(`   ${release.excludedCount} draft project files left out`);
+        }
+
+        printBuildWarnings(finishBuildEventLog(reportPath, 'success'));
+        console.log(`\n✅ SWIFT BUILD COMPLETED SUCCESSFULLY: ${new Date().toLocaleString()}`);
+        console.log(`⚡ Unchanged assets were reused from the build cache`);
+        console.log(`Build log saved to: ${logFilePath}`);
+        console.log(`Build report saved to: ${reportPath}`);
+        console.log(`=============================================`);
+    } catch (error) {
+        finishBuildEventLog(reportPath, 'failed');
+        console.error(`\n❌ SWIFT BUILD FAILED: ${error.message}`);
+        console.error(`Build log saved to: ${logFilePath}`);
+        console.error(`Build report saved to: ${reportPath}`);
+        console.log(`=============================================`);
+        // Let finally restore the console and flush the log before the process exits
+        process.exitCode = 1;
+    } finally {
+        buildLog.close();
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    swiftBuild().catch(console.error);
+}
+
+export default swiftBuild;
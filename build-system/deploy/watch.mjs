@@ -0,0 +1,298 @@
+/**
+ * Watch Mode
+ *
+ * Serves build/temp with the preview server, watches public_html and re-runs
+ * only the pipeline steps affected by each change, then reloads open browser tabs:
+ * - HTML pages: only the edited pages are copied and transformed again
+ *   (responsive images, carousels, tags, nav, footer, head; see
+ *   deploy-support/page-transforms.mjs) and get their critical CSS inlined
+ * - Stylesheets: copied, and the critical CSS of every page is updated
+ * - Portfolio pages and project.json metadata: rebuild the portfolio index,
+ *   tag pages and next-project sections, since titles and tags are collected
+ *   from them, and transform all pages again
+ * - Images: only the changed image's variants are regenerated
+ * - Videos and next-project data: posters and featured images are refreshed
+ * - Anything else: copied as is
+ *
+ * Usage:
+ * npm run preview:watch
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import { BuildManager } from './deploy-support/build-manager.mjs';
+import { PROJECT_METADATA_FILE } from './deploy-support/project-metadata.mjs';
+import { transformPages } from './deploy-support/page-transforms.mjs';
+import { inlineCriticalCss } from './deploy-support/scripts/11-inline-critical-css.mjs';
+import startServer from './deploy-support/scripts/08-preview-server.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const BUILD_DIR = path.join(__dirname, '../../../build/temp');
+const SCRIPTS_DIR = path.join(__dirname, 'deploy-support/scripts');
+const SOURCE_DIR = path.join(__dirname, '../../../public_html');
+
+// Wait for editors to finish writing before rebuilding
+const DEBOUNCE_MS = 200;
+
+// Steps re-run on the whole tree after the portfolio is rebuilt
+const HTML_STEPS = ['transform-pages', 'inline-critical-css'];
+const IMAGE_PATTERN = /^assets\/images\/.+\.(png|jpe?g|webp)$/i;
+
+/**
+ * Works out what a batch of changed source files requires
+ * @param {string[]} changedFiles - Paths relative to public_html (forward slashes)
+ * @returns {Object} - { copy, remove, images, pages, steps }
+ */
+export function planChanges(changedFiles) {
+    const plan = { copy: [], remove: [], images: [], pages: [], steps: new Set() };
+
+    for (const file of changedFiles) {
+        const exists = fs.existsSync(path.join(SOURCE_DIR, file));
+        const isPortfolioSource = file.startsWith('portfolio/') &&
+            (file.endsWith('.html') || path.posix.basename(file) === PROJECT_METADATA_FILE);
+
+        if (!exists) {
+            plan.remove.push(file);
+        } else if (IMAGE_PATTERN.test(file)) {
+            // 01-process-images copies the source and writes its variants
+            plan.images.push(file);
+        } else {
+            plan.copy.push(file);
+        }
+
+        if (file.endsWith('.html') && exists) {
+            plan.pages.push(file);
+        }
+        if (isPortfolioSource) {
+            plan.steps.add('build-portfolio');
+        }
+        if (file.endsWith('.css')) {
+            plan.steps.add('inline-critical-css');
+        }
+        if (file.endsWith('.mp4')) {
+            plan.steps.add('process-videos');
+        }
+        if (file === 'data/next-project.json' || path.basename(file).startsWith('featured--cover')) {
+            plan.steps.add('process-featured');
+        }
+    }
+
+    // Generated portfolio pages need the page transforms again, which covers the edited pages
+    if (plan.steps.has('build-portfolio')) {
+        HTML_STEPS.forEach(step => plan.steps.add(step));
+        plan.pages = [];
+    }
+
+    return plan;
+}
+
+/**
+ * Regenerates the responsive variants of a single source image
+ * @param {string} file - Image path relative to public_html
+ * @returns {Promise<boolean>}
+ */
+function processImage(file) {
+    return new Promise((resolve) => {
+        const proc = spawn(process.execPath, [
+            path.join(SCRIPTS_DIR, '01-process-images.mjs'),
+            path.join('public_html', file)
+        ], { stdio: 'inherit' });
+
+        proc.on('close', code => resolve(code === 0));
+        proc.on('error', () => resolve(false));
+    });
+}
+
+/**
+ * Transforms freshly copied pages and inlines their critical CSS
+ * @param {string[]} pages - Page paths relative to public_html
+ * @param {boolean} inline - Inline the critical CSS (false when the whole tree gets it anyway)
+ * @returns {Promise<boolean>}
+ */
+async function transformEditedPages(pages, inline) {
+    const files = pages.map(page => path.join(BUILD_DIR, 'public_html', page));
+    try {
+        await transformPages(BUILD_DIR, { files });
+        if (inline) {
+            await inlineCriticalCss(BUILD_DIR, { files });
+        }
+        return true;
+    } catch (error) {
+        console.error(`❌ Transforming ${pages.join(', ')} failed: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Applies a batch of changes to the build directory
+ * @param {string[]} changedFiles - Paths relative to public_html
+ * @param {BuildManager} buildManager - Runs the affected pipeline steps
+ * @returns {Promise<boolean>} - Whether every step succeeded
+ */
+async function rebuild(changedFiles, buildManager) {
+    const plan = planChanges(changedFiles);
+    const buildPublicDir = path.join(BUILD_DIR, 'public_html');
+    let ok = true;
+
+    for (const file of plan.copy) {
+        const target = path.join(buildPublicDir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        // cpSync also handles folders added in one go
+        fs.cpSync(path.join(SOURCE_DIR, file), target, { recursive: true });
+        console.log(`📄 Copied: ${file}`);
+    }
+
+    for (const file of plan.remove) {
+        fs.rmSync(path.join(buildPublicDir, file), { recursive: true, force: true });
+        console.log(`🗑️ Removed: ${file}`);
+    }
+
+    for (const file of plan.images) {
+        ok = await processImage(file) && ok;
+    }
+
+    if (plan.pages.length > 0) {
+        ok = await transformEditedPages(plan.pages, !plan.steps.has('inline-critical-css')) && ok;
+    }
+
+    if (plan.steps.size > 0) {
+        ok = await buildManager.runSteps([...plan.steps]) && ok;
+    }
+
+    return ok;
+}
+
+/**
+ * Watches a directory tree for changes
+ * fs.watch only supports { recursive: true } on Linux from Node 20, so every
+ * directory gets a watcher of its own; directories added later are watched as
+ * they appear.
+ * @param {string} rootDir - Directory to watch
+ * @param {Function} onChange - Called with the changed path relative to rootDir (forward slashes)
+ * @returns {Object} - { close }
+ */
+function watchTree(rootDir, onChange) {
+    const watchers = new Map();
+
+    const watchDirectory = (dir) => {
+        if (watchers.has(dir) || path.basename(dir).startsWith('.')) {
+            return;
+        }
+        let watcher;
+        try {
+            watcher = fs.watch(dir, (eventType, filename) => {
+                if (!fs.existsSync(dir)) {
+                    // The directory itself was removed
+                    watcher.close();
+                    watchers.delete(dir);
+                    return;
+                }
+                if (!filename) {
+                    return;
+                }
+                const changedPath = path.join(dir, filename.toString());
+                if (!fs.existsSync(changedPath)) {
+                    // A removed directory is watched again if it comes back
+                    watchers.get(changedPath)?.close();
+                    watchers.delete(changedPath);
+                } else if (fs.statSync(changedPath).isDirectory()) {
+                    watchDirectory(changedPath);
+                }
+                onChange(path.relative(rootDir, changedPath).split(path.sep).join('/'));
+            });
+        } catch (error) {
+            console.warn(`⚠️ Cannot watch ${dir}: ${error.message}`);
+            return;
+        }
+        // Removed directories end their watcher
+        watcher.on('error', () => {
+            watcher.close();
+            watchers.delete(dir);
+        });
+        watchers.set(dir, watcher);
+
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                watchDirectory(path.join(dir, entry.name));
+            }
+        }
+    };
+
+    watchDirectory(rootDir);
+    return {
+        close: () => watchers.forEach(watcher => watcher.close())
+    };
+}
+
+async function watch() {
+    console.log(`=============================================`);
+    console.log(`WATCH MODE STARTED: ${new Date().toLocaleString()}`);
+    console.log(`=============================================`);
+
+    const buildManager = new BuildManager(BUILD_DIR, { mode: 'full' });
+
+    // Watching needs a build to patch; make a quick one if there is none yet
+    if (!fs.existsSync(path.join(BUILD_DIR, 'public_html/index.html'))) {
+        console.log('\n📁 No build found - running a quick build first');
+        if (!await new BuildManager(BUILD_DIR, { mode: 'quick' }).build()) {
+            console.error('\n❌ Initial build failed, cannot start watch mode');
+            process.exit(1);
+        }
+    }
+
+    const liveReload = new EventEmitter();
+    const pending = new Set();
+    let timer = null;
+    let running = false;
+
+    const flush = async () => {
+        if (running || pending.size === 0) {
+            return;
+        }
+        running = true;
+
+        const changedFiles = [...pending];
+        pending.clear();
+        console.log(`\n🔄 Changed: ${changedFiles.join(', ')}`);
+
+        const ok = await rebuild(changedFiles, buildManager);
+        console.log(ok ? '✅ Rebuilt, reloading browser' : '⚠️ Rebuilt with errors, reloading browser');
+        liveReload.emit('reload');
+
+        running = false;
+        // Pick up anything that changed while this batch was running
+        flush();
+    };
+
+    const watcher = watchTree(SOURCE_DIR, (file) => {
+        // Ignore editor swap/backup files and hidden files
+        if (path.basename(file).startsWith('.') || file.endsWith('~') || file.endsWith('.swp')) {
+            return;
+        }
+
+        pending.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(flush, DEBOUNCE_MS);
+    });
+
+    console.log(`\n👀 Watching ${SOURCE_DIR} for changes`);
+    await startServer(BUILD_DIR, { liveReload });
+
+    watcher.close();
+    process.exit(0);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    watch().catch(error => {
+        console.error(`\n❌ WATCH MODE FAILED: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export default watch;